@@ -1,51 +1,55 @@
 // src/ai/client.js
-import { ANALYSIS_SCHEMA } from "./schema.js";
 import { toBase64 } from "../utils/http.js";
+import { getProvider, resolveProviderName } from "./providers.js";
 
-export function buildPromptWithSource(prompt, url) {
-  const suffix = url ? `\n\n[Source URL: ${url}]` : "";
-  return (prompt || "").trim() + suffix;
-}
+export { isOpenAIResponsesEndpoint, extractOpenAIOutput } from "./providers.js";
 
-export function isOpenAIResponsesEndpoint(endpoint) {
-  try {
-    const u = new URL(endpoint);
-    return u.hostname.includes("api.openai.com") || u.pathname.endsWith("/v1/responses");
-  } catch {
-    return false;
+// `viewport` is renderPage metadata; mobile renders tell the model which layout it is looking at.
+// `region` ({ selector?, box }) says the image is a crop rather than the whole page.
+export function buildPromptWithSource(prompt, url, viewport = null, region = null) {
+  let suffix = url ? `\n\n[Source URL: ${url}]` : "";
+  if (viewport?.isMobile) {
+    suffix += `\n[Rendered on ${viewport.device || "a mobile device"}: ${viewport.width}x${viewport.height} CSS px, DPR ${viewport.deviceScaleFactor}. ` +
+      "Describe the mobile layout exactly as shown (stacked sections, collapsed menus); do not assume the desktop layout.]";
+  }
+  if (region) {
+    const { x, y, width, height } = region.box;
+    suffix += `\n[The image is a crop of the page${region.selector ? ` showing the element '${region.selector}'` : ""} ` +
+      `at x=${x} y=${y} ${width}x${height}. Describe only this component.]`;
   }
+  return (prompt || "").trim() + suffix;
 }
 
-export function extractOpenAIOutput(json, want = "json") {
-  if (typeof json?.output_text === "string") {
-    if (want === "json") {
-      try { return JSON.parse(json.output_text); } catch { return json.output_text; }
-    }
-    return json.output_text;
-  }
-  if (Array.isArray(json?.output)) {
-    for (const msg of json.output) {
-      if (Array.isArray(msg?.content)) {
-        for (const c of msg.content) {
-          if (c?.type === "output_text" && typeof c.text === "string") {
-            if (want === "json") {
-              try { return JSON.parse(c.text); } catch { return c.text; }
-            }
-            return c.text;
-          }
-          if (typeof c?.text === "string") {
-            if (want === "json") {
-              try { return JSON.parse(c.text); } catch { return c.text; }
-            }
-            return c.text;
-          }
-        }
-      }
-    }
-  }
-  return json;
+/**
+ * Resolve provider, endpoint, key, model and timeout for an AI call.
+ * AI_PROVIDER / AI_ENDPOINT / AI_API_KEY / AI_MODEL configure the default provider;
+ * another provider picked via params.provider reads AI_ENDPOINT_<NAME> / AI_API_KEY_<NAME> / AI_MODEL_<NAME>
+ * (e.g. AI_API_KEY_ANTHROPIC) and falls back to the adapter's public endpoint.
+ */
+export function resolveAIConfig(env, params = {}) {
+  const defaultProvider = resolveProviderName(env.AI_PROVIDER, env.AI_ENDPOINT);
+  const provider = params.provider ? resolveProviderName(params.provider, env.AI_ENDPOINT) : defaultProvider;
+  const adapter = getProvider(provider);
+  const isDefault = provider === defaultProvider;
+  const suffix = adapter.envSuffix;
+
+  return {
+    provider,
+    endpoint: env[`AI_ENDPOINT_${suffix}`] || (isDefault ? env.AI_ENDPOINT : null) || adapter.defaultEndpoint,
+    apiKey: env[`AI_API_KEY_${suffix}`] || (isDefault ? env.AI_API_KEY : null),
+    model: params.model
+      || env[`AI_MODEL_${suffix}`]
+      || (isDefault ? env.AI_MODEL || env.OPENAI_MODEL : null)
+      || adapter.defaultModel,
+    timeoutMs: parseInt(env.AI_TIMEOUT_MS || "60000", 10),
+  };
 }
 
+/**
+ * One image + prompt call. format="json" asks for structured output following `schema`
+ * ({ name, description, schema }; defaults to ANALYSIS_SCHEMA).
+ * Non-2xx answers come back as { error, status } rather than throwing.
+ */
 export async function postToAI({
   endpoint,
   apiKey,
@@ -57,50 +61,35 @@ export async function postToAI({
   reqId = "na",
   model = "gpt-4o-mini",
   format = "json",
+  schema,
+  provider,
 }) {
   const tag = `postToAI#${reqId}`;
-  const headers = { "Content-Type": "application/json" };
-  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+  const name = resolveProviderName(provider, endpoint);
+  const adapter = getProvider(name);
+  const want = format === "json" ? "json" : "text";
+  const finalEndpoint = String(endpoint || adapter.defaultEndpoint || "").replace("{model}", encodeURIComponent(model));
+  if (!finalEndpoint) throw new Error(`No endpoint configured for AI provider '${name}'`);
 
-  const isOAI = isOpenAIResponsesEndpoint(endpoint);
-  const oaiFormatType = format === "json" ? "json_schema" : "text";
+  const headers = { "Content-Type": "application/json", ...adapter.headers(apiKey) };
 
-  console.log(`[${tag}] provider=${isOAI ? "openai" : "generic"} model=${model} format=${format} -> text.format.type=${oaiFormatType}`);
+  console.log(`[${tag}] provider=${name} model=${model} format=${format}`);
   console.log(`[${tag}] image bytes=${screenshotPng?.length || 0} mime=${mime} timeout=${timeoutMs}ms`);
 
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort("AI request timed out"), timeoutMs);
 
   try {
-    let body;
-    if (isOAI) {
-      body = {
-        model,
-        input: [
-          {
-            role: "user",
-            content: [
-              { type: "input_image", image_url: `data:${mime};base64,${toBase64(screenshotPng)}` },
-              { type: "input_text", text: prompt },
-            ],
-          },
-        ],
-        text: {
-          format: {
-            type: "json_schema",
-            name: "WebsiteAnalysisSchema",
-            schema: ANALYSIS_SCHEMA,
-          },
-        },
-      };
-    } else {
-      body = {
-        prompt,
-        image: { mime, base64: toBase64(screenshotPng) },
-      };
-    }
+    const body = adapter.buildBody({
+      model,
+      prompt,
+      url,
+      image: { mime, base64: toBase64(screenshotPng) },
+      format: want,
+      schema,
+    });
 
-    const res = await fetch(endpoint, {
+    const res = await fetch(finalEndpoint, {
       method: "POST",
       headers,
       body: JSON.stringify(body),
@@ -118,12 +107,8 @@ export async function postToAI({
     }
     if (!res.ok) return { error: parsed.error || parsed, status: res.status };
 
-    if (isOAI) {
-      const want = format === "json" ? "json" : "text";
-      return extractOpenAIOutput(parsed, want);
-    }
-    return parsed;
+    return adapter.extract(parsed, want);
   } finally {
     clearTimeout(timer);
   }
-}
\ No newline at end of file
+}
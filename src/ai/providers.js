@@ -0,0 +1,296 @@
+// src/ai/providers.js
+import { ANALYSIS_SCHEMA } from "./schema.js";
+
+// Structured output used when the caller passes no `schema`: { name, description, schema }
+export const DEFAULT_OUTPUT_SCHEMA = {
+  name: "WebsiteAnalysisSchema",
+  description: "Structured description of a webpage screenshot.",
+  schema: ANALYSIS_SCHEMA,
+};
+
+function parseText(text, want) {
+  if (want === "json") {
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  return text;
+}
+
+// Gemini accepts an OpenAPI subset: uppercase types and no additionalProperties/minLength
+export function toGeminiSchema(schema) {
+  const out = {};
+  if (schema.type) out.type = String(schema.type).toUpperCase();
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.required) out.required = schema.required;
+  if (schema.minItems != null) out.minItems = schema.minItems;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    for (const [k, v] of Object.entries(schema.properties)) out.properties[k] = toGeminiSchema(v);
+  }
+  return out;
+}
+
+/**
+ * Provider adapters. Each one knows how to:
+ * - build auth headers and the request body (image + prompt + structured output)
+ * - pull the model output back out of the provider response
+ */
+const openaiResponses = {
+  envSuffix: "OPENAI",
+  defaultEndpoint: "https://api.openai.com/v1/responses",
+  defaultModel: "gpt-4o-mini",
+  headers(apiKey) {
+    return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  },
+  buildBody({ model, prompt, image, format, schema = DEFAULT_OUTPUT_SCHEMA }) {
+    return {
+      model,
+      input: [
+        {
+          role: "user",
+          content: [
+            { type: "input_image", image_url: `data:${image.mime};base64,${image.base64}` },
+            { type: "input_text", text: prompt },
+          ],
+        },
+      ],
+      text: {
+        format: format === "json"
+          ? { type: "json_schema", name: schema.name, schema: schema.schema }
+          : { type: "text" },
+      },
+    };
+  },
+  extract: extractOpenAIOutput,
+};
+
+const openaiChat = {
+  envSuffix: "OPENAI_CHAT",
+  defaultEndpoint: "https://api.openai.com/v1/chat/completions",
+  defaultModel: "gpt-4o-mini",
+  headers: openaiResponses.headers,
+  buildBody({ model, prompt, image, format, schema = DEFAULT_OUTPUT_SCHEMA }) {
+    const body = {
+      model,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "image_url", image_url: { url: `data:${image.mime};base64,${image.base64}` } },
+            { type: "text", text: prompt },
+          ],
+        },
+      ],
+    };
+    if (format === "json") {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: schema.name, schema: schema.schema },
+      };
+    }
+    return body;
+  },
+  extract(json, want) {
+    const content = json?.choices?.[0]?.message?.content;
+    if (typeof content === "string") return parseText(content, want);
+    if (Array.isArray(content)) {
+      return parseText(content.map((c) => c?.text || "").join(""), want);
+    }
+    return json;
+  },
+};
+
+const anthropic = {
+  envSuffix: "ANTHROPIC",
+  defaultEndpoint: "https://api.anthropic.com/v1/messages",
+  defaultModel: "claude-sonnet-4-5",
+  headers(apiKey) {
+    const h = { "anthropic-version": "2023-06-01" };
+    if (apiKey) h["x-api-key"] = apiKey;
+    return h;
+  },
+  buildBody({ model, prompt, image, format, schema = DEFAULT_OUTPUT_SCHEMA }) {
+    const body = {
+      model,
+      max_tokens: 16384,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "image", source: { type: "base64", media_type: image.mime, data: image.base64 } },
+            { type: "text", text: prompt },
+          ],
+        },
+      ],
+    };
+    // Structured output: force a single tool call whose input is the requested schema
+    if (format === "json") {
+      body.tools = [{ name: schema.name, description: schema.description, input_schema: schema.schema }];
+      body.tool_choice = { type: "tool", name: schema.name };
+    }
+    return body;
+  },
+  extract(json, want) {
+    if (!Array.isArray(json?.content)) return json;
+    const tool = json.content.find((c) => c?.type === "tool_use");
+    if (tool?.input && typeof tool.input === "object") {
+      return want === "json" ? tool.input : JSON.stringify(tool.input);
+    }
+    const text = json.content.filter((c) => c?.type === "text").map((c) => c.text).join("");
+    return parseText(text, want);
+  },
+};
+
+const gemini = {
+  envSuffix: "GEMINI",
+  // {model} is substituted at request time
+  defaultEndpoint: "https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent",
+  defaultModel: "gemini-2.5-flash",
+  headers(apiKey) {
+    return apiKey ? { "x-goog-api-key": apiKey } : {};
+  },
+  buildBody({ prompt, image, format, schema = DEFAULT_OUTPUT_SCHEMA }) {
+    const body = {
+      contents: [
+        {
+          role: "user",
+          parts: [
+            { inlineData: { mimeType: image.mime, data: image.base64 } },
+            { text: prompt },
+          ],
+        },
+      ],
+    };
+    if (format === "json") {
+      body.generationConfig = {
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(schema.schema),
+      };
+    }
+    return body;
+  },
+  extract(json, want) {
+    const parts = json?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) return json;
+    return parseText(parts.map((p) => p?.text || "").join(""), want);
+  },
+};
+
+// Native Ollama /api/chat. LM Studio speaks the OpenAI chat protocol, see aliases below.
+const ollama = {
+  envSuffix: "OLLAMA",
+  defaultEndpoint: "http://localhost:11434/api/chat",
+  defaultModel: "llava",
+  headers(apiKey) {
+    return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  },
+  buildBody({ model, prompt, image, format, schema = DEFAULT_OUTPUT_SCHEMA }) {
+    const body = {
+      model,
+      stream: false,
+      messages: [{ role: "user", content: prompt, images: [image.base64] }],
+    };
+    if (format === "json") body.format = schema.schema;
+    return body;
+  },
+  extract(json, want) {
+    const content = json?.message?.content ?? json?.response;
+    if (typeof content === "string") return parseText(content, want);
+    return json;
+  },
+};
+
+// Legacy { prompt, image } body for custom endpoints; the response is returned as-is
+const generic = {
+  envSuffix: "GENERIC",
+  defaultEndpoint: null,
+  defaultModel: "gpt-4o-mini",
+  headers: openaiResponses.headers,
+  buildBody({ prompt, image }) {
+    return { prompt, image: { mime: image.mime, base64: image.base64 } };
+  },
+  extract(json) {
+    return json;
+  },
+};
+
+export const AI_PROVIDERS = {
+  "openai-responses": openaiResponses,
+  "openai-chat": openaiChat,
+  anthropic,
+  gemini,
+  ollama,
+  generic,
+};
+
+const PROVIDER_ALIASES = {
+  openai: "openai-responses",
+  lmstudio: "openai-chat",
+  claude: "anthropic",
+  google: "gemini",
+};
+
+export function providerNames() {
+  return [...Object.keys(AI_PROVIDERS), ...Object.keys(PROVIDER_ALIASES)];
+}
+
+export function isOpenAIResponsesEndpoint(endpoint) {
+  try {
+    const u = new URL(endpoint);
+    return u.hostname.includes("api.openai.com") || u.pathname.endsWith("/v1/responses");
+  } catch {
+    return false;
+  }
+}
+
+// Best-effort guess from the endpoint URL when no provider is configured
+export function detectProvider(endpoint) {
+  let u;
+  try { u = new URL(endpoint); } catch { return "generic"; }
+  if (u.pathname.endsWith("/chat/completions")) return "openai-chat";
+  if (isOpenAIResponsesEndpoint(endpoint)) return "openai-responses";
+  if (u.hostname.includes("anthropic.com") || u.pathname.endsWith("/v1/messages")) return "anthropic";
+  if (u.hostname.includes("generativelanguage.googleapis.com") || u.pathname.includes(":generateContent")) return "gemini";
+  if (u.pathname.endsWith("/api/chat")) return "ollama";
+  return "generic";
+}
+
+/**
+ * Normalize a provider name (or alias) to a registry key.
+ * Falls back to detection from the endpoint when no name is given.
+ */
+export function resolveProviderName(name, endpoint) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return detectProvider(endpoint);
+  const resolved = PROVIDER_ALIASES[key] || key;
+  if (!AI_PROVIDERS[resolved]) {
+    throw new Error(`Unknown AI provider '${name}'. Use one of: ${providerNames().join(" | ")}`);
+  }
+  return resolved;
+}
+
+export function getProvider(name) {
+  return AI_PROVIDERS[name] || generic;
+}
+
+export function extractOpenAIOutput(json, want = "json") {
+  if (typeof json?.output_text === "string") {
+    return parseText(json.output_text, want);
+  }
+  if (Array.isArray(json?.output)) {
+    for (const msg of json.output) {
+      if (Array.isArray(msg?.content)) {
+        for (const c of msg.content) {
+          if (c?.type === "output_text" && typeof c.text === "string") {
+            return parseText(c.text, want);
+          }
+          if (typeof c?.text === "string") {
+            return parseText(c.text, want);
+          }
+        }
+      }
+    }
+  }
+  return json;
+}
@@ -133,7 +133,7 @@ export const ANALYSIS_SCHEMA = {
 };
 
 export const MERGE_PROMPT = `You will receive:
-1) A DOM-derived structure (rough, from HTML parsing).
+1) A DOM-derived structure, extracted from the rendered page: nested sections and elements with tag, role, visible text, href/src/alt, CSS selector, bounding box (page pixels) and a visibility flag.
 2) A screenshot of the page.
 3) Instructions about MODE.
 
@@ -141,7 +141,7 @@ If MODE is "vision-only": Analyze only the screenshot with the strict JSON schem
 
 If MODE is "merge": You are given both a DOM-derived structure and a vision-derived structure. Merge them into a single, consistent structure that follows the exact JSON schema below. When the two sources conflict:
 - Prefer the screenshot (vision) for visual truth (layout, what is actually visible).
-- Use the DOM structure to fill in missing text or to split large text blocks when helpful.
+- Use the DOM structure to fill in missing text or to split large text blocks when helpful. Ignore DOM nodes with "visible": false.
 - Ensure every visible section from the screenshot is represented. Do not invent content.
 - Be exhaustive: include header, hero, stats, navigation, footer details, etc.
 - Output MUST be strictly valid JSON and conform to the schema exactly.
@@ -154,3 +154,60 @@ VISION_STRUCTURE_JSON (may be empty if MODE is "vision-only"):
 
 === Strict JSON Schema to follow ===
 (Same as ANALYSIS_SCHEMA in this codebase; you do not need to restate it in your output — just follow it.)`;
+
+export const ACCESSIBILITY_PROMPT = `You are an accessibility reviewer (WCAG 2.2 AA).
+You will be given a screenshot of a webpage and a list of issues already found by automated DOM checks.
+Report only problems that are visible in the screenshot and that DOM checks cannot detect, for example:
+- text over images or gradients with poor contrast
+- information conveyed by colour alone (e.g. red/green status, links distinguished only by colour)
+- text rendered inside images
+- very small or tightly spaced text, and touch targets that look smaller than 24x24 CSS px
+- focus, error or required-field states that are not visually indicated
+- confusing reading order or visual hierarchy that does not match the headings
+Do not repeat issues from AUTOMATED_FINDINGS_JSON. Do not guess about anything you cannot see.
+
+AUTOMATED_FINDINGS_JSON:
+{{FINDINGS_JSON}}
+
+=== Required Output Schema ===
+{
+  "issues": [
+    {
+      "rule": "string, short kebab-case id (e.g. 'text-over-image-contrast', 'color-only', 'target-size')",
+      "severity": "string, one of: 'critical' | 'serious' | 'moderate' | 'minor'",
+      "location": "string, where on the page (section and visible text near the problem)",
+      "explanation": "string, what is wrong and who it affects",
+      "suggestion": "string, how to fix it"
+    }
+  ],
+  "summary": "string, one or two sentences on the page's overall visual accessibility"
+}
+Output strictly valid JSON with no extra commentary.`;
+
+export const ACCESSIBILITY_REVIEW_SCHEMA = {
+  name: "AccessibilityReviewSchema",
+  description: "Visual accessibility issues found in a webpage screenshot.",
+  schema: {
+    type: "object",
+    required: ["issues", "summary"],
+    additionalProperties: false,
+    properties: {
+      issues: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["rule", "severity", "location", "explanation", "suggestion"],
+          additionalProperties: false,
+          properties: {
+            rule: { type: "string" },
+            severity: { type: "string", enum: ["critical", "serious", "moderate", "minor"] },
+            location: { type: "string" },
+            explanation: { type: "string" },
+            suggestion: { type: "string" },
+          },
+        },
+      },
+      summary: { type: "string" },
+    },
+  },
+};
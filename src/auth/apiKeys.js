@@ -0,0 +1,86 @@
+// src/auth/apiKeys.js
+import { json } from "../utils/http.js";
+import { sha256Hex } from "../utils/crypto.js";
+import { stateGetJSON } from "../utils/store.js";
+
+/**
+ * API keys come from either:
+ * - the API_KEYS secret: JSON object { "<raw key>": { id, scopes, quotas } }
+ * - KV_STATE (or KV_CACHE): "apikey:<sha256(raw key)>" -> { id, scopes, quotas }
+ * A record looks like:
+ *   { "id": "team-a", "scopes": ["html", "structure"] | ["*"], "disabled": false,
+ *     "quotas": { "daily": { "renders": 500, "ai": 100 }, "monthly": { "renders": 10000, "ai": 2000 } } }
+ * Outputs in ADMIN_OUTPUTS act on data every key shares and need the "admin" scope; "*" does not grant it.
+ * Set AUTH_DISABLED="true" to run the worker open (local development only).
+ */
+
+function readKey(request) {
+  const auth = request.headers.get("authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  const u = new URL(request.url);
+  return (u.searchParams.get("api_key") || "").trim() || null;
+}
+
+function parseSecretKeys(env) {
+  if (!env.API_KEYS) return {};
+  try {
+    return typeof env.API_KEYS === "string" ? JSON.parse(env.API_KEYS) : env.API_KEYS;
+  } catch {
+    console.warn("[auth] API_KEYS is not valid JSON");
+    return {};
+  }
+}
+
+const ANONYMOUS_KEY = { id: "anonymous", hash: null, scopes: ["*", "admin"], quotas: {}, disabled: false };
+
+// Never carry the raw key around: quotas and logs use the id (or a hash prefix)
+function keyFromRecord(record, hash) {
+  return { id: record.id || hash.slice(0, 16), hash, scopes: record.scopes || [], quotas: record.quotas || {}, disabled: !!record.disabled };
+}
+
+async function lookupKey(env, rawKey) {
+  const hash = await sha256Hex(rawKey);
+  const fromSecret = parseSecretKeys(env)[rawKey];
+  const record = fromSecret || (await stateGetJSON(env, `apikey:${hash}`));
+  return record ? keyFromRecord(record, hash) : null;
+}
+
+/**
+ * Re-resolve a key from its `hash` (as carried on authenticated keys) for work done without a
+ * request, e.g. scheduled watchlist runs. Returns null when the key no longer exists.
+ */
+export async function keyFromHash(env, hash) {
+  if (env.AUTH_DISABLED === "true") return ANONYMOUS_KEY;
+  if (!hash) return null;
+  for (const [rawKey, record] of Object.entries(parseSecretKeys(env))) {
+    if ((await sha256Hex(rawKey)) === hash) return keyFromRecord(record, hash);
+  }
+  const record = await stateGetJSON(env, `apikey:${hash}`);
+  return record ? keyFromRecord(record, hash) : null;
+}
+
+/**
+ * Resolve the caller's key. Returns { key } or { response } with a 401/403 JSON error.
+ */
+export async function authenticate(request, env) {
+  if (env.AUTH_DISABLED === "true") {
+    return { key: ANONYMOUS_KEY };
+  }
+  const rawKey = readKey(request);
+  if (!rawKey) {
+    return { response: json({ error: "Missing API key. Send 'Authorization: Bearer <key>' or '?api_key=<key>'" }, 401, { "WWW-Authenticate": "Bearer" }) };
+  }
+  const key = await lookupKey(env, rawKey);
+  if (!key) return { response: json({ error: "Invalid API key" }, 401, { "WWW-Authenticate": "Bearer" }) };
+  if (key.disabled) return { response: json({ error: `API key '${key.id}' is disabled` }, 403) };
+  return { key };
+}
+
+// clear-cache wipes the KV cache of every key: cache entries are shared, not owned
+const ADMIN_OUTPUTS = ["clear-cache"];
+
+export function hasScope(key, output) {
+  if (ADMIN_OUTPUTS.includes(output)) return key.scopes.includes("admin");
+  return key.scopes.includes("*") || key.scopes.includes(output);
+}
@@ -0,0 +1,60 @@
+// src/auth/quotas.js
+import { stateGetJSON, statePutJSON } from "../utils/store.js";
+import { MODE_COSTS } from "../config/constants.js";
+import { hasScope } from "./apiKeys.js";
+
+const PERIODS = {
+  daily: {
+    bucket: (d) => d.toISOString().slice(0, 10),
+    resetsAt: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1),
+    ttl: 2 * 24 * 60 * 60,
+  },
+  monthly: {
+    bucket: (d) => d.toISOString().slice(0, 7),
+    resetsAt: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1),
+    ttl: 32 * 24 * 60 * 60,
+  },
+};
+
+const counterKey = (keyId, period, bucket) => `quota:${keyId}:${period}:${bucket}`;
+
+/**
+ * Check the key's scope and quotas for one request of `output`, and count it.
+ * Returns null when allowed, or { status, body, headers } describing a 403/429.
+ * `cost` overrides MODE_COSTS[output]: nothing for requests answered from the cache, more for
+ * options that add AI calls.
+ * Counters live in KV, so limits are best-effort under heavy concurrency.
+ */
+export async function chargeRequest(env, key, output, cost = MODE_COSTS[output]) {
+  if (!hasScope(key, output)) {
+    return { status: 403, body: { error: `API key '${key.id}' is not allowed to use output '${output}'`, scopes: key.scopes } };
+  }
+
+  cost ||= { renders: 0, ai: 0 };
+  if (!cost.renders && !cost.ai) return null;
+
+  const d = new Date();
+  const pending = [];
+  for (const [period, def] of Object.entries(PERIODS)) {
+    const limits = key.quotas?.[period];
+    if (!limits) continue;
+    const k = counterKey(key.id, period, def.bucket(d));
+    const used = (await stateGetJSON(env, k)) || { renders: 0, ai: 0 };
+    for (const metric of ["renders", "ai"]) {
+      const limit = limits[metric];
+      if (limit == null || !cost[metric]) continue;
+      if (used[metric] + cost[metric] > limit) {
+        const retryAfter = Math.ceil((def.resetsAt(d) - d.getTime()) / 1000);
+        return {
+          status: 429,
+          body: { error: `Quota exceeded: ${period} ${metric} limit of ${limit} reached for key '${key.id}'`, quota: { period, metric, limit, used: used[metric] } },
+          headers: { "Retry-After": String(retryAfter) },
+        };
+      }
+    }
+    pending.push([k, { renders: used.renders + cost.renders, ai: used.ai + cost.ai }, def.ttl]);
+  }
+
+  for (const [k, value, ttl] of pending) await statePutJSON(env, k, value, ttl);
+  return null;
+}
@@ -4,10 +4,199 @@ export const OUTPUT_MODES = [
   "html",
   "structure",
   "screenshot",
+  "pdf",
+  "network",
+  "console",
+  "performance",
+  "accessibility",
+  "seo",
+  "markdown",
+  "text",
+  "visual-diff",
+  "structure-diff",
   "ai-describe",
   "screenshotandai-describe",
   "ai",
   "merged-structure",
-,
   "clear-cache"
-];
\ No newline at end of file
+];
+
+// Async jobs: how long job state/results are kept, and the largest payload sent through JOBS_QUEUE
+export const JOB_TTL_SECONDS = 24 * 60 * 60;
+export const MAX_QUEUE_MESSAGE_BYTES = 100 * 1024;
+// A running job with no progress write for this long is reported failed: its runner was cut off
+export const JOB_STALE_SECONDS = { waitUntil: 60, queue: 60 * 60 };
+
+// Webhook delivery (job callbacks, watch alerts): attempts per payload and per-attempt timeout.
+// Job callbacks are retried through JOBS_QUEUE after CALLBACK_RETRY_DELAY_SECONDS (doubling);
+// watch alerts are retried in the cron invocation after CALLBACK_BACKOFF_MS (doubling).
+export const CALLBACK_MAX_ATTEMPTS = 5;
+export const CALLBACK_RETRY_DELAY_SECONDS = 30;
+export const CALLBACK_BACKOFF_MS = 1000;
+export const CALLBACK_TIMEOUT_MS = 10000;
+
+// AI structure snapshots (screenshotandai-describe / merged-structure), kept per target for structure-diff
+export const SNAPSHOT_TTL_SECONDS = 365 * 24 * 60 * 60;
+export const MAX_SNAPSHOTS_PER_TARGET = 100;
+
+// Watchlist (scheduled re-runs via Cron Triggers): schedule → interval in minutes
+export const WATCH_SCHEDULES = { "15m": 15, "30m": 30, "1h": 60, "6h": 360, "12h": 720, "1d": 1440, "7d": 10080 };
+export const MAX_WATCHES_PER_KEY = 50;
+export const MAX_WATCH_HISTORY = 100;
+// Runs started per cron tick and in parallel; the rest wait for the next tick
+export const MAX_WATCH_RUNS_PER_TICK = 10;
+export const WATCH_RUN_CONCURRENCY = 2;
+// Alert when the screenshot differs by more than this % of pixels / the structure by this many sections
+export const DEFAULT_WATCH_THRESHOLDS = { screenshotPercent: 1, structureChanges: 1 };
+
+// /batch limits (Browser Rendering caps concurrent sessions per account). A batch answers
+// synchronously, so it must finish within one request: ~20 renders at 3–10 in parallel
+export const MAX_BATCH_TARGETS = 20;
+export const DEFAULT_BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_CONCURRENCY = 10;
+
+// Browser Rendering sessions stay alive this long after the last disconnect so they can be reused (max 10 min)
+export const DEFAULT_BROWSER_KEEP_ALIVE_MS = 5 * 60 * 1000;
+export const MAX_BROWSER_KEEP_ALIVE_MS = 10 * 60 * 1000;
+
+// Quota cost per output mode: browser renders and AI calls consumed by one request
+export const MODE_COSTS = {
+  "html": { renders: 1, ai: 0 },
+  "structure": { renders: 1, ai: 0 },
+  "screenshot": { renders: 1, ai: 0 },
+  "pdf": { renders: 1, ai: 0 },
+  "network": { renders: 1, ai: 0 },
+  "console": { renders: 1, ai: 0 },
+  "performance": { renders: 1, ai: 0 },
+  "accessibility": { renders: 1, ai: 0 },
+  "seo": { renders: 1, ai: 0 },
+  "markdown": { renders: 1, ai: 0 },
+  "text": { renders: 1, ai: 0 },
+  "visual-diff": { renders: 1, ai: 0 },
+  "structure-diff": { renders: 0, ai: 0 },
+  "ai-describe": { renders: 0, ai: 1 },
+  "screenshotandai-describe": { renders: 1, ai: 1 },
+  "ai": { renders: 1, ai: 1 },
+  "merged-structure": { renders: 1, ai: 2 },
+  "clear-cache": { renders: 0, ai: 0 },
+};
+
+// Scripted interactions (`actions` param)
+export const MAX_ACTIONS = 50;
+export const DEFAULT_ACTION_TIMEOUT_MS = 10000;
+export const MAX_ACTION_TIMEOUT_MS = 30000;
+
+// Most crops (clipSelector / clip) captured from one render
+export const MAX_CROPS = 20;
+
+// output=visual-diff: baselines live in KV_STATE (25 MiB value limit, base64 adds a third)
+export const MAX_BASELINE_BYTES = 15 * 1024 * 1024;
+export const BASELINE_NAME_PATTERN = /^[\w.-]{1,100}$/;
+// Changed regions are clustered on a grid of this many px; at most MAX_DIFF_REGIONS are listed
+export const DIFF_REGION_CELL_PX = 16;
+export const MAX_DIFF_REGIONS = 100;
+
+// Request blocking (blockResourceTypes / blockAds)
+export const BLOCKABLE_RESOURCE_TYPES = ["image", "font", "media", "stylesheet", "script", "texttrack", "manifest", "other"];
+
+// Typical transfer sizes used to estimate bytes saved by blocking (aborted requests report no size)
+export const ESTIMATED_BYTES_BY_TYPE = {
+  image: 60 * 1024,
+  media: 500 * 1024,
+  font: 40 * 1024,
+  stylesheet: 25 * 1024,
+  script: 80 * 1024,
+  xhr: 10 * 1024,
+  fetch: 10 * 1024,
+  document: 50 * 1024,
+  other: 10 * 1024,
+};
+
+// blockAds=true: ad, analytics, tag-manager, chat-widget and session-replay hosts (subdomains included)
+export const AD_BLOCKLIST_DOMAINS = [
+  "doubleclick.net", "googlesyndication.com", "googleadservices.com", "google-analytics.com",
+  "googletagmanager.com", "googletagservices.com", "adservice.google.com", "analytics.google.com",
+  "facebook.net", "connect.facebook.net", "ads-twitter.com", "analytics.twitter.com", "ads.linkedin.com",
+  "snap.licdn.com", "bat.bing.com", "clarity.ms", "hotjar.com", "hotjar.io", "fullstory.com",
+  "mouseflow.com", "crazyegg.com", "luckyorange.com", "segment.com", "segment.io", "mixpanel.com",
+  "amplitude.com", "heapanalytics.com", "matomo.cloud", "newrelic.com", "nr-data.net", "quantserve.com",
+  "scorecardresearch.com", "chartbeat.com", "taboola.com", "outbrain.com", "criteo.com", "criteo.net",
+  "adnxs.com", "rubiconproject.com", "pubmatic.com", "openx.net", "casalemedia.com", "amazon-adsystem.com",
+  "moatads.com", "adsrvr.org", "analytics.tiktok.com", "intercom.io",
+  "intercomcdn.com", "widget.intercom.io", "js.driftt.com", "drift.com", "zdassets.com", "zopim.com",
+  "livechatinc.com", "tawk.to", "crisp.chat", "hs-analytics.net", "hs-scripts.com",
+  "optimizely.com",
+];
+
+// Network capture (output=network / includeNetwork): entries kept per render
+export const MAX_NETWORK_ENTRIES = 1000;
+
+// Diagnostics capture (output=console / includeDiagnostics): entries kept per list
+export const MAX_DIAGNOSTIC_ENTRIES = 200;
+
+// Core Web Vitals "good" / "poor" boundaries (ms, CLS unitless)
+export const WEB_VITALS_THRESHOLDS = {
+  lcp: { good: 2500, poor: 4000 },
+  cls: { good: 0.1, poor: 0.25 },
+  fcp: { good: 1800, poor: 3000 },
+  ttfb: { good: 800, poor: 1800 },
+  tbt: { good: 200, poor: 600 },
+};
+
+// output=seo: lengths search engines typically display before truncating, and the thin-content floor
+export const SEO_LIMITS = {
+  titleMin: 10,
+  titleMax: 60,
+  descriptionMin: 50,
+  descriptionMax: 160,
+  minWords: 250,
+};
+
+// `networkThrottling` profiles (DevTools values: bytes/s and added round-trip latency in ms)
+export const NETWORK_THROTTLING_PROFILES = {
+  "slow-3g": { download: ((500 * 1000) / 8) * 0.8, upload: ((500 * 1000) / 8) * 0.8, latency: 400 * 5 },
+  "fast-3g": { download: ((1.6 * 1000 * 1000) / 8) * 0.9, upload: ((750 * 1000) / 8) * 0.9, latency: 150 * 3.75 },
+  "slow-4g": { download: ((1.6 * 1000 * 1000) / 8) * 0.9, upload: ((750 * 1000) / 8) * 0.9, latency: 150 * 3.75 },
+  "fast-4g": { download: ((9 * 1000 * 1000) / 8) * 0.9, upload: ((1.5 * 1000 * 1000) / 8) * 0.9, latency: 60 * 2.75 },
+};
+export const MAX_CPU_THROTTLING = 20;
+
+// page.pdf() paper sizes accepted by `paperFormat`
+export const PDF_PAPER_FORMATS = ["letter", "legal", "tabloid", "ledger", "a0", "a1", "a2", "a3", "a4", "a5", "a6"];
+
+// Named `device` presets: viewport, DPR, touch/mobile flags and UA (aliases below)
+const IOS_UA = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+const IPAD_UA = "Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+const ANDROID_UA = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36";
+const DESKTOP_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36";
+
+export const DEVICE_PRESETS = {
+  "iphone-15": { width: 393, height: 852, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_UA },
+  "iphone-15-pro-max": { width: 430, height: 932, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_UA },
+  "iphone-se": { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IOS_UA },
+  "pixel-8": { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true, userAgent: ANDROID_UA },
+  "ipad": { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_UA },
+  "ipad-pro": { width: 1024, height: 1366, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_UA },
+  "desktop": { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: DESKTOP_UA },
+  "desktop-hd": { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: DESKTOP_UA },
+};
+
+export const DEVICE_ALIASES = {
+  iphone: "iphone-15",
+  pixel: "pixel-8",
+  android: "pixel-8",
+  tablet: "ipad",
+  mobile: "iphone-15",
+  hd: "desktop-hd",
+};
+
+// User agents that get prerendered HTML on /render/<url> (case-insensitive substrings)
+export const BOT_USER_AGENTS = [
+  "googlebot", "google-inspectiontool", "adsbot-google", "mediapartners-google", "storebot-google",
+  "bingbot", "bingpreview", "msnbot", "yandex", "baiduspider", "duckduckbot", "slurp", "applebot",
+  "petalbot", "sogou", "seznambot", "facebookexternalhit", "facebookcatalog", "twitterbot", "linkedinbot",
+  "pinterest", "slackbot", "discordbot", "telegrambot", "whatsapp", "skypeuripreview", "redditbot",
+  "embedly", "quora link preview", "showyoubot", "outbrain", "vkshare", "w3c_validator", "tumblr",
+  "bitlybot", "nuzzel", "qwantify", "chrome-lighthouse", "gptbot", "oai-searchbot", "chatgpt-user",
+  "claudebot", "perplexitybot", "ccbot",
+];
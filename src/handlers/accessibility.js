@@ -0,0 +1,93 @@
+// src/handlers/accessibility.js
+import { json, normalizeToJSONObject } from "../utils/http.js";
+import { logStart, logDone, logInfo, now } from "../utils/logging.js";
+import { renderPage, imageForAI } from "../render/browser.js";
+import { renderOptionsFromParams, screenshotOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { auditAccessibility } from "../parsers/accessibilityAudit.js";
+import { postToAI, buildPromptWithSource, resolveAIConfig } from "../ai/client.js";
+import { ACCESSIBILITY_PROMPT, ACCESSIBILITY_REVIEW_SCHEMA } from "../ai/schema.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+
+// Findings passed to the AI as "already reported"; snippets and extras are dropped to keep the prompt small
+const MAX_FINDINGS_IN_PROMPT = 100;
+
+/**
+ * output=accessibility: rule-based audit of the rendered DOM (alt text, names, labels, headings,
+ * contrast, lang, landmarks) with a severity, selector and explanation per finding.
+ * aiReview=true also sends a screenshot to the AI for visual-only issues (one extra AI call);
+ * includeTree=true adds Chrome's accessibility tree.
+ */
+export async function handleAccessibility(env, params, tag, rid, progress = noopProgress) {
+  const cacheKey = await buildCacheKey("accessibility", params);
+  const cached = await cacheGet(env, cacheKey);
+  if (cached) return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS);
+
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const aiReview = String(params.aiReview) === "true";
+  const ai = aiReview ? resolveAIConfig(env, params) : null;
+  if (ai && !ai.endpoint) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
+
+  const tAll = logStart(tag, `output=accessibility aiReview=${aiReview}`);
+  progress.step("rendering");
+  let audit = null;
+  const rendered = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    screenshot: aiReview ? screenshotOptionsFromParams(params) : null,
+    beforeCapture: async (page) => {
+      const tAudit = now();
+      audit = await auditAccessibility(page, params.target, { includeTree: String(params.includeTree) === "true" });
+      logDone(tag, tAudit, `accessibility audit findings=${audit.summary.findings}`);
+    },
+    tag: `${tag}/render`,
+  });
+
+  const body = { ...audit, finalUrl: rendered.metadata.finalUrl, status: rendered.metadata.status };
+
+  let complete = true;
+  if (aiReview) {
+    const shot = imageForAI(rendered.screenshot);
+    const findings = audit.findings.slice(0, MAX_FINDINGS_IN_PROMPT).map(({ rule, severity, selector }) => ({ rule, severity, selector }));
+    const prompt = (params.prompt && params.prompt.trim()) || ACCESSIBILITY_PROMPT;
+    logInfo(tag, `accessibility: AI review of ${shot.mime} ${shot.data?.length || 0}B`);
+    progress.step("ai");
+    const tAi = now();
+    try {
+      const raw = await postToAI({
+        ...ai,
+        prompt: buildPromptWithSource(prompt.replace("{{FINDINGS_JSON}}", JSON.stringify(findings)), params.target, rendered.metadata.viewport, shot.region),
+        url: params.target,
+        screenshotPng: shot.data,
+        mime: shot.mime,
+        reqId: `${rid}-a11y`,
+        format: "json",
+        schema: ACCESSIBILITY_REVIEW_SCHEMA,
+      });
+      // postToAI reports provider failures as { error, status } instead of throwing
+      if (raw?.error) {
+        const message = typeof raw.error === "string" ? raw.error : raw.error.message || JSON.stringify(raw.error);
+        throw new Error(`AI provider returned HTTP ${raw.status}: ${message}`);
+      }
+      const review = normalizeToJSONObject(raw) || {};
+      if (!Array.isArray(review.issues)) throw new Error("AI review did not follow the issues/summary schema");
+      body.aiReview = { issues: review.issues, summary: String(review.summary || "") };
+      logDone(tag, tAi, "accessibility AI review obtained");
+    } catch (err) {
+      // The DOM audit is still useful on its own; report the AI failure next to it
+      console.error(`[${tag}] accessibility AI review ERROR`, err?.stack || err?.message || String(err));
+      body.aiReview = { error: err?.message || "AI review failed" };
+      complete = false;
+    }
+  }
+
+  Object.assign(body, renderReport(rendered.metadata));
+  logDone(tag, tAll, `output=accessibility DONE findings=${audit.summary.findings}`);
+
+  if (complete) await cachePut(env, cacheKey, JSON.stringify(body));
+  return json(body, 200);
+}
@@ -1,62 +1,53 @@
 // src/handlers/aiCombined.js
 import { json, corsHeaders, toBase64 } from "../utils/http.js";
 import { logStart, logDone, logInfo, now } from "../utils/logging.js";
-import { renderAndScreenshot } from "../render/browser.js";
+import { renderAndScreenshot, imageForAI } from "../render/browser.js";
+import { renderOptionsFromParams, screenshotOptionsFromParams } from "../render/options.js";
 import { SCREENSHOT_ANALYSIS_PROMPT } from "../ai/schema.js";
-import { postToAI, buildPromptWithSource } from "../ai/client.js";
+import { postToAI, buildPromptWithSource, resolveAIConfig } from "../ai/client.js";
 import { sanitizeSchema, normalizeToJSONObject } from "../utils/http.js";
-import { buildCacheKey, cacheGet, cachePut } from "../utils/cache.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+import { renderReport, renderReportHeaders } from "../render/report.js";
+import { saveSnapshot } from "../snapshots/snapshots.js";
 
-export async function handleAiCombined(env, params, tag, rid) {
+export async function handleAiCombined(env, params, tag, rid, progress = noopProgress, owner = null) {
   // cache: screenshotandai-describe get
-  const cacheKey = buildCacheKey("screenshotandai-describe", params);
+  const cacheKey = await buildCacheKey("screenshotandai-describe", params);
   const cached = await cacheGet(env, cacheKey);
-  if (cached) { return json(JSON.parse(cached), 200); }
+  if (cached) { return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS); }
   if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
-  if (!env.AI_ENDPOINT) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
+  const ai = resolveAIConfig(env, params);
+  if (!ai.endpoint) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
   if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
 
   const tAll = logStart(tag, "output=screenshotandai-describe");
-  const viewport = {
-    width: parseInt(params.viewportWidth || "1024", 10),
-    height: parseInt(params.viewportHeight || "768", 10),
-  };
-  const imageType = (params.imageType || "jpeg").toLowerCase();
-  const imageQuality = parseInt(params.imageQuality || "60", 10);
-  const fullPage = (params.fullPage || "false") === "true";
-  const extraWaitMs = parseInt(params.waitMs || "700", 10);
-
   logInfo(tag, "Step 1: Screenshot capture START");
   const tShot = now();
+  progress.step("rendering");
   const shot = await renderAndScreenshot({
     env,
     targetUrl: params.target,
-    viewport,
-    extraWaitMs,
-    selectorToWaitFor: params.selectorToWaitFor || null,
-    imageType,
-    imageQuality,
-    fullPage,
+    ...renderOptionsFromParams(params, { viewportWidth: "1024", viewportHeight: "768" }),
+    ...screenshotOptionsFromParams(params),
   });
-  logDone(tag, tShot, `Screenshot captured mime=${shot.mime} size=${shot.data?.length || 0}B`);
+  const image = imageForAI(shot);
+  logDone(tag, tShot, `Screenshot captured mime=${image.mime} size=${image.data?.length || 0}B${image.region ? " (crop)" : ""}`);
 
-  const model = params.model || env.OPENAI_MODEL || "gpt-4o-mini";
   const format = (params.format || "json").toLowerCase();
   const basePrompt = params.prompt && params.prompt.trim().length > 0 ? params.prompt : SCREENSHOT_ANALYSIS_PROMPT;
-  const finalPrompt = buildPromptWithSource(basePrompt, params.target);
+  const finalPrompt = buildPromptWithSource(basePrompt, params.target, shot.metadata?.viewport, image.region);
 
-  logInfo(tag, `Step 2: AI call START endpoint=${env.AI_ENDPOINT} model=${model} format=${format}`);
+  logInfo(tag, `Step 2: AI call START provider=${ai.provider} endpoint=${ai.endpoint} model=${ai.model} format=${format}`);
   const tAI = now();
+  progress.step("ai");
   const aiResponse = await postToAI({
-    endpoint: env.AI_ENDPOINT,
-    apiKey: env.AI_API_KEY,
+    ...ai,
     prompt: finalPrompt,
     url: params.target,
-    screenshotPng: shot.data,
-    timeoutMs: parseInt(env.AI_TIMEOUT_MS || "60000", 10),
-    mime: shot.mime,
+    screenshotPng: image.data,
+    mime: image.mime,
     reqId: rid,
-    model,
     format,
   });
   logDone(tag, tAI, "AI call DONE");
@@ -64,10 +55,22 @@ export async function handleAiCombined(env, params, tag, rid) {
 
   if (format === "json") {
     const obj = sanitizeSchema(normalizeToJSONObject(aiResponse));
-    if (params.includeScreenshot === "true" && shot?.data) {
-      obj._screenshot = { mime: shot.mime, base64: toBase64(shot.data) };
+    // Provider errors and unparseable replies carry `error`: returned, but never cached or snapshotted
+    const failed = !!obj.error;
+    if (params.includeScreenshot === "true" && image.data) {
+      obj._screenshot = { mime: image.mime, base64: toBase64(image.data), ...(image.region ? { region: image.region } : {}) };
+    }
+    Object.assign(obj, renderReport(shot.metadata));
+    // Crops describe one component, not the page; only whole-page structures are snapshotted
+    if (!image.region && !failed) {
+      const snapshot = await saveSnapshot(env, { owner, target: params.target, output: "screenshotandai-describe", analysis: obj, finalUrl: shot.metadata.finalUrl });
+      if (snapshot) obj._snapshot = snapshot;
+    }
+    // The cache is shared by all keys; snapshot ids are per key
+    if (!failed) {
+      const { _snapshot, ...cacheable } = obj;
+      await cachePut(env, cacheKey, JSON.stringify(cacheable));
     }
-    await cachePut(env, cacheKey, JSON.stringify(obj));
     return json(obj, 200);
   }
 
@@ -77,6 +80,7 @@ export async function handleAiCombined(env, params, tag, rid) {
       ...corsHeaders(),
       "Content-Type":
         typeof aiResponse === "string" ? "text/plain; charset=utf-8" : "application/json; charset=utf-8",
+      ...renderReportHeaders(shot.metadata),
     },
   });
 }
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/handlers/aiDescribe.js
+import { json, corsHeaders, fromBase64, normalizeToJSONObject, sanitizeSchema } from "../utils/http.js";
+import { SCREENSHOT_ANALYSIS_PROMPT } from "../ai/schema.js";
+import { postToAI, buildPromptWithSource, resolveAIConfig } from "../ai/client.js";
+import { noopProgress } from "../utils/progress.js";
+
+export async function handleAiDescribe(env, params, tag, rid, progress = noopProgress) {
+  const ai = resolveAIConfig(env, params);
+  if (!ai.endpoint) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
+  const imgB64 = params.imageBase64;
+  const imgMime = params.imageMime || "image/jpeg";
+  if (!imgB64) return json({ error: "Missing 'imageBase64' parameter for ai-describe" }, 400);
+  let bytes;
+  try { bytes = fromBase64(imgB64); } catch { return json({ error: "Invalid imageBase64" }, 400); }
+  const format = (params.format || "json").toLowerCase();
+  const basePrompt = params.prompt && params.prompt.trim().length > 0 ? params.prompt : SCREENSHOT_ANALYSIS_PROMPT;
+  const finalPrompt = buildPromptWithSource(basePrompt, params.target || "");
+  try {
+    progress.step("ai");
+    const aiResponse = await postToAI({
+      ...ai,
+      prompt: finalPrompt,
+      url: params.target || "",
+      screenshotPng: bytes,
+      mime: imgMime,
+      reqId: rid,
+      format,
+    });
+    if (format === "json") {
+      const obj = sanitizeSchema(normalizeToJSONObject(aiResponse));
+      return json(obj, 200);
+    }
+    return new Response(typeof aiResponse === "string" ? aiResponse : JSON.stringify(aiResponse, null, 2), {
+      status: 200,
+      headers: { ...corsHeaders(), "Content-Type": "application/json; charset=utf-8" },
+    });
+  } catch (err) {
+    console.error(`[${tag}] ai-describe ERROR`, err?.stack || err?.message || String(err));
+    return json({ error: err?.message || "AI describe failed" }, 500);
+  }
+}
@@ -0,0 +1,34 @@
+// src/handlers/baselines.js
+import { json } from "../utils/http.js";
+import { hasStateStore } from "../utils/store.js";
+import { hasScope } from "../auth/apiKeys.js";
+import { listBaselines, getBaselineInfo, deleteBaseline } from "../render/visualDiff.js";
+
+const MISSING_STORE = "Missing KV_STATE (or KV_CACHE) binding for baselines";
+
+// Baselines are saved by output=visual-diff; a key without that scope cannot see or delete them
+function scopeError(key) {
+  if (hasScope(key, "visual-diff")) return null;
+  return json({ error: `API key '${key.id}' is not allowed to use output 'visual-diff'`, scopes: key.scopes }, 403);
+}
+
+// GET /baselines — names of the key's visual-diff baselines
+export async function handleBaselines(env, key) {
+  if (!hasStateStore(env)) return json({ error: MISSING_STORE }, 500);
+  const denied = scopeError(key);
+  if (denied) return denied;
+  return json({ baselines: await listBaselines(env, key.id) }, 200);
+}
+
+// GET / DELETE /baselines/:name — baselines are stored per key, so only the saving key finds them
+export async function handleBaseline(env, method, name, key) {
+  if (!hasStateStore(env)) return json({ error: MISSING_STORE }, 500);
+  const denied = scopeError(key);
+  if (denied) return denied;
+  const info = await getBaselineInfo(env, key.id, name);
+  if (!info) return json({ error: `Baseline '${name}' not found` }, 404);
+
+  if (method === "GET") return json(info, 200);
+  await deleteBaseline(env, key.id, name);
+  return json({ name, deleted: true }, 200);
+}
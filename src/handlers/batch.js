@@ -0,0 +1,67 @@
+// src/handlers/batch.js
+import { json, readResponseBody } from "../utils/http.js";
+import { logStart, logDone, logInfo, now } from "../utils/logging.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { noopProgress } from "../utils/progress.js";
+import { dispatchOutput, admitRequest } from "./dispatch.js";
+import { MAX_BATCH_TARGETS, DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY } from "../config/constants.js";
+
+/**
+ * POST /batch
+ * { "targets": ["https://a", { "target": "https://b", "fullPage": "true" }], "output": "structure",
+ *   "concurrency": 3, ...shared /analyze params }
+ * Each target runs through the normal dispatch (so KV cache hits skip rendering);
+ * per-target failures (including policy, scope and quota denials) are reported in place and never fail the whole batch.
+ */
+export async function handleBatch(env, body, tag, rid, key) {
+  const { targets, concurrency, ...shared } = body || {};
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return json({ error: "Missing 'targets' array" }, 400);
+  }
+  // Batches answer synchronously; an ignored callbackUrl would never fire
+  if (shared.callbackUrl || targets.some((t) => t?.callbackUrl)) {
+    return json({ error: "'callbackUrl' is not supported on /batch; POST one /analyze request per target instead" }, 400);
+  }
+  if (targets.length > MAX_BATCH_TARGETS) {
+    return json({
+      error: `Too many targets (${targets.length}); max is ${MAX_BATCH_TARGETS}. ` +
+        "Split the list, or POST one /jobs request per target for larger runs",
+    }, 400);
+  }
+  const limit = Math.max(1, Math.min(MAX_BATCH_CONCURRENCY, parseInt(concurrency || DEFAULT_BATCH_CONCURRENCY, 10) || 1));
+
+  const tAll = logStart(tag, `batch targets=${targets.length} concurrency=${limit} output=${shared.output}`);
+  const results = await mapWithConcurrency(targets, limit, async (item, i) => {
+    const params = typeof item === "string" ? { ...shared, target: item } : { ...shared, ...item };
+    const itemTag = `${tag}/${i}`;
+    const t0 = now();
+    const base = { index: i, target: params.target || null, output: params.output || null };
+
+    const denied = await admitRequest(env, key, params);
+    if (denied) return { ...base, ok: false, status: denied.status, cache: "MISS", ms: 0, ...denied.body };
+
+    try {
+      const res = await dispatchOutput(env, params, itemTag, `${rid}-${i}`, noopProgress, key.id);
+      const cache = res.headers.get("X-Cache") === "HIT" ? "HIT" : "MISS";
+      const result = await readResponseBody(res);
+      const entry = { ...base, ok: res.ok, cache, ms: now() - t0, ...result };
+      if (!res.ok) entry.error = result.body?.error || `HTTP ${res.status}`;
+      logInfo(itemTag, `status=${res.status} cache=${cache} ms=${entry.ms}`);
+      return entry;
+    } catch (err) {
+      console.error(`[${itemTag}] ERROR`, err?.stack || err?.message || String(err));
+      return { ...base, ok: false, status: 500, cache: "MISS", ms: now() - t0, error: err?.message || "Batch item failed" };
+    }
+  });
+
+  const summary = {
+    total: results.length,
+    succeeded: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    cacheHits: results.filter((r) => r.cache === "HIT").length,
+    concurrency: limit,
+    durationMs: now() - tAll,
+  };
+  logDone(tag, tAll, `batch DONE ok=${summary.succeeded} failed=${summary.failed} hits=${summary.cacheHits}`);
+  return json({ summary, results }, 200);
+}
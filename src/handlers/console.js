@@ -0,0 +1,37 @@
+// src/handlers/console.js
+import { json } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { noopProgress } from "../utils/progress.js";
+
+/**
+ * output=console: load the page and return what it reported along the way —
+ * console messages, uncaught exceptions, failed requests, HTTP errors and dialogs.
+ * Not cached: this is a debugging view of one particular load.
+ */
+export async function handleConsole(env, params, tag, rid, progress = noopProgress) {
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const tAll = logStart(tag, "output=console");
+  progress.step("rendering");
+  const { metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    tag: `${tag}/render`,
+  });
+  logDone(tag, tAll, `output=console DONE jsErrors=${metadata.diagnostics.summary.jsErrors}`);
+
+  const { _diagnostics, ...report } = renderReport(metadata);
+  return json({
+    url: params.target,
+    finalUrl: metadata.finalUrl,
+    status: metadata.status,
+    title: metadata.title,
+    diagnostics: _diagnostics,
+    ...report,
+  }, 200);
+}
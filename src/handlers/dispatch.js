@@ -0,0 +1,184 @@
+// src/handlers/dispatch.js
+import { json } from "../utils/http.js";
+import { buildCacheKey, cacheGet, cacheDeletePrefix } from "../utils/cache.js";
+import { OUTPUT_MODES, MODE_COSTS } from "../config/constants.js";
+import { safeHandler } from "../utils/safeHandler.js";
+import { resolveProviderName } from "../ai/providers.js";
+import { validateActions } from "../render/actions.js";
+import {
+  requestOptionsFromParams,
+  emulationFromParams,
+  cropsFromParams,
+  pdfOptionsFromParams,
+  networkModeFromParams,
+  readableOptionsFromParams,
+  visualDiffOptionsFromParams,
+} from "../render/options.js";
+import { blockingFromParams } from "../render/blocking.js";
+import { noopProgress } from "../utils/progress.js";
+import { targetPolicyFromEnv, assertTargetAllowed, TargetPolicyError } from "../utils/targetPolicy.js";
+import { chargeRequest } from "../auth/quotas.js";
+
+import { handleHtml } from "./html.js";
+import { handleStructure } from "./structure.js";
+import { handleScreenshot } from "./screenshot.js";
+import { handlePdf } from "./pdf.js";
+import { handleNetwork } from "./network.js";
+import { handleConsole } from "./console.js";
+import { handlePerformance } from "./performance.js";
+import { handleAccessibility } from "./accessibility.js";
+import { handleSeo } from "./seo.js";
+import { handleReadable } from "./readable.js";
+import { handleVisualDiff } from "./visualDiff.js";
+import { handleStructureDiff } from "./structureDiff.js";
+import { handleAiDescribe } from "./aiDescribe.js";
+import { handleAiCombined } from "./aiCombined.js";
+import { handleMergedStructure } from "./merge.js";
+
+// Output modes whose handler answers from KV_CACHE, and the namespace it passes to buildCacheKey
+const CACHE_NAMESPACE_BY_OUTPUT = {
+  html: "html",
+  structure: "structure",
+  screenshot: "screenshot",
+  pdf: "pdf",
+  seo: "seo",
+  accessibility: "accessibility",
+  markdown: "markdown",
+  text: "text",
+  "screenshotandai-describe": "screenshotandai-describe",
+  ai: "screenshotandai-describe",
+};
+
+// Modes that send a rendered screenshot (or one crop of it) to the AI
+const AI_IMAGE_MODES = ["screenshotandai-describe", "ai", "merged-structure"];
+
+/**
+ * Returns an error message for params that can never succeed, or null.
+ * Checked up front so /analyze, /jobs and friends reject them the same way.
+ */
+export function validateParams(params) {
+  const { output } = params || {};
+  if (!output || !OUTPUT_MODES.includes(output)) {
+    return `Missing or invalid 'output'. Use one of: ${OUTPUT_MODES.join(" | ")}`;
+  }
+  if (params.provider) {
+    try { resolveProviderName(params.provider); } catch (e) { return e.message; }
+  }
+  const badActions = validateActions(params.actions);
+  if (badActions) return badActions;
+  try {
+    requestOptionsFromParams(params);
+    emulationFromParams(params);
+    blockingFromParams(params);
+    const { crops, multi } = cropsFromParams(params);
+    const sendsImage = AI_IMAGE_MODES.includes(output) || (output === "accessibility" && String(params.aiReview) === "true");
+    if (crops.length > 1 && sendsImage) {
+      return `'${output}' sends one image to the AI; pass a single clipSelector or clip`;
+    }
+    const binary = ["html", "pdf"].includes(output) || (output === "screenshot" && !multi);
+    if (networkModeFromParams(params) && output !== "network" && binary) {
+      return `'includeNetwork' needs a JSON output; use output=network for '${output}' pages`;
+    }
+    if (String(params.includePerformance) === "true" && binary) {
+      return `'includePerformance' needs a JSON output; use output=performance for '${output}' pages`;
+    }
+    if (output === "pdf") pdfOptionsFromParams(params);
+    if (output === "markdown" || output === "text") readableOptionsFromParams(params);
+    if (output === "visual-diff") visualDiffOptionsFromParams(params);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+/**
+ * Everything a request must pass before any work starts, in order:
+ * params (400), target and callbackUrl policy (400), key scope (403) and quota (429).
+ * Requests answered from a cache are not charged. `cached` says whether this one will be; when
+ * omitted, KV_CACHE is checked the way dispatchOutput will read it (an entry that expires in
+ * between is rendered for free). `charge: false` runs every check but counts nothing.
+ * Returns null when admitted, otherwise { status, body, headers } for json().
+ */
+export async function admitRequest(env, key, params, { cached, charge = true } = {}) {
+  const invalid = validateParams(params);
+  if (invalid) return { status: 400, body: { error: invalid } };
+
+  // 501: the deployment lacks what callbacks need; the same request without callbackUrl still works
+  if (params.callbackUrl && !env.CALLBACK_SECRET) {
+    return { status: 501, body: { error: "callbackUrl is not available: the CALLBACK_SECRET secret to sign deliveries is not set" } };
+  }
+  // ctx.waitUntil is cut off ~30 s after the response: callback jobs and their retries run on the queue
+  if (params.callbackUrl && !env.JOBS_QUEUE) {
+    return { status: 501, body: { error: "callbackUrl is not available: the JOBS_QUEUE binding that runs the job and retries deliveries is not bound" } };
+  }
+
+  const renders = params.target && MODE_COSTS[params.output]?.renders;
+  if (renders || params.callbackUrl) {
+    try {
+      const policy = targetPolicyFromEnv(env);
+      if (renders) await assertTargetAllowed(params.target, policy);
+      if (renders && params.output === "visual-diff" && params.compareTarget) await assertTargetAllowed(params.compareTarget, policy);
+      // Callbacks are requests from the worker like renders: same SSRF rules, but the allow/deny
+      // domain lists are about what may be rendered, not where results may be sent
+      if (params.callbackUrl) await assertTargetAllowed(params.callbackUrl, policy, { domainLists: false });
+    } catch (e) {
+      if (!(e instanceof TargetPolicyError)) throw e;
+      return { status: 400, body: { error: e.message, ...e.details } };
+    }
+  }
+
+  const free = !charge || (cached ?? (await isCached(env, params)));
+  const cost = free ? { renders: 0, ai: 0 } : requestCost(params);
+  return await chargeRequest(env, key, params.output, cost);
+}
+
+// Whether dispatchOutput would serve these params from KV_CACHE without rendering
+async function isCached(env, params) {
+  const namespace = CACHE_NAMESPACE_BY_OUTPUT[params.output];
+  return !!namespace && (await cacheGet(env, await buildCacheKey(namespace, params))) != null;
+}
+
+// Options that add work on top of MODE_COSTS: accessibility aiReview=true is one more AI call,
+// visual-diff against a compareTarget is a second render
+function requestCost(params) {
+  const cost = MODE_COSTS[params.output];
+  if (params.output === "accessibility" && String(params.aiReview) === "true") return { ...cost, ai: cost.ai + 1 };
+  if (params.output === "visual-diff" && params.compareTarget) return { ...cost, renders: cost.renders + 1 };
+  return cost;
+}
+
+/**
+ * Route validated params to the handler for their output mode.
+ * `owner` is the API key id; stored per-key data (snapshots, baselines) is scoped to it.
+ */
+export async function dispatchOutput(env, params, tag, rid, progress = noopProgress, owner = null) {
+  const { output } = params;
+
+  if (output === "html") return await safeHandler(handleHtml)(env, params, tag, rid, progress, owner);
+  if (output === "structure") return await safeHandler(handleStructure)(env, params, tag, rid, progress, owner);
+  if (output === "screenshot") return await safeHandler(handleScreenshot)(env, params, tag, rid, progress, owner);
+  if (output === "pdf") return await safeHandler(handlePdf)(env, params, tag, rid, progress, owner);
+  if (output === "network") return await safeHandler(handleNetwork)(env, params, tag, rid, progress, owner);
+  if (output === "console") return await safeHandler(handleConsole)(env, params, tag, rid, progress, owner);
+  if (output === "performance") return await safeHandler(handlePerformance)(env, params, tag, rid, progress, owner);
+  if (output === "accessibility") return await safeHandler(handleAccessibility)(env, params, tag, rid, progress, owner);
+  if (output === "seo") return await safeHandler(handleSeo)(env, params, tag, rid, progress, owner);
+  if (output === "markdown" || output === "text") return await safeHandler(handleReadable)(env, params, tag, rid, progress, owner);
+  if (output === "visual-diff") return await safeHandler(handleVisualDiff)(env, params, tag, rid, progress, owner);
+  if (output === "structure-diff") return await safeHandler(handleStructureDiff)(env, params, tag, rid, progress, owner);
+  if (output === "ai-describe") return await safeHandler(handleAiDescribe)(env, params, tag, rid, progress, owner);
+  if (output === "screenshotandai-describe" || output === "ai") {
+    return await safeHandler(handleAiCombined)(env, params, tag, rid, progress, owner);
+  }
+
+  if (output === "merged-structure") return await safeHandler(handleMergedStructure)(env, params, tag, rid, progress, owner);
+
+  if (output === "clear-cache") {
+    // Only rendered-result namespaces are deleted; state sharing KV_CACHE is never touched
+    const prefix = (params.prefix || "").trim();
+    const res = await cacheDeletePrefix(env, prefix);
+    return json({ ok: true, ...res }, 200);
+  }
+
+  return json({ error: "Unhandled output type" }, 400);
+}
@@ -2,11 +2,14 @@
 import { json, corsHeaders } from "../utils/http.js";
 import { logStart, logDone } from "../utils/logging.js";
 import { renderPageGetHtml } from "../render/browser.js";
-import { buildCacheKey, cacheGet, cachePut } from "../utils/cache.js";
+import { renderReportHeaders } from "../render/report.js";
+import { pageSetupFromParams } from "../render/options.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
 
-export async function handleHtml(env, params, tag) {
+export async function handleHtml(env, params, tag, rid, progress = noopProgress) {
   // cache: html get
-  const cacheKey = buildCacheKey("html", params);
+  const cacheKey = await buildCacheKey("html", params);
   const cached = await cacheGet(env, cacheKey);
   if (cached) {
     return new Response(cached, {
@@ -15,13 +18,15 @@ export async function handleHtml(env, params, tag) {
         ...corsHeaders(),
         "Content-Type": "text/html; charset=utf-8",
         "Cache-Control": "public, max-age=300",
+        ...CACHE_HIT_HEADERS,
       },
     });
   }
 
   if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
   const tHtml = logStart(tag, "output=html START");
-  const { html } = await renderPageGetHtml(env, params.target);
+  progress.step("rendering");
+  const { html, metadata } = await renderPageGetHtml(env, params.target, pageSetupFromParams(params));
   logDone(tag, tHtml, "output=html DONE");
 
   // cache put html
@@ -33,6 +38,7 @@ export async function handleHtml(env, params, tag) {
       ...corsHeaders(),
       "Content-Type": "text/html; charset=utf-8",
       "Cache-Control": "public, max-age=300",
+      ...renderReportHeaders(metadata),
     },
   });
 }
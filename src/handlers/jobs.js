@@ -0,0 +1,29 @@
+// src/handlers/jobs.js
+import { json } from "../utils/http.js";
+import { hasStateStore } from "../utils/store.js";
+import { admitRequest } from "./dispatch.js";
+import { createJob, enqueueJob, getJob, fitsQueueMessage } from "../jobs/jobs.js";
+
+// POST /jobs (and /analyze with callbackUrl) — same params as /analyze, answers 202 with the job id
+export async function handleJobCreate(env, ctx, params, key) {
+  if (!hasStateStore(env)) return json({ error: "Missing KV_STATE (or KV_CACHE) binding for jobs" }, 500);
+  const denied = await admitRequest(env, key, params);
+  if (denied) return json(denied.body, denied.status, denied.headers);
+  // Callback jobs must run on the queue (admitRequest checked JOBS_QUEUE is bound)
+  if (params.callbackUrl && !fitsQueueMessage(params)) {
+    return json({ error: "Params are too large for a JOBS_QUEUE message; callbackUrl cannot be used with this request" }, 413);
+  }
+
+  const job = await createJob(env, params, key.id);
+  const { id, status, callback } = job;
+  const runner = await enqueueJob(env, ctx, job, params);
+  return json({ id, status, runner, statusUrl: `/jobs/${id}`, ...(callback && { callbackUrl: callback.url }) }, 202);
+}
+
+// GET /jobs/:id — only visible to the key that created it
+export async function handleJobStatus(env, id, key) {
+  if (!hasStateStore(env)) return json({ error: "Missing KV_STATE (or KV_CACHE) binding for jobs" }, 500);
+  const job = await getJob(env, id);
+  if (!job || (job.owner && job.owner !== key.id)) return json({ error: `Job '${id}' not found` }, 404);
+  return json(job, 200);
+}
@@ -1,61 +1,44 @@
 // src/handlers/merge.js
 import { json, toBase64 } from "../utils/http.js";
 import { logStart, logDone, logInfo, now } from "../utils/logging.js";
-import { renderPageGetHtml, renderAndScreenshot } from "../render/browser.js";
-import { parseHTML } from "../parsers/htmlParser.js";
-import { postToAI, buildPromptWithSource } from "../ai/client.js";
+import { renderPage, imageForAI } from "../render/browser.js";
+import { renderOptionsFromParams, screenshotOptionsFromParams } from "../render/options.js";
+import { postToAI, buildPromptWithSource, resolveAIConfig } from "../ai/client.js";
 import { MERGE_PROMPT, ANALYSIS_SCHEMA } from "../ai/schema.js";
 import { sanitizeSchema, normalizeToJSONObject } from "../utils/http.js";
+import { noopProgress } from "../utils/progress.js";
+import { renderReport } from "../render/report.js";
+import { saveSnapshot } from "../snapshots/snapshots.js";
 
 /**
  * merged-structure:
- * - Renders HTML and parses a rough DOM structure (structure)
- * - Captures a screenshot (screenshot)
+ * - Renders the page once, extracting the live DOM structure and a screenshot of the same state
  * - Runs screenshot analysis to produce a vision-first structure (screenshotandai-describe)
  * - Sends all three to the AI with MERGE_PROMPT to produce a single, strict JSON structure
  */
-export async function handleMergedStructure(env, params, tag, rid) {
+export async function handleMergedStructure(env, params, tag, rid, progress = noopProgress, owner = null) {
   if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
-  if (!env.AI_ENDPOINT) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
+  const ai = resolveAIConfig(env, params);
+  if (!ai.endpoint) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
   if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
 
   const target = params.target;
-  const model = params.model || env.OPENAI_MODEL || "gpt-4o-mini";
-  const format = (params.format || "json").toLowerCase();
 
-  // 1) Render and parse HTML to structure
-  logInfo(tag, "merged-structure: step 1/4 render HTML");
-  const tHtml = now();
-  const { html } = await renderPageGetHtml(env, target);
-  logDone(tag, tHtml, "HTML rendered");
-
-  const tParse = now();
-  const domStructure = parseHTML(html, target);
-  logDone(tag, tParse, "DOM structure parsed");
-
-  // 2) Screenshot
-  logInfo(tag, "merged-structure: step 2/4 screenshot");
-  const viewport = {
-    width: parseInt(params.viewportWidth || "1280", 10),
-    height: parseInt(params.viewportHeight || "1000", 10),
-  };
-  const imageType = (params.imageType || "jpeg").toLowerCase();
-  const imageQuality = parseInt(params.imageQuality || "60", 10);
-  const fullPage = (params.fullPage || "false") === "true";
-  const extraWaitMs = parseInt(params.waitMs || "700", 10);
-
-  const tShot = now();
-  const shot = await renderAndScreenshot({
+  // 1+2) Single render pass: DOM structure and screenshot from the same page state
+  logInfo(tag, "merged-structure: step 1-2/4 render DOM structure + screenshot");
+  const tRender = now();
+  progress.step("rendering");
+  const rendered = await renderPage({
     env,
     targetUrl: target,
-    viewport,
-    extraWaitMs,
-    selectorToWaitFor: params.selectorToWaitFor || null,
-    imageType,
-    imageQuality,
-    fullPage,
+    ...renderOptionsFromParams(params),
+    structure: true,
+    screenshot: screenshotOptionsFromParams(params),
+    tag: `${tag}/render`,
   });
-  logDone(tag, tShot, `Screenshot captured (${shot.mime}, ${shot.data?.length || 0}B)`);
+  const domStructure = rendered.structure;
+  const shot = imageForAI(rendered.screenshot);
+  logDone(tag, tRender, `Rendered once: DOM nodes=${domStructure?.nodeCount ?? 0}, screenshot ${shot.mime} ${shot.data?.length || 0}B`);
 
   // 3) Vision structure via AI (screenshotandai-describe style)
   logInfo(tag, "merged-structure: step 3/4 ai vision structure");
@@ -66,20 +49,20 @@ export async function handleMergedStructure(env, params, tag, rid) {
     visionPrompt
       .replace("{{MODE}}", "vision-only")
       .replace("{{DOM_STRUCTURE_JSON}}", JSON.stringify(domStructure)),
-    target
+    target,
+    rendered.metadata.viewport,
+    shot.region
   );
 
   const tVision = now();
+  progress.step("ai");
   const visionStructureRaw = await postToAI({
-    endpoint: env.AI_ENDPOINT,
-    apiKey: env.AI_API_KEY,
+    ...ai,
     prompt: finalVisionPrompt,
     url: target,
     screenshotPng: shot.data,
-    timeoutMs: parseInt(env.AI_TIMEOUT_MS || "60000", 10),
     mime: shot.mime,
     reqId: rid + "-vision",
-    model,
     format: "json",
   });
   logDone(tag, tVision, "Vision structure obtained");
@@ -94,16 +77,14 @@ export async function handleMergedStructure(env, params, tag, rid) {
     .replace("{{VISION_STRUCTURE_JSON}}", JSON.stringify(visionStructure));
 
   const tMerge = now();
+  progress.step("merging");
   const merged = await postToAI({
-    endpoint: env.AI_ENDPOINT,
-    apiKey: env.AI_API_KEY,
-    prompt: buildPromptWithSource(mergePrompt, target),
+    ...ai,
+    prompt: buildPromptWithSource(mergePrompt, target, rendered.metadata.viewport, shot.region),
     url: target,
     screenshotPng: shot.data,
-    timeoutMs: parseInt(env.AI_TIMEOUT_MS || "60000", 10),
     mime: shot.mime,
     reqId: rid + "-merge",
-    model,
     format: "json",
   });
   logDone(tag, tMerge, "Merged structure obtained");
@@ -113,11 +94,18 @@ export async function handleMergedStructure(env, params, tag, rid) {
   if (params.includeScreenshot === "true" && shot?.data) {
     mergedObj._screenshot = { mime: shot.mime, base64: toBase64(shot.data) };
   }
+  Object.assign(mergedObj, renderReport(rendered.metadata));
+  // A failed merge (provider error, unparseable reply) carries `error` and must not become a snapshot
+  if (!shot.region && !mergedObj.error) {
+    const snapshot = await saveSnapshot(env, { owner, target, output: "merged-structure", analysis: mergedObj, finalUrl: rendered.metadata.finalUrl });
+    if (snapshot) mergedObj._snapshot = snapshot;
+  }
 
   if (params.debug === "true") {
     mergedObj._debug = {
       domStructure,
       visionStructure,
+      render: rendered.metadata,
     };
   }
 
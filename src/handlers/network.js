@@ -0,0 +1,45 @@
+// src/handlers/network.js
+import { json } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { noopProgress } from "../utils/progress.js";
+
+/**
+ * output=network: load the page (same settle/scroll/actions as other modes) and return
+ * every request it made. networkFormat=har returns a HAR 1.2 file instead.
+ * Not cached: this is a debugging view of one particular load.
+ */
+export async function handleNetwork(env, params, tag, rid, progress = noopProgress) {
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const tAll = logStart(tag, "output=network");
+  progress.step("rendering");
+  const { metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    tag: `${tag}/render`,
+  });
+  const { network, ...render } = metadata;
+  logDone(tag, tAll, "output=network DONE");
+
+  if (network.log) {
+    let host = "page";
+    try { host = new URL(params.target).hostname; } catch {}
+    return json(network, 200, { "Content-Disposition": `inline; filename="${host}.har"` });
+  }
+
+  const { _network, ...report } = renderReport(metadata);
+  return json({
+    url: params.target,
+    finalUrl: render.finalUrl,
+    status: render.status,
+    title: render.title,
+    timings: render.timings,
+    ...network,
+    ...report,
+  }, 200);
+}
@@ -0,0 +1,51 @@
+// src/handlers/pdf.js
+import { json, toBase64 } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams, pdfOptionsFromParams } from "../render/options.js";
+import { renderReportHeaders, REPORT_HEADER_NAMES } from "../render/report.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+
+function pdfHeaders(target) {
+  let name = "page";
+  try { name = new URL(target).hostname.replace(/[^\w.-]/g, "_") || name; } catch {}
+  return {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${name}.pdf"`,
+    "Cache-Control": "public, max-age=300",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": ["X-Cache", ...REPORT_HEADER_NAMES].join(","),
+  };
+}
+
+export async function handlePdf(env, params, tag, rid, progress = noopProgress) {
+  // cache: pdf get (stored as base64 like screenshots)
+  const cacheKey = await buildCacheKey("pdf", params);
+  const cached = await cacheGet(env, cacheKey);
+  if (cached) {
+    const bytes = Uint8Array.from(atob(cached), c => c.charCodeAt(0));
+    return new Response(bytes, { status: 200, headers: { ...pdfHeaders(params.target), ...CACHE_HIT_HEADERS } });
+  }
+
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const tAll = logStart(tag, "output=pdf");
+  progress.step("rendering");
+  const { pdf, metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    pdf: pdfOptionsFromParams(params),
+    tag: `${tag}/render`,
+  });
+  logDone(tag, tAll, `output=pdf DONE size=${pdf?.length || 0}B`);
+
+  try { await cachePut(env, cacheKey, toBase64(pdf)); } catch {}
+
+  return new Response(pdf, {
+    status: 200,
+    headers: { ...pdfHeaders(params.target), ...renderReportHeaders(metadata) },
+  });
+}
@@ -0,0 +1,42 @@
+// src/handlers/performance.js
+import { json } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { noopProgress } from "../utils/progress.js";
+
+/**
+ * output=performance: a lab snapshot of one load — Web Vitals with ratings, load timings,
+ * resource count/weight and JS heap. Honours device presets and cpuThrottling/networkThrottling.
+ * Not cached: every call is a fresh measurement.
+ */
+export async function handlePerformance(env, params, tag, rid, progress = noopProgress) {
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const tAll = logStart(tag, "output=performance");
+  progress.step("rendering");
+  const options = renderOptionsFromParams(params);
+  const { metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...options,
+    tag: `${tag}/render`,
+  });
+  logDone(tag, tAll, "output=performance DONE");
+
+  const { _performance, ...report } = renderReport(metadata);
+  return json({
+    url: params.target,
+    finalUrl: metadata.finalUrl,
+    status: metadata.status,
+    viewport: metadata.viewport,
+    throttling: {
+      cpu: options.emulation.cpuThrottling || 1,
+      network: options.emulation.networkThrottling || null,
+    },
+    ..._performance,
+    ...report,
+  }, 200);
+}
@@ -0,0 +1,153 @@
+// src/handlers/prerender.js
+import { json } from "../utils/http.js";
+import { logStart, logDone, logInfo } from "../utils/logging.js";
+import { renderPageGetHtml, renderAndScreenshot } from "../render/browser.js";
+import { proxyRendertron, proxyRendertronScreenshot, isBotUserAgent, prepareForCrawlers } from "../render/rendertron.js";
+import { buildCacheKey, cacheGet, cachePut } from "../utils/cache.js";
+import { targetPolicyFromEnv, assertTargetAllowed, TargetPolicyError } from "../utils/targetPolicy.js";
+import { admitRequest } from "./dispatch.js";
+import { BOT_USER_AGENTS } from "../config/constants.js";
+
+// Our own query params; everything else belongs to the target URL
+const RESERVED_PARAMS = ["api_key", "force", "width", "height", "fullPage", "type"];
+
+/**
+ * Rendertron puts the target in the path: /render/https://example.com/page?x=1
+ * (either raw or URL-encoded).
+ */
+function targetFromPath(u, prefix) {
+  let rest = u.pathname.slice(prefix.length);
+  try { rest = decodeURIComponent(rest); } catch {}
+  // Some proxies collapse "//" in paths
+  rest = rest.replace(/^(https?):\/(?!\/)/i, "$1://");
+  if (!rest) return null;
+  if (rest.includes("?")) return rest;
+  const qs = new URLSearchParams(u.search);
+  for (const p of RESERVED_PARAMS) qs.delete(p);
+  const query = qs.toString();
+  return query ? `${rest}?${query}` : rest;
+}
+
+const prerenderHeaders = (mode, extra = {}) => ({
+  "Access-Control-Allow-Origin": "*",
+  "X-Prerender": mode,
+  ...extra,
+});
+
+// Humans get the live page untouched; redirects are passed back so the client follows them
+async function passThrough(request, env, target) {
+  await assertTargetAllowed(target, targetPolicyFromEnv(env));
+  const headers = {};
+  for (const h of ["user-agent", "accept", "accept-language"]) {
+    const v = request.headers.get(h);
+    if (v) headers[h] = v;
+  }
+  const res = await fetch(target, { headers, redirect: "manual" });
+  const out = new Response(res.body, res);
+  out.headers.set("X-Prerender", "bypass");
+  return out;
+}
+
+/**
+ * GET /render/<url>      → prerendered HTML for crawlers (scripts stripped, <base> injected,
+ *                          status from <meta name="render:status_code">)
+ * GET /screenshot/<url>  → image, ?width=&height=&fullPage=&type=png|jpeg
+ * Falls back to an upstream Rendertron (RENDERTRON_ENDPOINT / RENDERTRON_SCREENSHOT_ENDPOINT)
+ * when the MYBROWSER binding is not available.
+ */
+export async function handlePrerender(request, env, kind, tag, key) {
+  const u = new URL(request.url);
+  const target = targetFromPath(u, kind === "render" ? "/render/" : "/screenshot/");
+  if (!target) return json({ error: `Usage: /${kind}/<url>` }, 400);
+
+  try {
+    const isBot = isBotUserAgent(request.headers.get("user-agent"), BOT_USER_AGENTS);
+    const bypass = kind === "render" && !isBot && u.searchParams.get("force") !== "true";
+    // Pass-through is checked like a render (the worker fetches the page on the key's behalf)
+    // but not charged: no browser is involved. Prerendered HTML served from KV_CACHE is free too;
+    // screenshots are not cached and always cost a render.
+    const cacheKey = kind === "render" && !bypass ? await buildCacheKey("prerender", { target }) : null;
+    const cached = cacheKey ? await cacheGet(env, cacheKey) : null;
+    const output = kind === "render" ? "html" : "screenshot";
+    const denied = await admitRequest(env, key, { output, target }, { cached: cached != null, charge: !bypass });
+    if (denied) return json(denied.body, denied.status, denied.headers);
+
+    if (bypass) {
+      logInfo(tag, `non-bot user agent → pass-through ${target}`);
+      return await passThrough(request, env, target);
+    }
+
+    return kind === "render"
+      ? await renderForCrawler(env, target, tag, cacheKey, cached)
+      : await screenshotForCrawler(env, target, u.searchParams, tag);
+  } catch (err) {
+    if (err instanceof TargetPolicyError) return json({ error: err.message, ...err.details }, 400);
+    throw err;
+  }
+}
+
+// Statuses a Response can carry with an HTML body: 1xx and 204/205/304 make `new Response(html, { status })` throw
+const isBodyStatus = (s) => Number.isInteger(s) && s >= 200 && s <= 599 && ![204, 205, 304].includes(s);
+
+// `cached` is the KV_CACHE entry under `cacheKey`, already read for admission
+async function renderForCrawler(env, target, tag, cacheKey, cached) {
+  if (cached) {
+    const { status, html } = JSON.parse(cached);
+    return new Response(html, {
+      status,
+      headers: prerenderHeaders("cache", { "Content-Type": "text/html; charset=utf-8", "X-Cache": "HIT" }),
+    });
+  }
+
+  const tAll = logStart(tag, `prerender ${target}`);
+  let html;
+  let status = 200;
+  let mode = "rendered";
+  if (!env.MYBROWSER) {
+    html = await proxyRendertron(target, env.RENDERTRON_ENDPOINT || undefined);
+    mode = "upstream";
+  } else {
+    let metaStatus = null;
+    const rendered = await renderPageGetHtml(env, target, {
+      beforeCapture: async (page) => { metaStatus = await page.evaluate(prepareForCrawlers); },
+    });
+    html = rendered.html;
+    // The page's render:status_code meta wins, but only with a status that can carry the HTML
+    status = [metaStatus, rendered.metadata?.status].find(isBodyStatus) || 200;
+    if (metaStatus && !isBodyStatus(metaStatus)) logInfo(tag, `ignoring status code meta ${metaStatus}`);
+  }
+  logDone(tag, tAll, `prerender DONE mode=${mode} status=${status} length=${html.length}`);
+
+  if (status === 200) await cachePut(env, cacheKey, JSON.stringify({ status, html }));
+  return new Response(html, {
+    status,
+    headers: prerenderHeaders(mode, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "public, max-age=300" }),
+  });
+}
+
+async function screenshotForCrawler(env, target, query, tag) {
+  const width = parseInt(query.get("width") || "1000", 10);
+  const height = parseInt(query.get("height") || "1000", 10);
+  const tAll = logStart(tag, `prerender screenshot ${target}`);
+  let shot;
+  let mode = "rendered";
+  if (!env.MYBROWSER) {
+    shot = await proxyRendertronScreenshot(target, env.RENDERTRON_SCREENSHOT_ENDPOINT || undefined, { width, height });
+    mode = "upstream";
+  } else {
+    shot = await renderAndScreenshot({
+      env,
+      targetUrl: target,
+      viewport: { width, height },
+      extraWaitMs: 500,
+      imageType: (query.get("type") || "jpeg").toLowerCase(),
+      imageQuality: 80,
+      fullPage: query.get("fullPage") === "true",
+    });
+  }
+  logDone(tag, tAll, `prerender screenshot DONE mode=${mode} size=${shot.data?.length || 0}B`);
+  return new Response(shot.data, {
+    status: 200,
+    headers: prerenderHeaders(mode, { "Content-Type": shot.mime, "Cache-Control": "public, max-age=60" }),
+  });
+}
@@ -0,0 +1,52 @@
+// src/handlers/readable.js
+import { json } from "../utils/http.js";
+import { logStart, logDone, now } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams, readableOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { extractReadable } from "../parsers/markdownExtractor.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+
+/**
+ * output=markdown | text: the page's main content as clean Markdown (headings, lists, tables,
+ * links and images with absolute URLs) or plain text, with word and token-estimate counts.
+ */
+export async function handleReadable(env, params, tag, rid, progress = noopProgress) {
+  const { output } = params;
+  const cacheKey = await buildCacheKey(output, params);
+  const cached = await cacheGet(env, cacheKey);
+  if (cached) return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS);
+
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const options = readableOptionsFromParams(params);
+  const tAll = logStart(tag, `output=${output} scope=${options.scope} removeBoilerplate=${options.removeBoilerplate}`);
+  progress.step("rendering");
+  let readable = null;
+  const { metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    beforeCapture: async (page) => {
+      const tRead = now();
+      readable = await extractReadable(page, params.target, options);
+      logDone(tag, tRead, `${output} extracted from ${readable.contentSelector} words=${readable.wordCount}`);
+    },
+    tag: `${tag}/render`,
+  });
+
+  const { content, ...meta } = readable;
+  const body = {
+    ...meta,
+    finalUrl: metadata.finalUrl,
+    format: output,
+    [output]: content,
+    ...renderReport(metadata),
+  };
+  logDone(tag, tAll, `output=${output} DONE chars=${meta.characters} tokens~${meta.tokenEstimate}`);
+
+  await cachePut(env, cacheKey, JSON.stringify(body));
+  return json(body, 200);
+}
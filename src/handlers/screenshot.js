@@ -2,21 +2,37 @@
 import { json, toBase64 } from "../utils/http.js";
 import { logStart, logDone } from "../utils/logging.js";
 import { renderAndScreenshot } from "../render/browser.js";
-import { buildCacheKey, cacheGet, cachePut } from "../utils/cache.js";
+import { renderOptionsFromParams, screenshotOptionsFromParams, cropsFromParams } from "../render/options.js";
+import { renderReport, renderReportHeaders, REPORT_HEADER_NAMES } from "../render/report.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+
+const IMAGE_HEADERS = {
+  "Cache-Control": "public, max-age=60",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Expose-Headers": ["X-Cache", "X-Clip", ...REPORT_HEADER_NAMES].join(","),
+};
+
+/**
+ * Full page / viewport image by default. With clipSelector/clip:
+ * one crop → the cropped image (box in X-Clip), several → JSON { mime, crops: [{ selector?, box, base64 | error }] }.
+ */
+export async function handleScreenshot(env, params, tag, rid, progress = noopProgress) {
+  const { multi } = cropsFromParams(params);
 
-export async function handleScreenshot(env, params, tag) {
   // cache: screenshot get
-  const cacheKey = buildCacheKey("screenshot", params);
+  const cacheKey = await buildCacheKey("screenshot", params);
   const cached = await cacheGet(env, cacheKey);
   if (cached) {
+    if (multi) return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS);
     const mime = (params.imageType || "jpeg").toLowerCase() === "png" ? "image/png" : "image/jpeg";
     const bytes = Uint8Array.from(atob(cached), c => c.charCodeAt(0));
     return new Response(bytes, {
       status: 200,
       headers: {
         "Content-Type": mime,
-        "Cache-Control": "public, max-age=60",
-        "Access-Control-Allow-Origin": "*",
+        ...IMAGE_HEADERS,
+        ...CACHE_HIT_HEADERS,
       },
     });
   }
@@ -25,37 +41,43 @@ export async function handleScreenshot(env, params, tag) {
   if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
 
   const tAll = logStart(tag, "output=screenshot");
-  const viewport = {
-    width: parseInt(params.viewportWidth || "1280", 10),
-    height: parseInt(params.viewportHeight || "1000", 10),
-  };
-  const imageType = (params.imageType || "jpeg").toLowerCase();
-  const imageQuality = parseInt(params.imageQuality || "60", 10);
-  const fullPage = (params.fullPage || "false") === "true";
-  const extraWaitMs = parseInt(params.waitMs || "700", 10);
-
+  progress.step("rendering");
   const shot = await renderAndScreenshot({
     env,
     targetUrl: params.target,
-    viewport,
-    extraWaitMs,
-    selectorToWaitFor: params.selectorToWaitFor || null,
-    imageType,
-    imageQuality,
-    fullPage,
+    ...renderOptionsFromParams(params),
+    ...screenshotOptionsFromParams(params),
   });
 
-  logDone(tag, tAll, `output=screenshot DONE size=${shot.data?.length || 0}B`);
+  if (multi) {
+    const body = {
+      mime: shot.mime,
+      crops: shot.crops.map(({ data, ...crop }) => (data ? { ...crop, base64: toBase64(data) } : crop)),
+      ...renderReport(shot.metadata),
+    };
+    logDone(tag, tAll, `output=screenshot DONE crops=${body.crops.length}`);
+    // Partial results are returned but not cached
+    if (body.crops.every((c) => c.base64)) await cachePut(env, cacheKey, JSON.stringify(body));
+    return json(body, 200);
+  }
+
+  const crop = shot.crops?.[0];
+  if (crop && !crop.data) {
+    return json({ error: `Crop failed: ${crop.error}`, selector: crop.selector, _actions: shot.metadata.actions }, 422);
+  }
+  const data = crop ? crop.data : shot.data;
+  logDone(tag, tAll, `output=screenshot DONE size=${data?.length || 0}B`);
 
   // cache put screenshot (as base64)
-  try { await cachePut(env, cacheKey, toBase64(shot.data)); } catch {}
+  try { await cachePut(env, cacheKey, toBase64(data)); } catch {}
 
-  return new Response(shot.data, {
+  return new Response(data, {
     status: 200,
     headers: {
       "Content-Type": shot.mime,
-      "Cache-Control": "public, max-age=60",
-      "Access-Control-Allow-Origin": "*",
+      ...IMAGE_HEADERS,
+      ...(crop ? { "X-Clip": JSON.stringify(crop.box) } : {}),
+      ...renderReportHeaders(shot.metadata),
     },
   });
 }
@@ -0,0 +1,43 @@
+// src/handlers/seo.js
+import { json } from "../utils/http.js";
+import { logStart, logDone, now } from "../utils/logging.js";
+import { renderPage } from "../render/browser.js";
+import { renderOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { extractSeo, seoReport } from "../parsers/seoExtractor.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
+
+/**
+ * output=seo: head metadata (title, description, canonical, robots incl. X-Robots-Tag, hreflang,
+ * Open Graph, Twitter), JSON-LD/microdata, heading outline, word count and link counts of the
+ * rendered page, plus `issues` [{ rule, severity: error|warning|notice, message }].
+ */
+export async function handleSeo(env, params, tag, rid, progress = noopProgress) {
+  const cacheKey = await buildCacheKey("seo", params);
+  const cached = await cacheGet(env, cacheKey);
+  if (cached) return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS);
+
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const tAll = logStart(tag, "output=seo");
+  progress.step("rendering");
+  let data = null;
+  const { metadata } = await renderPage({
+    env,
+    targetUrl: params.target,
+    ...renderOptionsFromParams(params),
+    beforeCapture: async (page) => {
+      const tSeo = now();
+      data = await extractSeo(page);
+      logDone(tag, tSeo, `seo extracted headings=${data.headings.outline.length} links=${data.links.total}`);
+    },
+    tag: `${tag}/render`,
+  });
+  const body = { ...seoReport(data, params.target, metadata), ...renderReport(metadata) };
+  logDone(tag, tAll, `output=seo DONE issues=${body.issues.length}`);
+
+  await cachePut(env, cacheKey, JSON.stringify(body));
+  return json(body, 200);
+}
@@ -2,21 +2,27 @@
 import { json } from "../utils/http.js";
 import { logStart, logDone } from "../utils/logging.js";
 import { renderPageGetHtml } from "../render/browser.js";
-import { parseHTML } from "../parsers/htmlParser.js";
-import { buildCacheKey, cacheGet, cachePut } from "../utils/cache.js";
+import { pageSetupFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { buildCacheKey, cacheGet, cachePut, CACHE_HIT_HEADERS } from "../utils/cache.js";
+import { noopProgress } from "../utils/progress.js";
 
-export async function handleStructure(env, params, tag) {
+export async function handleStructure(env, params, tag, rid, progress = noopProgress) {
   // cache: structure get
-  const cacheKey = buildCacheKey("structure", params);
+  const cacheKey = await buildCacheKey("structure", params);
   const cached = await cacheGet(env, cacheKey);
   if (cached) {
-    return json(JSON.parse(cached), 200);
+    return json(JSON.parse(cached), 200, CACHE_HIT_HEADERS);
   }
 
   if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
   const tStr = logStart(tag, "output=structure START");
-  const { html } = await renderPageGetHtml(env, params.target);
-  const structuredData = parseHTML(html, params.target);
+  progress.step("rendering");
+  const { structure: structuredData, metadata } = await renderPageGetHtml(env, params.target, {
+    extractStructure: true,
+    ...pageSetupFromParams(params),
+  });
+  Object.assign(structuredData, renderReport(metadata));
   logDone(tag, tStr, "output=structure DONE");
 
   await cachePut(env, cacheKey, JSON.stringify(structuredData));
@@ -0,0 +1,47 @@
+// src/handlers/structureDiff.js
+import { json } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { getSnapshot, listSnapshots } from "../snapshots/snapshots.js";
+import { diffStructures } from "../snapshots/structureDiff.js";
+import { noopProgress } from "../utils/progress.js";
+
+const snapshotInfo = ({ id, output, createdAt, finalUrl }) => ({ id, output, createdAt, finalUrl });
+
+/**
+ * output=structure-diff: compare two stored AI structure snapshots (see snapshots/snapshots.js).
+ * `from` / `to` pick snapshot ids; by default the two newest snapshots of `target` are compared
+ * (`from` alone compares it with the newest). listSnapshots=true returns the target's snapshot list.
+ * Only the calling key's snapshots are visible. No render and no AI call.
+ */
+export async function handleStructureDiff(env, params, tag, rid, progress = noopProgress, owner = null) {
+  if (!params.target && !(params.from && params.to)) {
+    return json({ error: "Missing 'target' parameter (or both 'from' and 'to' snapshot ids)" }, 400);
+  }
+  const items = params.target ? await listSnapshots(env, owner, params.target) : [];
+  if (String(params.listSnapshots) === "true") {
+    return json({ target: params.target, snapshots: [...items].reverse() }, 200);
+  }
+
+  const newest = items[items.length - 1]?.id;
+  const toId = params.to || newest;
+  const fromId = params.from || (params.to ? items[items.findIndex((s) => s.id === params.to) - 1]?.id : items[items.length - 2]?.id);
+  if (!fromId || !toId) {
+    return json({
+      error: `Need two snapshots to compare; '${params.target}' has ${items.length}. Snapshots are stored by screenshotandai-describe and merged-structure.`,
+      snapshots: [...items].reverse(),
+    }, 404);
+  }
+
+  const tAll = logStart(tag, `output=structure-diff from=${fromId} to=${toId}`);
+  progress.step("diffing");
+  const [from, to] = await Promise.all([getSnapshot(env, owner, fromId), getSnapshot(env, owner, toId)]);
+  const missing = [[fromId, from], [toId, to]].filter(([, s]) => !s).map(([id]) => id);
+  if (missing.length) return json({ error: `Snapshot not found: ${missing.join(", ")}` }, 404);
+  if (params.target && (from.target !== params.target || to.target !== params.target)) {
+    return json({ error: "Snapshots belong to a different target", from: from.target, to: to.target }, 400);
+  }
+
+  const diff = diffStructures(from.analysis, to.analysis);
+  logDone(tag, tAll, `output=structure-diff DONE changed=${diff.changed}`);
+  return json({ target: to.target, from: snapshotInfo(from), to: snapshotInfo(to), ...diff }, 200);
+}
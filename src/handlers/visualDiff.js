@@ -0,0 +1,105 @@
+// src/handlers/visualDiff.js
+import { json, toBase64 } from "../utils/http.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { renderAndScreenshot, imageForAI } from "../render/browser.js";
+import { renderOptionsFromParams, screenshotOptionsFromParams, visualDiffOptionsFromParams } from "../render/options.js";
+import { renderReport } from "../render/report.js";
+import { diffImages, loadBaseline, saveBaseline } from "../render/visualDiff.js";
+import { noopProgress } from "../utils/progress.js";
+
+// Settings that make two captures incomparable pixel for pixel
+function settingsWarnings(stored, current) {
+  const warnings = [];
+  const a = stored.viewport || {};
+  const b = current.viewport || {};
+  if (a.width !== b.width || a.height !== b.height || a.deviceScaleFactor !== b.deviceScaleFactor) {
+    warnings.push(`Viewport differs from the baseline (${a.width}x${a.height}@${a.deviceScaleFactor} vs ${b.width}x${b.height}@${b.deviceScaleFactor})`);
+  }
+  if (!!stored.fullPage !== !!current.fullPage) warnings.push(`fullPage differs from the baseline (${!!stored.fullPage} vs ${!!current.fullPage})`);
+  if ((stored.region?.selector || null) !== (current.region?.selector || null)) warnings.push("The baseline was captured with a different clip");
+  return warnings;
+}
+
+/**
+ * output=visual-diff: screenshot `target` and compare it with `compareTarget` (rendered with the
+ * same settings) or with the stored `baseline`. Returns mismatch pixels/percentage, changed
+ * regions and a diff PNG (base64). Baseline names are per API key (GET/DELETE /baselines manage
+ * them). The diff runs on the last render's browser session. Not cached: a diff is only useful fresh.
+ */
+export async function handleVisualDiff(env, params, tag, rid, progress = noopProgress, owner = null) {
+  if (!env.MYBROWSER) return json({ error: "Missing MYBROWSER binding" }, 500);
+  if (!params.target) return json({ error: "Missing 'target' parameter" }, 400);
+
+  const options = visualDiffOptionsFromParams(params);
+  const stored = options.baseline ? await loadBaseline(env, owner, options.baseline) : null;
+  if (options.baseline && !stored && !options.saveBaseline) {
+    return json({ error: `Baseline '${options.baseline}' not found; create it with saveBaseline=true` }, 404);
+  }
+
+  const tAll = logStart(tag, `output=visual-diff ${options.baseline ? `baseline=${options.baseline}` : `compareTarget=${options.compareTarget}`}`);
+  const shotOptions = { ...screenshotOptionsFromParams(params), imageType: "png" };
+  // PNG only: JPEG artefacts would show up as differences.
+  // `diffAgainst` (a PNG) is diffed with this capture on the render's own browser session
+  const capture = async (url, label, diffAgainst = null) => {
+    let diff = null;
+    const shot = await renderAndScreenshot({
+      env,
+      targetUrl: url,
+      ...renderOptionsFromParams(params),
+      ...shotOptions,
+      afterCapture: diffAgainst && (async (page, captured) => {
+        progress.step("diffing");
+        diff = await diffImages(page, diffAgainst, imageForAI(captured.screenshot).data, options, `${tag}/diff`);
+      }),
+      tag: `${tag}/${label}`,
+    });
+    const image = imageForAI(shot);
+    return { png: image.data, region: image.region, metadata: shot.metadata, diff };
+  };
+
+  progress.step("rendering");
+  const current = await capture(params.target, "render", options.compareTarget ? null : stored?.png);
+  const other = options.compareTarget ? await capture(options.compareTarget, "compare", current.png) : null;
+
+  const body = { target: params.target };
+  const warnings = [];
+  const result = other?.diff || current.diff;
+  if (result && (result.sizes.before.width !== result.sizes.after.width || result.sizes.before.height !== result.sizes.after.height)) {
+    warnings.push("Image sizes differ; the area outside the smaller image counts as changed");
+  }
+
+  if (other) {
+    body.compareTarget = options.compareTarget;
+    body.compareFinalUrl = other.metadata.finalUrl;
+  }
+  if (stored) {
+    const { png, ...meta } = stored;
+    body.baseline = meta;
+    warnings.push(...settingsWarnings(stored, { viewport: current.metadata.viewport, fullPage: shotOptions.fullPage, region: current.region }));
+  }
+  if (options.saveBaseline) {
+    body.baseline = await saveBaseline(env, owner, options.baseline, {
+      png: current.png,
+      target: params.target,
+      viewport: current.metadata.viewport,
+      fullPage: shotOptions.fullPage,
+      region: current.region,
+    });
+  }
+
+  if (result) {
+    const { diff, ...stats } = result;
+    Object.assign(body, {
+      changed: stats.mismatchPixels > 0,
+      ...stats,
+      threshold: options.threshold,
+      includeAA: options.includeAA,
+      diffImage: { mime: "image/png", base64: toBase64(diff) },
+    });
+  }
+  if (warnings.length) body.warnings = warnings;
+  Object.assign(body, renderReport(current.metadata));
+
+  logDone(tag, tAll, `output=visual-diff DONE${result ? ` mismatch=${result.mismatchPercentage}%` : ""}${options.saveBaseline ? " baseline saved" : ""}`);
+  return json(body, 200);
+}
@@ -0,0 +1,86 @@
+// src/handlers/watchlist.js
+import { json } from "../utils/http.js";
+import { hasStateStore } from "../utils/store.js";
+import { hasScope } from "../auth/apiKeys.js";
+import {
+  WatchError,
+  watchFromInput,
+  runOutputFor,
+  publicWatch,
+  getWatch,
+  createWatch,
+  updateWatch,
+  deleteWatch,
+  listWatches,
+  getWatchHistory,
+} from "../watchlist/watchlist.js";
+
+const MISSING_STORE = "Missing KV_STATE (or KV_CACHE) binding for the watchlist";
+
+// Validate input and the key's scope for the output runs dispatch; returns the fields or a Response
+async function fieldsOrError(env, body, key, existing = null) {
+  try {
+    const fields = await watchFromInput(env, body, existing);
+    const output = runOutputFor(fields.output);
+    if (!hasScope(key, output)) {
+      return json({ error: `API key '${key.id}' is not allowed to use output '${output}'`, scopes: key.scopes }, 403);
+    }
+    return fields;
+  } catch (e) {
+    if (!(e instanceof WatchError)) throw e;
+    return json({ error: e.message }, e.status);
+  }
+}
+
+// GET /watchlist — the key's watches; POST /watchlist — add one
+export async function handleWatchlist(env, method, body, key) {
+  if (!hasStateStore(env)) return json({ error: MISSING_STORE }, 500);
+  if (method === "GET") {
+    const watches = await listWatches(env, key.id);
+    return json({ watches: watches.map(publicWatch) }, 200);
+  }
+
+  const fields = await fieldsOrError(env, body, key);
+  if (fields instanceof Response) return fields;
+  try {
+    const watch = await createWatch(env, fields, key);
+    return json(publicWatch(watch), 201);
+  } catch (e) {
+    if (!(e instanceof WatchError)) throw e;
+    return json({ error: e.message }, e.status);
+  }
+}
+
+/**
+ * GET / PATCH / PUT / DELETE /watchlist/:id — watches are stored per key, so only the creating key finds them.
+ * PATCH changes the given fields; PUT replaces the watch and is validated like POST (omitted fields take their defaults).
+ */
+export async function handleWatch(env, method, id, body, key) {
+  if (!hasStateStore(env)) return json({ error: MISSING_STORE }, 500);
+  const watch = await getWatch(env, key.id, id);
+  if (!watch) return json({ error: `Watch '${id}' not found` }, 404);
+
+  if (method === "GET") return json(publicWatch(watch), 200);
+  if (method === "DELETE") {
+    await deleteWatch(env, watch);
+    return json({ id, deleted: true }, 200);
+  }
+
+  const fields = await fieldsOrError(env, body, key, method === "PATCH" ? watch : null);
+  if (fields instanceof Response) return fields;
+  try {
+    return json(publicWatch(await updateWatch(env, watch, fields)), 200);
+  } catch (e) {
+    if (!(e instanceof WatchError)) throw e;
+    return json({ error: e.message }, e.status);
+  }
+}
+
+// GET /watchlist/:id/history — newest run first
+export async function handleWatchHistory(env, id, key) {
+  if (!hasStateStore(env)) return json({ error: MISSING_STORE }, 500);
+  const watch = await getWatch(env, key.id, id);
+  if (!watch) return json({ error: `Watch '${id}' not found` }, 404);
+  const runs = await getWatchHistory(env, id);
+  return json({ id, target: watch.target, output: watch.output, runs }, 200);
+}
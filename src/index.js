@@ -1,96 +1,105 @@
 // src/index.js
-import { json, corsHeaders, safeParams, fromBase64, normalizeToJSONObject, sanitizeSchema } from "./utils/http.js";
+import { json, corsHeaders, safeParams } from "./utils/http.js";
 import { logStart, logDone, logInfo, newReqId } from "./utils/logging.js";
-import { SCREENSHOT_ANALYSIS_PROMPT } from "./ai/schema.js";
-import { cacheDeletePrefix } from "./utils/cache.js";
-import { postToAI, buildPromptWithSource } from "./ai/client.js";
-
-import { handleHtml } from "./handlers/html.js";
-import { handleStructure } from "./handlers/structure.js";
-import { handleScreenshot } from "./handlers/screenshot.js";
-import { handleAiCombined } from "./handlers/aiCombined.js";
-import { handleMergedStructure } from "./handlers/merge.js";
-import { OUTPUT_MODES } from "./config/constants.js";
-import { safeHandler } from "./utils/safeHandler.js";
+
+import { dispatchOutput, admitRequest } from "./handlers/dispatch.js";
+import { handleJobCreate, handleJobStatus } from "./handlers/jobs.js";
+import { handleBatch } from "./handlers/batch.js";
+import { handlePrerender } from "./handlers/prerender.js";
+import { handleWatchlist, handleWatch, handleWatchHistory } from "./handlers/watchlist.js";
+import { handleBaselines, handleBaseline } from "./handlers/baselines.js";
+import { consumeJobBatch } from "./jobs/jobs.js";
+import { runDueWatches } from "./watchlist/watchlist.js";
+import { authenticate } from "./auth/apiKeys.js";
+import { noopProgress } from "./utils/progress.js";
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     if (request.method === "OPTIONS") {
       return new Response(null, { status: 204, headers: corsHeaders() });
     }
 
     const u = new URL(request.url);
-    if (u.pathname !== "/analyze") {
+    const jobMatch = u.pathname.match(/^\/jobs\/([\w-]+)$/);
+    const prerenderMatch = u.pathname.match(/^\/(render|screenshot)\/./);
+    const watchMatch = u.pathname.match(/^\/watchlist\/([\w-]+)(\/history)?$/);
+    const baselineMatch = u.pathname.match(/^\/baselines\/([\w.-]{1,100})$/);
+    if (!["/analyze", "/jobs", "/batch", "/watchlist", "/baselines"].includes(u.pathname) && !jobMatch && !prerenderMatch && !watchMatch && !baselineMatch) {
       return new Response("Not Found", { status: 404, headers: { "Access-Control-Allow-Origin": "*" } });
     }
 
     const rid = newReqId();
     const tag = `REQ#${rid}`;
-    const tReq = logStart(tag, `${request.method} ${u.pathname}${u.search}`);
+    const tReq = logStart(tag, `${request.method} ${u.pathname}${u.search.replace(/([?&](?:api_key|basicAuth|headers|cookies)=)[^&]*/gi, "$1***")}`);
 
     try {
-      const params = await readParams(request);
-      logInfo(tag, `params: ${JSON.stringify(safeParams(params))}`);
+      const auth = await authenticate(request, env);
+      if (auth.response) return auth.response;
+      logInfo(tag, `key=${auth.key.id}`);
+
+      if (prerenderMatch) {
+        if (request.method !== "GET") return json({ error: `Use GET /${prerenderMatch[1]}/<url>` }, 405);
+        return await handlePrerender(request, env, prerenderMatch[1], tag, auth.key);
+      }
+
+      if (jobMatch) {
+        if (request.method !== "GET") return json({ error: "Use GET /jobs/:id" }, 405);
+        return await handleJobStatus(env, jobMatch[1], auth.key);
+      }
+
+      if (u.pathname === "/jobs") {
+        if (request.method !== "POST") return json({ error: "Use POST /jobs" }, 405);
+        const params = await readParams(request);
+        logInfo(tag, `job params: ${JSON.stringify(safeParams(params))}`);
+        return await handleJobCreate(env, ctx, params, auth.key);
+      }
 
-      const { output } = params;
-      if (!output || !OUTPUT_MODES.includes(output)) {
-        return json({ error: `Missing or invalid 'output'. Use one of: ${OUTPUT_MODES.join(" | ")}` }, 400);
+      if (u.pathname === "/watchlist") {
+        if (!["GET", "POST"].includes(request.method)) return json({ error: "Use GET or POST /watchlist" }, 405);
+        const body = request.method === "POST" ? await readParams(request) : null;
+        return await handleWatchlist(env, request.method, body, auth.key);
       }
 
-      if (output === "html") return await safeHandler(handleHtml)(env, params, tag, rid);
-      if (output === "structure") return await safeHandler(handleStructure)(env, params, tag, rid);
-      if (output === "screenshot") return await safeHandler(handleScreenshot)(env, params, tag, rid);
-      if (output === "ai-describe") {
-        if (!env.AI_ENDPOINT) return json({ error: "Missing AI_ENDPOINT env var" }, 500);
-        const imgB64 = params.imageBase64;
-        const imgMime = params.imageMime || "image/jpeg";
-        if (!imgB64) return json({ error: "Missing 'imageBase64' parameter for ai-describe" }, 400);
-        let bytes;
-        try { bytes = fromBase64(imgB64); } catch { return json({ error: "Invalid imageBase64" }, 400); }
-        const model = params.model || env.OPENAI_MODEL || "gpt-4o-mini";
-        const format = (params.format || "json").toLowerCase();
-        const basePrompt = params.prompt && params.prompt.trim().length > 0 ? params.prompt : SCREENSHOT_ANALYSIS_PROMPT;
-        const finalPrompt = buildPromptWithSource(basePrompt, params.target || "");
-        try {
-          const aiResponse = await postToAI({
-            endpoint: env.AI_ENDPOINT,
-            apiKey: env.AI_API_KEY,
-            prompt: finalPrompt,
-            url: params.target || "",
-            screenshotPng: bytes,
-            timeoutMs: parseInt(env.AI_TIMEOUT_MS || "60000", 10),
-            mime: imgMime,
-            reqId: rid,
-            model,
-            format,
-          });
-          if (format === "json") {
-            const obj = sanitizeSchema(normalizeToJSONObject(aiResponse));
-            return json(obj, 200);
-          }
-          return new Response(typeof aiResponse === "string" ? aiResponse : JSON.stringify(aiResponse, null, 2), {
-            status: 200,
-            headers: { ...corsHeaders(), "Content-Type": "application/json; charset=utf-8" },
-          });
-        } catch (err) {
-          console.error(`[${tag}] ai-describe ERROR`, err?.stack || err?.message || String(err));
-          return json({ error: err?.message || "AI describe failed" }, 500);
+      if (watchMatch) {
+        const [, id, history] = watchMatch;
+        if (history) {
+          if (request.method !== "GET") return json({ error: "Use GET /watchlist/:id/history" }, 405);
+          return await handleWatchHistory(env, id, auth.key);
         }
+        if (!["GET", "PATCH", "PUT", "DELETE"].includes(request.method)) {
+          return json({ error: "Use GET, PATCH, PUT or DELETE /watchlist/:id" }, 405);
+        }
+        const body = ["PATCH", "PUT"].includes(request.method) ? await readJSONBody(request) : null;
+        return await handleWatch(env, request.method, id, body, auth.key);
       }
-      if (output === "screenshotandai-describe" || output === "ai") {
-        return await safeHandler(handleAiCombined)(env, params, tag, rid);
+
+      if (u.pathname === "/baselines") {
+        if (request.method !== "GET") return json({ error: "Use GET /baselines" }, 405);
+        return await handleBaselines(env, auth.key);
       }
 
-      if (output === "merged-structure") return await safeHandler(handleMergedStructure)(env, params, tag, rid);
+      if (baselineMatch) {
+        if (!["GET", "DELETE"].includes(request.method)) return json({ error: "Use GET or DELETE /baselines/:name" }, 405);
+        return await handleBaseline(env, request.method, baselineMatch[1], auth.key);
+      }
 
-      if (output === "clear-cache") {
-        const prefix = (params.prefix || "").trim() || "";
-        const pref = prefix ? prefix : "";
-        const res = await cacheDeletePrefix(env, pref);
-        return json({ ok: true, ...res }, 200);
+      if (u.pathname === "/batch") {
+        if (request.method !== "POST") return json({ error: "Use POST /batch" }, 405);
+        const body = await readParams(request);
+        logInfo(tag, `batch params: ${JSON.stringify(safeParams({ ...body, targets: `[${body?.targets?.length ?? 0} targets]` }))}`);
+        return await handleBatch(env, body, tag, rid, auth.key);
       }
 
-      return json({ error: "Unhandled output type" }, 400);
+      const params = await readParams(request);
+      logInfo(tag, `params: ${JSON.stringify(safeParams(params))}`);
+
+      // callbackUrl: answer 202 now and POST the result when the job is done
+      if (params.callbackUrl) return await handleJobCreate(env, ctx, params, auth.key);
+
+      const denied = await admitRequest(env, auth.key, params);
+      if (denied) return json(denied.body, denied.status, denied.headers);
+
+      return await dispatchOutput(env, params, tag, rid, noopProgress, auth.key.id);
     } catch (err) {
       console.error(`[${tag}] ERROR`, err?.stack || err?.message || String(err));
       return json({ error: err?.message || "Unexpected server error" }, 500);
@@ -98,6 +107,15 @@ export default {
       logDone(tag, tReq, "request DONE");
     }
   },
+
+  async queue(batch, env) {
+    await consumeJobBatch(batch, env);
+  },
+
+  // Cron Triggers (wrangler.toml [triggers]): re-run due watchlist entries
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runDueWatches(env, event.scheduledTime));
+  },
 };
 
 async function readParams(request) {
@@ -112,19 +130,68 @@ async function readParams(request) {
       viewportWidth: u.searchParams.get("viewportWidth"),
       viewportHeight: u.searchParams.get("viewportHeight"),
       selectorToWaitFor: u.searchParams.get("selectorToWaitFor"),
+      actions: u.searchParams.get("actions"),
+      headers: u.searchParams.get("headers"),
+      cookies: u.searchParams.get("cookies"),
+      basicAuth: u.searchParams.get("basicAuth"),
+      userAgent: u.searchParams.get("userAgent"),
+      acceptLanguage: u.searchParams.get("acceptLanguage"),
+      device: u.searchParams.get("device"),
+      deviceScaleFactor: u.searchParams.get("deviceScaleFactor"),
+      colorScheme: u.searchParams.get("colorScheme"),
+      reducedMotion: u.searchParams.get("reducedMotion"),
+      timezone: u.searchParams.get("timezone"),
+      geolocation: u.searchParams.get("geolocation"),
+      clipSelector: u.searchParams.get("clipSelector"),
+      clip: u.searchParams.get("clip"),
+      paperFormat: u.searchParams.get("paperFormat"),
+      landscape: u.searchParams.get("landscape"),
+      printBackground: u.searchParams.get("printBackground"),
+      margin: u.searchParams.get("margin"),
+      headerTemplate: u.searchParams.get("headerTemplate"),
+      footerTemplate: u.searchParams.get("footerTemplate"),
+      mediaType: u.searchParams.get("mediaType"),
+      scale: u.searchParams.get("scale"),
+      pageRanges: u.searchParams.get("pageRanges"),
+      blockResourceTypes: u.searchParams.get("blockResourceTypes"),
+      blockDomains: u.searchParams.get("blockDomains"),
+      blockUrlPatterns: u.searchParams.get("blockUrlPatterns"),
+      blockAds: u.searchParams.get("blockAds"),
+      includeNetwork: u.searchParams.get("includeNetwork"),
+      networkFormat: u.searchParams.get("networkFormat"),
+      includeDiagnostics: u.searchParams.get("includeDiagnostics"),
+      includePerformance: u.searchParams.get("includePerformance"),
+      cpuThrottling: u.searchParams.get("cpuThrottling"),
+      networkThrottling: u.searchParams.get("networkThrottling"),
+      aiReview: u.searchParams.get("aiReview"),
+      includeTree: u.searchParams.get("includeTree"),
+      contentScope: u.searchParams.get("contentScope"),
+      removeBoilerplate: u.searchParams.get("removeBoilerplate"),
+      compareTarget: u.searchParams.get("compareTarget"),
+      baseline: u.searchParams.get("baseline"),
+      saveBaseline: u.searchParams.get("saveBaseline"),
+      threshold: u.searchParams.get("threshold"),
+      includeAA: u.searchParams.get("includeAA"),
+      from: u.searchParams.get("from"),
+      to: u.searchParams.get("to"),
+      listSnapshots: u.searchParams.get("listSnapshots"),
+      callbackUrl: u.searchParams.get("callbackUrl"),
       imageType: u.searchParams.get("imageType"),
       imageQuality: u.searchParams.get("imageQuality"),
       fullPage: u.searchParams.get("fullPage") ?? "true",
       model: u.searchParams.get("model"),
+      provider: u.searchParams.get("provider"),
       format: u.searchParams.get("format"),
       imageBase64: u.searchParams.get("imageBase64"),
       imageMime: u.searchParams.get("imageMime"),
     };
   }
-  if (request.method === "POST") {
-    const ct = request.headers.get("content-type") || "";
-    if (!ct.includes("application/json")) throw new Error("POST must be application/json");
-    return await request.json();
-  }
+  if (request.method === "POST") return await readJSONBody(request);
   throw new Error("Only GET and POST are supported");
-}
\ No newline at end of file
+}
+
+async function readJSONBody(request) {
+  const ct = request.headers.get("content-type") || "";
+  if (!ct.includes("application/json")) throw new Error(`${request.method} must be application/json`);
+  return await request.json();
+}
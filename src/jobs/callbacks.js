@@ -0,0 +1,76 @@
+// src/jobs/callbacks.js
+// Signed webhook delivery for callbackUrl jobs and watchlist alerts.
+// Receivers verify X-Rendertron-Signature = "sha256=" + hex HMAC-SHA256(CALLBACK_SECRET, `${timestamp}.${body}`)
+// with the timestamp from X-Rendertron-Timestamp (unix seconds), and should reject stale timestamps.
+
+import { hmacSha256Hex } from "../utils/crypto.js";
+import { logInfo } from "../utils/logging.js";
+import { CALLBACK_MAX_ATTEMPTS, CALLBACK_BACKOFF_MS, CALLBACK_TIMEOUT_MS } from "../config/constants.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Headers for one delivery of `body`. Unsigned when CALLBACK_SECRET is not set
+ * (callbackUrl requests are refused without it; watch alerts may go out unsigned).
+ */
+export async function signCallback(env, body, event, timestamp = Math.floor(Date.now() / 1000)) {
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "rendertron-lite-callback",
+    "X-Rendertron-Event": event,
+    "X-Rendertron-Timestamp": String(timestamp),
+  };
+  if (env.CALLBACK_SECRET) {
+    headers["X-Rendertron-Signature"] = `sha256=${await hmacSha256Hex(env.CALLBACK_SECRET, `${timestamp}.${body}`)}`;
+  }
+  return headers;
+}
+
+/**
+ * One signed POST of `body` (a JSON string). Redirects are not followed: the URL was checked
+ * against the target policy, its redirect target was not.
+ * Returns { ok, status, error }; never throws.
+ */
+export async function sendCallback(env, url, body, event) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: await signCallback(env, body, event),
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+    });
+    // Drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (err) {
+    const error = err?.name === "TimeoutError" ? `Timed out after ${CALLBACK_TIMEOUT_MS}ms` : err?.message || "Delivery failed";
+    return { ok: false, status: null, error };
+  }
+}
+
+/**
+ * POST `payload` as JSON to `url`, retrying network errors and non-2xx answers in this invocation
+ * with exponential backoff (CALLBACK_BACKOFF_MS, doubling) up to CALLBACK_MAX_ATTEMPTS. Each attempt
+ * is signed with a fresh timestamp. Only for callers with wall time to spare (the cron handler);
+ * job callbacks retry through JOBS_QUEUE instead (see jobs/jobs.js).
+ * Returns { url, delivered, attempts, status, error, deliveredAt }.
+ */
+export async function deliverCallback(env, url, payload, { event = "job.completed", tag = "callback" } = {}) {
+  const body = JSON.stringify(payload);
+  const outcome = { url, delivered: false, attempts: 0, status: null, error: null, deliveredAt: null };
+  for (let attempt = 1; attempt <= CALLBACK_MAX_ATTEMPTS; attempt++) {
+    outcome.attempts = attempt;
+    const { ok, status, error } = await sendCallback(env, url, body, event);
+    Object.assign(outcome, { status, error });
+    if (ok) {
+      outcome.delivered = true;
+      outcome.deliveredAt = new Date().toISOString();
+      break;
+    }
+    logInfo(tag, `callback attempt ${attempt}/${CALLBACK_MAX_ATTEMPTS} failed: ${error}`);
+    if (attempt < CALLBACK_MAX_ATTEMPTS) await sleep(CALLBACK_BACKOFF_MS * 2 ** (attempt - 1));
+  }
+  logInfo(tag, `callback ${outcome.delivered ? "delivered" : "gave up"} after ${outcome.attempts} attempt(s) status=${outcome.status}`);
+  return outcome;
+}
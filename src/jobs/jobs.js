@@ -0,0 +1,216 @@
+// src/jobs/jobs.js
+import { stateGetJSON, statePutJSON } from "../utils/store.js";
+import { safeParams, readResponseBody } from "../utils/http.js";
+import { logStart, logDone, logInfo, newReqId } from "../utils/logging.js";
+import { dispatchOutput } from "../handlers/dispatch.js";
+import { sendCallback } from "./callbacks.js";
+import {
+  JOB_TTL_SECONDS,
+  JOB_STALE_SECONDS,
+  MAX_QUEUE_MESSAGE_BYTES,
+  CALLBACK_MAX_ATTEMPTS,
+  CALLBACK_RETRY_DELAY_SECONDS,
+} from "../config/constants.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const jobKey = (id) => `job:${id}`;
+
+/**
+ * Read a job. A running job whose runner went silent for longer than JOB_STALE_SECONDS
+ * (ctx.waitUntil is cut off ~30 s after the response) is marked failed on read instead of
+ * staying in its last step forever.
+ */
+export async function getJob(env, id) {
+  const job = await stateGetJSON(env, jobKey(id));
+  if (!job || job.status === "done" || job.status === "failed") return job;
+  const limit = JOB_STALE_SECONDS[job.runner || "waitUntil"];
+  const silentMs = Date.now() - Date.parse(job.updatedAt || job.createdAt);
+  if (silentMs > limit * 1000) {
+    job.error = `Job stopped responding during '${job.status}' (no progress for ${Math.round(silentMs / 1000)}s on ${job.runner || "waitUntil"}); ` +
+      "bind JOBS_QUEUE for long-running jobs";
+    job.status = "failed";
+    job.finishedAt = new Date().toISOString();
+    await saveJob(env, job);
+  }
+  return job;
+}
+
+async function saveJob(env, job, attempts = 1) {
+  job.updatedAt = new Date().toISOString();
+  for (let i = 0; i < attempts; i++) {
+    if (await statePutJSON(env, jobKey(job.id), job, JOB_TTL_SECONDS)) return true;
+    // KV rejects >1 write/sec to the same key; back off before retrying
+    if (i < attempts - 1) await sleep(1100);
+  }
+  return false;
+}
+
+// Whether the { id, params } queue message for these params stays under MAX_QUEUE_MESSAGE_BYTES
+export function fitsQueueMessage(params) {
+  return JSON.stringify({ id: crypto.randomUUID(), params }).length <= MAX_QUEUE_MESSAGE_BYTES;
+}
+
+// JOBS_QUEUE when bound and the message fits (15 min wall time), otherwise ctx.waitUntil
+function pickRunner(env, params) {
+  return env.JOBS_QUEUE && fitsQueueMessage(params) ? "queue" : "waitUntil";
+}
+
+/**
+ * Persist a new job in "queued" state. Params are stored redacted;
+ * the raw params travel with the queue message / waitUntil closure only.
+ */
+export async function createJob(env, params, owner = null) {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    status: "queued",
+    runner: pickRunner(env, params),
+    owner,
+    output: params.output,
+    target: params.target || null,
+    params: safeParams(params),
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    steps: [],
+    timings: {},
+    result: null,
+    error: null,
+    callback: params.callbackUrl ? { url: params.callbackUrl, delivered: false, attempts: 0 } : null,
+  };
+  if (!(await saveJob(env, job, 2))) throw new Error("Failed to persist job state");
+  return job;
+}
+
+/**
+ * Progress reporter handed to handlers: each step() closes the previous step,
+ * records its duration and persists the new status (writes are serialized).
+ */
+function createJobProgress(env, job) {
+  const startedAt = Date.now();
+  let current = null;
+  let pending = Promise.resolve();
+
+  const closeCurrent = () => {
+    if (!current) return;
+    current.endedAt = new Date().toISOString();
+    current.ms = Date.now() - current.t0;
+    job.timings[current.name] = (job.timings[current.name] || 0) + current.ms;
+    delete current.t0;
+    current = null;
+  };
+
+  return {
+    step(name) {
+      if (current?.name === name) return;
+      closeCurrent();
+      current = { name, startedAt: new Date().toISOString(), endedAt: null, ms: null, t0: Date.now() };
+      job.steps.push(current);
+      job.status = name;
+      const snapshot = JSON.parse(JSON.stringify(job));
+      pending = pending.then(() => saveJob(env, snapshot));
+    },
+    async finish(status, result, error) {
+      closeCurrent();
+      job.status = status;
+      job.result = result;
+      job.error = error;
+      job.timings.totalMs = Date.now() - startedAt;
+      job.finishedAt = new Date().toISOString();
+      await pending;
+      if (!(await saveJob(env, job, 3))) console.error(`[JOB#${job.id}] failed to persist final state`);
+    },
+  };
+}
+
+export async function runJob(env, job, params) {
+  const rid = newReqId();
+  const tag = `JOB#${job.id.slice(0, 8)}`;
+  const tJob = logStart(tag, `output=${job.output} target=${job.target || "-"}`);
+  const progress = createJobProgress(env, job);
+  try {
+    const res = await dispatchOutput(env, params, tag, rid, progress, job.owner);
+    const result = await readResponseBody(res);
+    if (res.ok) {
+      await progress.finish("done", result, null);
+    } else {
+      const message = result.body?.error || `Handler returned HTTP ${res.status}`;
+      await progress.finish("failed", result, typeof message === "string" ? message : JSON.stringify(message));
+    }
+  } catch (err) {
+    console.error(`[${tag}] ERROR`, err?.stack || err?.message || String(err));
+    await progress.finish("failed", null, err?.message || "Job failed");
+  } finally {
+    logDone(tag, tJob, `job ${job.status}`);
+  }
+  if (job.callback) await notifyCallback(env, job, tag);
+  return job;
+}
+
+/**
+ * POST the finished job to its callbackUrl (attempt number `attempt`) and record how it went.
+ * A failed attempt is retried through a delayed JOBS_QUEUE message, CALLBACK_RETRY_DELAY_SECONDS
+ * doubling per attempt, so retries do not depend on this invocation staying alive.
+ */
+async function notifyCallback(env, job, tag, attempt = 1) {
+  const { id, status, output, target, result, error, createdAt, finishedAt, timings } = job;
+  const event = status === "done" ? "job.completed" : "job.failed";
+  const body = JSON.stringify({ event, id, status, output, target, createdAt, finishedAt, timings, result, error });
+  const sent = await sendCallback(env, job.callback.url, body, event);
+  job.callback = {
+    url: job.callback.url,
+    delivered: sent.ok,
+    attempts: attempt,
+    status: sent.status,
+    error: sent.error,
+    deliveredAt: sent.ok ? new Date().toISOString() : null,
+    nextAttemptAt: null,
+  };
+  if (!sent.ok && attempt < CALLBACK_MAX_ATTEMPTS && env.JOBS_QUEUE) {
+    const delaySeconds = CALLBACK_RETRY_DELAY_SECONDS * 2 ** (attempt - 1);
+    await env.JOBS_QUEUE.send({ callback: id, attempt: attempt + 1 }, { delaySeconds });
+    job.callback.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+  }
+  logInfo(tag, `callback attempt ${attempt}/${CALLBACK_MAX_ATTEMPTS} ${sent.ok ? "delivered" : `failed: ${sent.error}`}` +
+    (job.callback.nextAttemptAt ? `, retry at ${job.callback.nextAttemptAt}` : ""));
+  if (!(await saveJob(env, job, 3))) console.error(`[${tag}] failed to persist callback state`);
+}
+
+/**
+ * Start the job on the runner chosen at creation: JOBS_QUEUE (survives past the request,
+ * 15 min wall time) or ctx.waitUntil.
+ */
+export async function enqueueJob(env, ctx, job, params) {
+  if (job.runner === "queue") {
+    await env.JOBS_QUEUE.send({ id: job.id, params });
+    logInfo(`JOB#${job.id.slice(0, 8)}`, "enqueued on JOBS_QUEUE");
+    return "queue";
+  }
+  if (env.JOBS_QUEUE) logInfo(`JOB#${job.id.slice(0, 8)}`, "params too large for queue → waitUntil");
+  ctx.waitUntil(runJob(env, job, params));
+  return "waitUntil";
+}
+
+// Queue consumer: one message per job, or per callback retry ({ callback: jobId, attempt })
+export async function consumeJobBatch(batch, env) {
+  for (const msg of batch.messages) {
+    if (msg.body?.callback) {
+      const job = await getJob(env, msg.body.callback);
+      if (job?.callback && !job.callback.delivered) await notifyCallback(env, job, `JOB#${job.id.slice(0, 8)}`, msg.body.attempt);
+      msg.ack();
+      continue;
+    }
+    const { id, params } = msg.body || {};
+    const job = id ? await getJob(env, id) : null;
+    if (!job || !params) {
+      console.warn(`[jobs] dropping message for unknown job ${id}`);
+      msg.ack();
+      continue;
+    }
+    if (job.status === "done" || job.status === "failed") {
+      msg.ack();
+      continue;
+    }
+    await runJob(env, job, params);
+    msg.ack();
+  }
+}
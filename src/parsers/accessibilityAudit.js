@@ -0,0 +1,295 @@
+// src/parsers/accessibilityAudit.js
+// Rule-based accessibility checks on the live DOM (via page.evaluate), combined with
+// Chrome's accessibility tree (page.accessibility.snapshot) for landmark coverage.
+
+const DEFAULT_MAX_FINDINGS = 300;
+const MAX_CONTRAST_CHECKS = 3000;
+
+const LANDMARK_ROLES = ["banner", "navigation", "main", "contentinfo", "complementary", "search", "region", "form"];
+
+/**
+ * Returns { url, summary, findings, landmarks, tree? }.
+ * Each finding: { rule, severity: critical|serious|moderate|minor, selector, explanation, snippet, ...details }.
+ */
+export async function auditAccessibility(page, originalUrl, { maxFindings = DEFAULT_MAX_FINDINGS, includeTree = false } = {}) {
+  const audit = await page.evaluate(auditInPage, { maxFindings, maxContrastChecks: MAX_CONTRAST_CHECKS });
+  const tree = await page.accessibility.snapshot({ interestingOnly: true }).catch(() => null);
+
+  const roles = {};
+  const walk = (node) => {
+    if (!node) return;
+    if (node.role) roles[node.role] = (roles[node.role] || 0) + 1;
+    for (const c of node.children || []) walk(c);
+  };
+  walk(tree);
+  const landmarks = Object.fromEntries(LANDMARK_ROLES.map((r) => [r, roles[r] || 0]));
+
+  const findings = [...audit.findings];
+  if (tree && !landmarks.main) {
+    findings.push({
+      rule: "landmark-main",
+      severity: "moderate",
+      selector: "body",
+      explanation: "The page has no main landmark (<main> or role=\"main\"), so screen-reader users cannot jump to the primary content.",
+      snippet: "",
+    });
+  }
+
+  const bySeverity = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  const byRule = {};
+  for (const f of findings) {
+    bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1;
+    byRule[f.rule] = (byRule[f.rule] || 0) + 1;
+  }
+
+  return {
+    url: originalUrl,
+    summary: { findings: findings.length, bySeverity, byRule, truncated: audit.truncated, contrastChecked: audit.contrastChecked },
+    findings,
+    landmarks,
+    ...(includeTree ? { tree } : {}),
+  };
+}
+
+// Runs inside the page: must stay self-contained (no closures over module scope).
+function auditInPage({ maxFindings, maxContrastChecks }) {
+  const findings = [];
+  let truncated = false;
+  let contrastChecked = 0;
+
+  const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+  const cssEscape = (s) => (window.CSS && CSS.escape ? CSS.escape(s) : String(s).replace(/[^a-zA-Z0-9_-]/g, "\\$&"));
+
+  function selectorFor(el) {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+        parts.unshift(`#${cssEscape(node.id)}`);
+        return parts.join(" > ");
+      }
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const same = Array.from(parent.children).filter((c) => c.tagName === node.tagName);
+        if (same.length > 1) part += `:nth-of-type(${same.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.length ? parts.join(" > ") : "html";
+  }
+
+  function snippet(el) {
+    const html = el.outerHTML || "";
+    const open = html.slice(0, html.indexOf(">") + 1) || html;
+    return open.length > 200 ? `${open.slice(0, 200)}…` : open;
+  }
+
+  function add(rule, severity, el, explanation, extra = {}) {
+    if (findings.length >= maxFindings) { truncated = true; return; }
+    findings.push({ rule, severity, selector: el ? selectorFor(el) : "html", explanation, snippet: el ? snippet(el) : "", ...extra });
+  }
+
+  function isHidden(el) {
+    if (el.closest("[hidden], [aria-hidden='true']")) return true;
+    const cs = getComputedStyle(el);
+    if (cs.display === "none" || cs.visibility === "hidden" || cs.visibility === "collapse") return true;
+    const r = el.getBoundingClientRect();
+    return r.width === 0 && r.height === 0 && cs.position !== "fixed";
+  }
+
+  function textOf(el) {
+    let out = "";
+    for (const n of el.childNodes) {
+      if (n.nodeType === 3) out += n.textContent;
+      else if (n.nodeType === 1) {
+        if (n.getAttribute("aria-hidden") === "true") continue;
+        if (n.tagName === "IMG" || n.getAttribute("role") === "img") out += ` ${n.getAttribute("alt") || n.getAttribute("aria-label") || ""} `;
+        else if (n.tagName === "svg" || n.tagName === "SVG") out += ` ${n.getAttribute("aria-label") || n.querySelector("title")?.textContent || ""} `;
+        else out += ` ${textOf(n)} `;
+      }
+    }
+    return clean(out);
+  }
+
+  // Simplified accessible-name computation: labelledby, aria-label, labels, alt, content, title
+  function accessibleName(el) {
+    const labelledby = el.getAttribute("aria-labelledby");
+    if (labelledby) {
+      const t = clean(labelledby.split(/\s+/).map((id) => document.getElementById(id)?.textContent || "").join(" "));
+      if (t) return t;
+    }
+    const aria = clean(el.getAttribute("aria-label"));
+    if (aria) return aria;
+    if (el.labels && el.labels.length) {
+      const t = clean(Array.from(el.labels).map((l) => l.textContent).join(" "));
+      if (t) return t;
+    }
+    const tag = el.tagName;
+    if (tag === "IMG" || (tag === "INPUT" && el.type === "image")) {
+      const alt = clean(el.getAttribute("alt"));
+      if (alt) return alt;
+    }
+    if (tag === "INPUT" && ["submit", "reset", "button"].includes(el.type)) {
+      if (clean(el.value)) return clean(el.value);
+      if (el.type !== "button") return el.type;
+    }
+    if (!["INPUT", "SELECT", "TEXTAREA"].includes(tag)) {
+      const t = textOf(el);
+      if (t) return t;
+    }
+    return clean(el.getAttribute("title"));
+  }
+
+  // --- document-level ---
+  const lang = clean(document.documentElement.getAttribute("lang"));
+  if (!lang) {
+    add("html-lang", "serious", document.documentElement,
+      "The <html> element has no lang attribute, so screen readers may use the wrong language and pronunciation.");
+  }
+  if (!clean(document.title)) {
+    add("document-title", "serious", document.documentElement, "The document has no <title>; it is the first thing announced when the page opens.");
+  }
+
+  // --- images ---
+  for (const img of document.querySelectorAll("img, [role='img'], input[type='image'], area[href]")) {
+    if (isHidden(img)) continue;
+    if (img.tagName === "IMG" && !img.hasAttribute("alt") && !accessibleName(img)) {
+      add("image-alt", "serious", img, "Image has no alt attribute. Use descriptive alt text, or alt=\"\" if the image is purely decorative.",
+        { src: (img.currentSrc || img.src || "").slice(0, 300) });
+    } else if (img.tagName !== "IMG" && !accessibleName(img)) {
+      add("image-alt", "serious", img, "Graphic (role=img, image button or image-map area) has no text alternative.");
+    }
+  }
+
+  // --- links and buttons ---
+  for (const a of document.querySelectorAll("a[href], [role='link']")) {
+    if (isHidden(a)) continue;
+    if (!accessibleName(a)) {
+      add("link-name", "serious", a, "Link has no discernible text, so its purpose is not announced. Add text, aria-label, or alt text on a contained image.",
+        { href: (a.getAttribute("href") || "").slice(0, 300) });
+    }
+  }
+  for (const b of document.querySelectorAll("button, [role='button'], input[type='button'], input[type='submit'], input[type='reset']")) {
+    if (isHidden(b)) continue;
+    if (!accessibleName(b)) {
+      add("button-name", "critical", b, "Button has no accessible name; screen-reader users hear only \"button\". Add visible text or aria-label (icon buttons need one).");
+    }
+  }
+
+  // --- form fields ---
+  const NON_LABELLED = ["hidden", "submit", "reset", "button", "image"];
+  for (const f of document.querySelectorAll("input, select, textarea")) {
+    if (f.tagName === "INPUT" && NON_LABELLED.includes(f.type)) continue;
+    if (isHidden(f)) continue;
+    if (!accessibleName(f)) {
+      const placeholder = clean(f.getAttribute("placeholder"));
+      add("form-label", placeholder ? "moderate" : "serious", f, placeholder
+        ? "Form field relies on its placeholder as a label; placeholders disappear on input and are not reliably announced. Add a <label> or aria-label."
+        : "Form field has no label. Associate a <label for>, wrap it in a <label>, or add aria-label/aria-labelledby.",
+      { fieldType: f.type || f.tagName.toLowerCase() });
+    }
+  }
+
+  // --- headings ---
+  const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6, [role='heading']")).filter((h) => !isHidden(h));
+  let prev = 0;
+  for (const h of headings) {
+    const level = h.getAttribute("role") === "heading" ? parseInt(h.getAttribute("aria-level") || "2", 10) : parseInt(h.tagName[1], 10);
+    if (!textOf(h)) add("empty-heading", "moderate", h, "Heading has no text content; it shows up in the headings list as a blank entry.");
+    if (prev && level > prev + 1) {
+      add("heading-order", "moderate", h, `Heading level jumps from h${prev} to h${level}; skipped levels break the outline screen-reader users navigate by.`,
+        { level, previousLevel: prev });
+    }
+    prev = level;
+  }
+  if (!headings.some((h) => h.tagName === "H1" || (h.getAttribute("role") === "heading" && h.getAttribute("aria-level") === "1"))) {
+    add("page-has-heading-one", "moderate", document.body || document.documentElement, "The page has no level-one heading describing its main content.");
+  }
+
+  // --- focusable elements without names (beyond links/buttons/fields above) ---
+  const COVERED = "a[href], button, input, select, textarea, [role='button'], [role='link']";
+  for (const el of document.querySelectorAll("[tabindex], [contenteditable=''], [contenteditable='true'], summary, [role='checkbox'], [role='tab'], [role='menuitem'], [role='switch'], [role='combobox'], [role='slider']")) {
+    if (el.matches(COVERED) || isHidden(el)) continue;
+    const ti = el.getAttribute("tabindex");
+    if (ti != null && parseInt(ti, 10) < 0) continue;
+    if (!accessibleName(el)) {
+      add("focusable-name", "serious", el, "Keyboard-focusable element has no accessible name; focusing it announces nothing meaningful.",
+        { role: el.getAttribute("role") || null });
+    }
+  }
+
+  // --- colour contrast ---
+  function parseColor(c) {
+    const m = String(c).match(/rgba?\(([^)]+)\)/);
+    if (!m) return null;
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  }
+  function blend(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (!a) return { r: 255, g: 255, b: 255, a: 1 };
+    return {
+      r: (top.r * top.a + bottom.r * bottom.a * (1 - top.a)) / a,
+      g: (top.g * top.a + bottom.g * bottom.a * (1 - top.a)) / a,
+      b: (top.b * top.a + bottom.b * bottom.a * (1 - top.a)) / a,
+      a,
+    };
+  }
+  // Returns null when a background image/gradient makes the colour unknowable
+  function backgroundOf(el) {
+    const layers = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const cs = getComputedStyle(node);
+      if (cs.backgroundImage && cs.backgroundImage !== "none") return null;
+      const c = parseColor(cs.backgroundColor);
+      if (c && c.a > 0) {
+        layers.push(c);
+        if (c.a >= 1) break;
+      }
+    }
+    let bg = { r: 255, g: 255, b: 255, a: 1 };
+    for (let i = layers.length - 1; i >= 0; i--) bg = blend(layers[i], bg);
+    return bg;
+  }
+  function luminance({ r, g, b }) {
+    const ch = (v) => {
+      const s = v / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * ch(r) + 0.7152 * ch(g) + 0.0722 * ch(b);
+  }
+  const hex = ({ r, g, b }) => `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  const seen = new Set();
+  while (walker.nextNode() && contrastChecked < maxContrastChecks) {
+    const t = walker.currentNode;
+    const el = t.parentElement;
+    if (!el || seen.has(el) || !clean(t.textContent)) continue;
+    seen.add(el);
+    if (["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"].includes(el.tagName) || isHidden(el)) continue;
+    const cs = getComputedStyle(el);
+    if (parseFloat(cs.opacity) === 0) continue;
+    const bg = backgroundOf(el);
+    const fgRaw = parseColor(cs.color);
+    if (!bg || !fgRaw) continue;
+    contrastChecked++;
+    const fg = fgRaw.a < 1 ? blend(fgRaw, bg) : fgRaw;
+    const l1 = luminance(fg);
+    const l2 = luminance(bg);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    const size = parseFloat(cs.fontSize);
+    const bold = parseInt(cs.fontWeight, 10) >= 700;
+    const large = size >= 24 || (bold && size >= 18.66);
+    const required = large ? 3 : 4.5;
+    if (ratio < required) {
+      add("color-contrast", ratio < required - 1.5 ? "serious" : "moderate", el,
+        `Text contrast ${ratio.toFixed(2)}:1 is below the WCAG AA minimum of ${required}:1 for ${large ? "large" : "normal"} text.`,
+        { contrastRatio: Math.round(ratio * 100) / 100, required, foreground: hex(fg), background: hex(bg), fontSize: `${size}px`, text: clean(t.textContent).slice(0, 80) });
+    }
+  }
+
+  return { findings, truncated, contrastChecked };
+}
@@ -0,0 +1,330 @@
+// src/parsers/domExtractor.js
+// Walks the live, rendered DOM (including open shadow roots) via page.evaluate
+// and returns a nested section/element tree with selectors, boxes and visibility.
+
+const DEFAULT_MAX_NODES = 1500;
+const MAX_TEXT_LENGTH = 500;
+
+export async function extractDomStructure(page, originalUrl, { maxNodes = DEFAULT_MAX_NODES } = {}) {
+  const tree = await page.evaluate(extractInPage, { maxNodes, maxText: MAX_TEXT_LENGTH });
+  return { url: originalUrl, ...tree };
+}
+
+// Runs inside the page: must stay self-contained (no closures over module scope).
+function extractInPage({ maxNodes, maxText }) {
+  const SKIP = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "META", "LINK", "HEAD", "BR", "WBR"]);
+  const LANDMARK_TAGS = new Set(["HEADER", "NAV", "MAIN", "SECTION", "ARTICLE", "ASIDE", "FOOTER"]);
+  const LANDMARK_ROLES = new Set(["banner", "navigation", "main", "region", "contentinfo", "complementary", "search", "article", "dialog"]);
+  const TEXT_TAGS = new Set(["P", "BLOCKQUOTE", "LABEL", "FIGCAPTION", "SMALL", "STRONG", "EM", "B", "I", "SPAN", "TD", "TH", "DT", "DD", "CAPTION", "ADDRESS", "TIME", "CITE", "CODE", "PRE"]);
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  let count = 0;
+  let truncated = false;
+
+  const clean = (s) => String(s || "").replace(/\s+/g, " ").trim().slice(0, maxText);
+
+  function box(el) {
+    const r = el.getBoundingClientRect();
+    return {
+      x: Math.round(r.left + window.scrollX),
+      y: Math.round(r.top + window.scrollY),
+      width: Math.round(r.width),
+      height: Math.round(r.height),
+    };
+  }
+
+  function isVisible(el, b) {
+    const cs = getComputedStyle(el);
+    if (cs.visibility === "hidden" || cs.visibility === "collapse") return false;
+    if (parseFloat(cs.opacity) === 0) return false;
+    if (el.closest && el.closest("[aria-hidden='true']")) return false;
+    return b.width > 0 && b.height > 0;
+  }
+
+  function cssEscape(s) {
+    return window.CSS && CSS.escape ? CSS.escape(s) : String(s).replace(/[^a-zA-Z0-9_-]/g, "\\$&");
+  }
+
+  // Unique-ish selector within the element's root; shadow hosts are joined with ">>>" (puppeteer pierce)
+  function selectorFor(el) {
+    const root = el.getRootNode();
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1) {
+      if (node.id && root.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+        parts.unshift(`#${cssEscape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? node.parentElement.children : root.children;
+      const same = Array.from(siblings || []).filter((c) => c.tagName === node.tagName);
+      if (same.length > 1) part += `:nth-of-type(${same.indexOf(node) + 1})`;
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    const path = parts.join(" > ");
+    return root instanceof ShadowRoot ? `${selectorFor(root.host)} >>> ${path}` : path;
+  }
+
+  function implicitRole(el) {
+    const explicit = el.getAttribute("role");
+    if (explicit) return explicit;
+    const tag = el.tagName;
+    const inSectioning = !!(el.parentElement && el.parentElement.closest("article,aside,main,nav,section"));
+    switch (tag) {
+      case "HEADER": return inSectioning ? "generic" : "banner";
+      case "FOOTER": return inSectioning ? "generic" : "contentinfo";
+      case "NAV": return "navigation";
+      case "MAIN": return "main";
+      case "ASIDE": return "complementary";
+      case "SECTION": return "region";
+      case "ARTICLE": return "article";
+      case "FORM": return "form";
+      case "A": return el.hasAttribute("href") ? "link" : "generic";
+      case "BUTTON": return "button";
+      case "IMG": return el.getAttribute("alt") === "" ? "presentation" : "img";
+      case "UL": case "OL": return "list";
+      case "LI": return "listitem";
+      case "P": return "paragraph";
+      case "INPUT": return ["button", "submit", "reset"].includes(el.type) ? "button" : "textbox";
+      case "SELECT": return "combobox";
+      case "TEXTAREA": return "textbox";
+      default: return /^H[1-6]$/.test(tag) ? "heading" : "generic";
+    }
+  }
+
+  // Children in render order: shadow root content replaces light DOM, slots pull in assigned nodes
+  function renderedChildren(el) {
+    if (el.shadowRoot) return Array.from(el.shadowRoot.children);
+    if (el.tagName === "SLOT") {
+      const assigned = el.assignedElements({ flatten: true });
+      return assigned.length ? assigned : Array.from(el.children);
+    }
+    return Array.from(el.children);
+  }
+
+  function isSection(el, b) {
+    if (LANDMARK_TAGS.has(el.tagName)) return true;
+    const role = el.getAttribute("role");
+    if (role && LANDMARK_ROLES.has(role)) return true;
+    // div-based layouts: wide, tall blocks that hold several content nodes
+    if (el.tagName !== "DIV" && !el.shadowRoot) return false;
+    if (b.width < vw * 0.5 || b.height < 120) return false;
+    const kids = renderedChildren(el).filter((c) => !SKIP.has(c.tagName));
+    if (kids.length === 1) return false; // pure wrapper: let the child decide
+    return kids.length >= 2 && kids.some((k) => clean(k.innerText || k.textContent).length > 0);
+  }
+
+  function isButtonLike(el) {
+    if (el.tagName === "BUTTON" || el.getAttribute("role") === "button") return true;
+    if (el.tagName === "INPUT" && ["button", "submit", "reset"].includes(el.type)) return true;
+    return el.tagName === "A" && /\b(btn|button|cta)\b/i.test(el.className || "");
+  }
+
+  function looksLikeLogo(el, section) {
+    if (!section || section.type !== "header") return false;
+    const hint = `${el.getAttribute("alt") || ""} ${el.getAttribute("src") || ""} ${el.id} ${el.getAttribute("class") || ""}`;
+    if (/logo|brand/i.test(hint)) return true;
+    const link = el.closest("a[href]");
+    if (!link) return false;
+    try { return new URL(link.href, location.href).pathname === "/"; } catch { return false; }
+  }
+
+  function elementNode(el, type, b, extra = {}) {
+    count++;
+    const node = {
+      kind: "element",
+      type,
+      tag: el.tagName.toLowerCase(),
+      role: implicitRole(el),
+      text: extra.text != null ? extra.text : clean(el.innerText || el.textContent),
+      selector: selectorFor(el),
+      box: b,
+      visible: isVisible(el, b),
+    };
+    const href = el.getAttribute("href");
+    if (href != null) node.href = el.href || href;
+    const src = el.currentSrc || el.getAttribute("src");
+    if (src) node.src = src;
+    const alt = el.getAttribute("alt") ?? el.getAttribute("aria-label");
+    if (alt != null) node.alt = alt;
+    return Object.assign(node, extra);
+  }
+
+  function sectionType(el, role, b) {
+    if (role === "banner" || el.tagName === "HEADER") return "header";
+    if (role === "contentinfo" || el.tagName === "FOOTER") return "footer";
+    if (role === "complementary") return "sidebar";
+    if (role === "navigation") return "header";
+    if (b.y < vh && el.querySelector("h1")) return "hero";
+    return "content";
+  }
+
+  function sectionNode(el, b) {
+    count++;
+    const role = implicitRole(el);
+    const heading = el.querySelector("h1,h2,h3,h4,h5,h6,[role='heading']");
+    return {
+      kind: "section",
+      type: sectionType(el, role, b),
+      tag: el.tagName.toLowerCase(),
+      role,
+      heading: heading ? clean(heading.innerText) : "",
+      selector: selectorFor(el),
+      box: b,
+      visible: isVisible(el, b),
+      children: [],
+    };
+  }
+
+  function ownText(el) {
+    let t = "";
+    for (const n of el.childNodes) if (n.nodeType === 3) t += n.textContent;
+    return clean(t);
+  }
+
+  function walk(el, section, out) {
+    for (const child of renderedChildren(el)) {
+      if (count >= maxNodes) { truncated = true; return; }
+      if (SKIP.has(child.tagName)) continue;
+      const cs = getComputedStyle(child);
+      if (cs.display === "none") continue;
+      const b = box(child);
+      const tag = child.tagName;
+
+      if (isSection(child, b)) {
+        const node = sectionNode(child, b);
+        const loose = ownText(child);
+        if (loose) node.children.push(elementNode(child, "TEXT", b, { text: loose }));
+        walk(child, node, node.children);
+        if (node.children.length) out.push(node);
+        continue;
+      }
+      if (/^H[1-6]$/.test(tag) || child.getAttribute("role") === "heading") {
+        const level = /^H[1-6]$/.test(tag) ? Number(tag[1]) : Number(child.getAttribute("aria-level") || 2);
+        out.push(elementNode(child, "HEADING", b, { level }));
+        continue;
+      }
+      if (isButtonLike(child)) {
+        out.push(elementNode(child, "BUTTON", b, tag === "INPUT" ? { text: clean(child.value) } : {}));
+        continue;
+      }
+      if (tag === "A") {
+        const img = child.querySelector("img,svg");
+        const text = clean(child.innerText);
+        if (img && !text && looksLikeLogo(img, section)) {
+          out.push(elementNode(img, "LOGO", box(img), { text: "", href: child.href }));
+        } else {
+          out.push(elementNode(child, "LINK", b, !text && img ? { alt: img.getAttribute("alt") || img.getAttribute("aria-label") || "" } : {}));
+        }
+        continue;
+      }
+      if (tag === "IMG" || tag === "PICTURE" || tag === "CANVAS" || tag.toLowerCase() === "svg") {
+        const target = tag === "PICTURE" ? child.querySelector("img") || child : child;
+        if (b.width < 16 && b.height < 16) continue;
+        const extra = { text: "" };
+        if (tag.toLowerCase() === "svg") {
+          const title = child.querySelector("title");
+          extra.alt = child.getAttribute("aria-label") || (title ? clean(title.textContent) : "");
+        }
+        out.push(elementNode(target, looksLikeLogo(target, section) ? "LOGO" : "IMAGE", b, extra));
+        continue;
+      }
+      if (tag === "VIDEO" || tag === "IFRAME") {
+        out.push(elementNode(child, "VIDEO", b, { text: "" }));
+        continue;
+      }
+      if (tag === "INPUT" || tag === "SELECT" || tag === "TEXTAREA") {
+        if (child.type === "hidden") continue;
+        out.push(elementNode(child, "INPUT", b, {
+          text: clean(child.getAttribute("placeholder") || child.getAttribute("aria-label") || ""),
+          inputType: child.type || tag.toLowerCase(),
+          name: child.getAttribute("name") || "",
+        }));
+        continue;
+      }
+      if (tag === "FORM") {
+        const node = elementNode(child, "FORM", b, { text: "", children: [] });
+        walk(child, section, node.children);
+        out.push(node);
+        continue;
+      }
+      if (tag === "UL" || tag === "OL") {
+        const node = elementNode(child, "LIST", b, { text: "", children: [] });
+        walk(child, section, node.children);
+        if (node.children.length) out.push(node);
+        continue;
+      }
+      if (tag === "LI") {
+        const interactive = child.querySelector("a,button,img,svg,input,select,textarea,h1,h2,h3,h4,h5,h6");
+        if (!interactive) {
+          const text = clean(child.innerText);
+          if (text) out.push(elementNode(child, "LIST_ITEM", b, { text }));
+          continue;
+        }
+      }
+      if (TEXT_TAGS.has(tag) && !child.querySelector("a,button,img,svg,input,h1,h2,h3,h4,h5,h6,ul,ol,div,p")) {
+        const text = clean(child.innerText);
+        if (text) out.push(elementNode(child, "TEXT", b, { text }));
+        continue;
+      }
+
+      // generic container: keep loose text, then descend
+      const loose = ownText(child);
+      if (loose) out.push(elementNode(child, "TEXT", b, { text: loose }));
+      walk(child, section, out);
+    }
+  }
+
+  const top = [];
+  const body = document.body;
+  if (body) walk(body, null, top);
+
+  // Group stray top-level elements between sections into anonymous content sections
+  const sections = [];
+  let pending = null;
+  for (const node of top) {
+    if (node.kind === "section") {
+      pending = null;
+      sections.push(node);
+      continue;
+    }
+    if (!pending) {
+      pending = {
+        kind: "section",
+        type: "content",
+        tag: "body",
+        role: "generic",
+        heading: node.type === "HEADING" ? node.text : "",
+        selector: "body",
+        box: { ...node.box },
+        visible: node.visible,
+        children: [],
+      };
+      sections.push(pending);
+    }
+    pending.children.push(node);
+    const pb = pending.box;
+    const nb = node.box;
+    const right = Math.max(pb.x + pb.width, nb.x + nb.width);
+    const bottom = Math.max(pb.y + pb.height, nb.y + nb.height);
+    pb.x = Math.min(pb.x, nb.x);
+    pb.y = Math.min(pb.y, nb.y);
+    pb.width = right - pb.x;
+    pb.height = bottom - pb.y;
+    pending.visible = pending.visible || node.visible;
+  }
+
+  return {
+    title: document.title || "",
+    lang: document.documentElement.getAttribute("lang") || "",
+    viewport: { width: vw, height: vh },
+    document: {
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+    },
+    nodeCount: count,
+    truncated,
+    sections,
+  };
+}
@@ -0,0 +1,285 @@
+// src/parsers/markdownExtractor.js
+// Readability-style main-content detection on the rendered DOM, converted to Markdown
+// (or plain text) with absolute URLs, for LLM / RAG ingestion.
+
+const MAX_OUTPUT_CHARS = 1000000;
+
+/**
+ * `format`: "markdown" | "text". `scope`: "main" (detected article body) | "full" (whole <body>).
+ * `removeBoilerplate` drops nav/header/footer/aside, cookie banners and share widgets.
+ * Returns { url, title, byline, lang, excerpt, contentSelector, content, wordCount, characters, tokenEstimate, truncated }.
+ */
+export async function extractReadable(page, originalUrl, { format = "markdown", scope = "main", removeBoilerplate = true } = {}) {
+  const out = await page.evaluate(readableInPage, { format, scope, removeBoilerplate, maxChars: MAX_OUTPUT_CHARS });
+  return {
+    url: originalUrl,
+    ...out,
+    // ~4 characters per token for English prose with GPT/Claude-style tokenizers
+    tokenEstimate: Math.ceil(out.characters / 4),
+  };
+}
+
+// Runs inside the page: must stay self-contained (no closures over module scope).
+function readableInPage({ format, scope, removeBoilerplate, maxChars }) {
+  const md = format === "markdown";
+  const SKIP = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG", "CANVAS", "IFRAME", "OBJECT", "EMBED", "BUTTON", "INPUT", "SELECT", "TEXTAREA", "OPTION", "DIALOG", "HEAD", "META", "LINK"]);
+  const BOILERPLATE_TAGS = new Set(["NAV", "HEADER", "FOOTER", "ASIDE"]);
+  const BOILERPLATE_ROLES = new Set(["navigation", "banner", "contentinfo", "complementary", "search", "menu", "menubar", "dialog", "alertdialog"]);
+  const BOILERPLATE_HINT = /(^|[\s_-])(cookie|consent|gdpr|newsletter|subscribe|share|sharing|social|breadcrumbs?|sidebar|menu|promo|advert|ads?|related|skip-link|popup|modal|banner)([\s_-]|$)/i;
+  const POSITIVE_HINT = /article|body|content|entry|main|post|text|blog|story|prose/i;
+  const NEGATIVE_HINT = /comment|footer|nav|sidebar|widget|share|social|related|promo|sponsor|masthead|meta|outbrain|taboola/i;
+  const BLOCK = new Set(["P", "DIV", "SECTION", "ARTICLE", "MAIN", "HEADER", "FOOTER", "ASIDE", "NAV", "FIGURE", "FIGCAPTION", "ADDRESS", "DETAILS", "SUMMARY", "DL", "DT", "DD", "FORM", "FIELDSET", "CENTER"]);
+
+  const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+  const abs = (u) => {
+    if (!u) return "";
+    try { return new URL(u, document.baseURI).href; } catch { return u; }
+  };
+  const hints = (el) => `${typeof el.className === "string" ? el.className : ""} ${el.id || ""}`;
+
+  function isHidden(el) {
+    if (el.hidden || el.getAttribute("aria-hidden") === "true") return true;
+    const cs = getComputedStyle(el);
+    return cs.display === "none" || cs.visibility === "hidden";
+  }
+
+  function isBoilerplate(el) {
+    if (!removeBoilerplate) return false;
+    // <header>/<footer> inside an article are its title block / byline, not site chrome
+    if ((el.tagName === "HEADER" || el.tagName === "FOOTER") && el.parentElement?.closest("article, main, [role='main']")) return false;
+    if (BOILERPLATE_TAGS.has(el.tagName)) return true;
+    if (BOILERPLATE_ROLES.has(el.getAttribute("role"))) return true;
+    const h = hints(el);
+    return !!h.trim() && BOILERPLATE_HINT.test(h) && !/article|content|main|post/i.test(h);
+  }
+
+  function skip(el) {
+    return SKIP.has(el.tagName.toUpperCase()) || isHidden(el) || isBoilerplate(el);
+  }
+
+  function linkDensity(el) {
+    const total = clean(el.innerText).length || 1;
+    let links = 0;
+    for (const a of el.querySelectorAll("a")) links += clean(a.innerText).length;
+    return links / total;
+  }
+
+  // --- main-content detection (Readability's paragraph scoring, simplified) ---
+  function detectMain() {
+    const body = document.body || document.documentElement;
+    const scores = new Map();
+    const bump = (el, n) => {
+      if (!el || el === document.documentElement) return;
+      if (!scores.has(el)) {
+        const h = hints(el);
+        let base = 0;
+        if (POSITIVE_HINT.test(h)) base += 25;
+        if (NEGATIVE_HINT.test(h)) base -= 25;
+        if (el.tagName === "ARTICLE" || el.tagName === "MAIN" || el.getAttribute("role") === "main") base += 30;
+        scores.set(el, base);
+      }
+      scores.set(el, scores.get(el) + n);
+    };
+    for (const p of body.querySelectorAll("p, pre, td, blockquote, li")) {
+      const text = clean(p.innerText);
+      if (text.length < 25) continue;
+      if (p.closest("nav, footer, aside, [role='navigation'], [role='contentinfo']")) continue;
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      bump(p.parentElement, score);
+      bump(p.parentElement?.parentElement, score / 2);
+      bump(p.parentElement?.parentElement?.parentElement, score / 3);
+    }
+    let best = null;
+    let bestScore = 0;
+    for (const [el, s] of scores) {
+      const adjusted = s * (1 - linkDensity(el));
+      if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+    }
+    // Too little text to trust the pick: fall back to <main>/<article>, then <body>
+    if (!best || clean(best.innerText).length < 200) {
+      return document.querySelector("main, [role='main']") || document.querySelector("article") || body;
+    }
+    // Prefer an enclosing <article>/<main> when the winner is a fragment of it
+    const container = best.closest("article, main, [role='main']");
+    if (container && clean(container.innerText).length < clean(best.innerText).length * 2) return container;
+    return best;
+  }
+
+  function selectorFor(el) {
+    if (el === document.body) return "body";
+    if (el.id) return `#${window.CSS && CSS.escape ? CSS.escape(el.id) : el.id}`;
+    const parts = [];
+    for (let n = el; n && n !== document.body && n.nodeType === 1; n = n.parentElement) {
+      const same = n.parentElement ? Array.from(n.parentElement.children).filter((c) => c.tagName === n.tagName) : [];
+      parts.unshift(`${n.tagName.toLowerCase()}${same.length > 1 ? `:nth-of-type(${same.indexOf(n) + 1})` : ""}`);
+    }
+    return ["body", ...parts].join(" > ");
+  }
+
+  // --- conversion ---
+  const escapeCell = (s) => s.replace(/\|/g, "\\|").replace(/\n+/g, " ");
+
+  function inline(node) {
+    return inlineNodes(node.childNodes);
+  }
+
+  function inlineNodes(nodes) {
+    let out = "";
+    for (const n of nodes) {
+      if (n.nodeType === 3) { out += n.textContent.replace(/\s+/g, " "); continue; }
+      if (n.nodeType !== 1 || skip(n)) continue;
+      const tag = n.tagName;
+      if (tag === "BR") { out += md ? "  \n" : "\n"; continue; }
+      if (tag === "IMG") { out += image(n); continue; }
+      const inner = inline(n);
+      const t = inner.trim();
+      if (!t) { out += inner; continue; }
+      if (!md) { out += inner; continue; }
+      // Markers hug the text; the whitespace around it stays outside ("a <b> b</b>" → "a **b**")
+      const keep = (s) => `${/^\s/.test(inner) ? " " : ""}${s}${/\s$/.test(inner) ? " " : ""}`;
+      if (tag === "A") {
+        const href = n.getAttribute("href") || "";
+        out += /^(javascript:|#$)/i.test(href) || !href ? inner : keep(`[${t}](${abs(href)})`);
+      } else if (tag === "STRONG" || tag === "B") out += keep(`**${t}**`);
+      else if (tag === "EM" || tag === "I") out += keep(`*${t}*`);
+      else if (tag === "CODE" || tag === "KBD" || tag === "SAMP") out += keep(`\`${t.replace(/`/g, "\\`")}\``);
+      else if (tag === "DEL" || tag === "S") out += keep(`~~${t}~~`);
+      else out += inner;
+    }
+    return out;
+  }
+
+  function image(img) {
+    const src = img.currentSrc || img.getAttribute("src") || "";
+    const alt = clean(img.getAttribute("alt"));
+    // Tracking pixels and inline placeholders carry nothing
+    if (!src || /^data:/i.test(src) || (img.naturalWidth && img.naturalWidth <= 2)) return alt && !md ? alt : "";
+    return md ? `![${alt.replace(/[[\]]/g, "")}](${abs(src)})` : (alt ? `[Image: ${alt}]` : "");
+  }
+
+  function table(el) {
+    const rows = Array.from(el.querySelectorAll("tr")).filter((r) => r.closest("table") === el);
+    const cells = rows.map((r) => Array.from(r.children).filter((c) => c.tagName === "TD" || c.tagName === "TH").map((c) => clean(inline(c))));
+    const width = Math.max(0, ...cells.map((r) => r.length));
+    if (!width) return "";
+    const pad = (r) => [...r, ...Array(width - r.length).fill("")];
+    if (!md) return cells.map((r) => pad(r).join("\t")).join("\n");
+    const [head, ...rest] = cells.map(pad);
+    const line = (r) => `| ${r.map(escapeCell).join(" | ")} |`;
+    return [line(head), `| ${Array(width).fill("---").join(" | ")} |`, ...rest.map(line)].join("\n");
+  }
+
+  function list(el, depth) {
+    const ordered = el.tagName === "OL";
+    let i = parseInt(el.getAttribute("start") || "1", 10);
+    const items = [];
+    for (const li of el.children) {
+      if (li.tagName !== "LI" || skip(li)) continue;
+      const nested = [];
+      const own = [];
+      for (const c of li.childNodes) {
+        if (c.nodeType === 1 && (c.tagName === "UL" || c.tagName === "OL")) {
+          if (!skip(c)) nested.push(list(c, depth + 1));
+        } else own.push(c);
+      }
+      const text = clean(inlineNodes(own));
+      const marker = ordered ? `${i++}.` : "-";
+      items.push(`${"  ".repeat(depth)}${marker} ${text}${nested.length ? `\n${nested.join("\n")}` : ""}`);
+    }
+    return items.join("\n");
+  }
+
+  function blocks(node, out) {
+    for (const n of node.childNodes) {
+      if (n.nodeType === 3) {
+        const t = clean(n.textContent);
+        if (t) out.push({ inline: n.textContent });
+        continue;
+      }
+      if (n.nodeType !== 1 || skip(n)) continue;
+      const tag = n.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        const t = clean(inline(n));
+        if (t) out.push({ block: md ? `${"#".repeat(Number(tag[1]))} ${t}` : t });
+      } else if (tag === "P") {
+        const t = inline(n).trim();
+        if (t) out.push({ block: t });
+      } else if (tag === "UL" || tag === "OL") {
+        const t = list(n, 0);
+        if (t) out.push({ block: t });
+      } else if (tag === "PRE") {
+        const code = n.innerText.replace(/\n+$/, "");
+        const lang = (n.querySelector("code")?.className || n.className || "").match(/(?:lang|language)-([\w+-]+)/)?.[1] || "";
+        if (code.trim()) out.push({ block: md ? `\`\`\`${lang}\n${code}\n\`\`\`` : code });
+      } else if (tag === "BLOCKQUOTE") {
+        const inner = [];
+        blocks(n, inner);
+        const t = join(inner);
+        if (t) out.push({ block: md ? t.split("\n").map((l) => `> ${l}`).join("\n") : t });
+      } else if (tag === "TABLE") {
+        const t = table(n);
+        if (t) out.push({ block: t });
+      } else if (tag === "HR") {
+        if (md) out.push({ block: "---" });
+      } else if (tag === "IMG") {
+        const t = image(n);
+        if (t) out.push({ inline: t });
+      } else if (tag === "FIGCAPTION") {
+        const t = clean(inline(n));
+        if (t) out.push({ block: md ? `*${t}*` : t });
+      } else if (BLOCK.has(tag) || /^(block|flex|grid|list-item|table)/.test(getComputedStyle(n).display)) {
+        out.push({ break: true });
+        blocks(n, out);
+        out.push({ break: true });
+      } else {
+        out.push({ inline: inline(n) });
+      }
+    }
+  }
+
+  // Consecutive inline pieces form one paragraph; blocks are separated by a blank line
+  function join(parts) {
+    const paras = [];
+    let buf = "";
+    const flush = () => {
+      const t = buf.replace(/[ \t]+/g, " ").trim();
+      if (t) paras.push(t);
+      buf = "";
+    };
+    for (const p of parts) {
+      if (p.inline != null) buf += p.inline;
+      else {
+        flush();
+        if (p.block) paras.push(p.block);
+      }
+    }
+    flush();
+    return paras.join("\n\n");
+  }
+
+  const root = scope === "full" ? (document.body || document.documentElement) : detectMain();
+  const parts = [];
+  blocks(root, parts);
+  let content = join(parts).replace(/\n{3,}/g, "\n\n").trim();
+  const truncated = content.length > maxChars;
+  if (truncated) content = content.slice(0, maxChars);
+
+  const plain = clean(root.innerText);
+  const byline = clean(
+    document.querySelector("meta[name='author' i]")?.getAttribute("content") ||
+    document.querySelector("[rel='author'], [itemprop='author'], .byline, .author")?.textContent || ""
+  ).slice(0, 200) || null;
+  const description = clean(document.querySelector("meta[name='description' i], meta[property='og:description' i]")?.getAttribute("content") || "");
+
+  return {
+    title: clean(document.querySelector("meta[property='og:title' i]")?.getAttribute("content") || document.title) || null,
+    byline,
+    lang: document.documentElement.getAttribute("lang") || null,
+    excerpt: (description || plain.slice(0, 300)) || null,
+    contentSelector: selectorFor(root),
+    content,
+    wordCount: plain ? plain.split(" ").filter((w) => /[\p{L}\p{N}]/u.test(w)).length : 0,
+    characters: content.length,
+    truncated,
+  };
+}
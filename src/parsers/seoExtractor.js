@@ -0,0 +1,240 @@
+// src/parsers/seoExtractor.js
+// Reads <head> metadata, structured data, headings and links from the rendered page
+// (so client-side injected tags count) and flags common SEO problems.
+
+import { SEO_LIMITS } from "../config/constants.js";
+
+const MAX_HEADINGS = 200;
+const MAX_STRUCTURED_ITEMS = 50;
+const MAX_TEXT_LENGTH = 300;
+
+/**
+ * Read the page's SEO-relevant markup; pass the result to seoReport() once the render's
+ * metadata is known.
+ */
+export async function extractSeo(page) {
+  return await page.evaluate(extractInPage, {
+    maxHeadings: MAX_HEADINGS,
+    maxItems: MAX_STRUCTURED_ITEMS,
+    maxText: MAX_TEXT_LENGTH,
+  });
+}
+
+/**
+ * Combine extractSeo() output with renderPage metadata ({ finalUrl, status, headers }):
+ * the X-Robots-Tag header and redirects matter as much as the markup.
+ * Returns { url, finalUrl, status, title, description, canonical, robots, hreflang, openGraph,
+ * twitter, structuredData, headings, content, links, issues }.
+ */
+export function seoReport(data, originalUrl, metadata = {}) {
+  const xRobots = metadata.headers?.["x-robots-tag"] || null;
+  const { robotsMeta, ...rest } = data;
+  const robots = {
+    meta: robotsMeta,
+    header: xRobots,
+    noindex: hasDirective([robotsMeta, xRobots], "noindex"),
+    nofollow: hasDirective([robotsMeta, xRobots], "nofollow"),
+  };
+  const result = { url: originalUrl, finalUrl: metadata.finalUrl || originalUrl, status: metadata.status ?? null, ...rest, robots };
+  result.issues = findIssues(result);
+  return result;
+}
+
+// Directives may be scoped to a crawler ("googlebot: noindex"); any scope counts
+function hasDirective(values, directive) {
+  return values.some((v) => v && v.toLowerCase().split(/[,;]/).some((d) => d.split(":").pop().trim() === directive || d.trim() === directive));
+}
+
+// Compare ignoring the fragment and a trailing slash, so "/page/" and "/page#x" are the same URL
+function sameUrl(a, b) {
+  try {
+    const norm = (u) => {
+      const x = new URL(u);
+      x.hash = "";
+      return x.href.replace(/\/$/, "");
+    };
+    return norm(a) === norm(b);
+  } catch {
+    return a === b;
+  }
+}
+
+function findIssues(seo) {
+  const issues = [];
+  const add = (rule, severity, message, extra = {}) => issues.push({ rule, severity, message, ...extra });
+  const L = SEO_LIMITS;
+
+  if (seo.status != null && seo.status !== 200) add("http-status", seo.status >= 400 ? "error" : "warning", `The page answered HTTP ${seo.status}.`);
+
+  if (!seo.title.text) add("title-missing", "error", "The page has no <title>.");
+  else if (seo.title.length > L.titleMax) add("title-too-long", "warning", `Title is ${seo.title.length} characters; search results usually truncate after about ${L.titleMax}.`);
+  else if (seo.title.length < L.titleMin) add("title-too-short", "notice", `Title is only ${seo.title.length} characters.`);
+  if (seo.title.count > 1) add("title-multiple", "warning", `The document has ${seo.title.count} <title> elements; only the first is used.`);
+
+  if (!seo.description.text) add("description-missing", "warning", "No meta description; search engines will pick a snippet from the page text.");
+  else if (seo.description.length > L.descriptionMax) add("description-too-long", "notice", `Meta description is ${seo.description.length} characters; snippets usually truncate after about ${L.descriptionMax}.`);
+  else if (seo.description.length < L.descriptionMin) add("description-too-short", "notice", `Meta description is only ${seo.description.length} characters.`);
+
+  const h1 = seo.headings.counts.h1;
+  if (!h1) add("h1-missing", "error", "The page has no <h1>.");
+  else if (h1 > 1) add("h1-multiple", "warning", `The page has ${h1} <h1> elements.`, { values: seo.headings.outline.filter((h) => h.level === 1).map((h) => h.text) });
+
+  if (seo.robots.noindex) add("noindex", "error", "The page is excluded from indexing (noindex).", { source: seo.robots.header && /noindex/i.test(seo.robots.header) ? "x-robots-tag" : "meta" });
+  if (seo.robots.nofollow) add("nofollow", "warning", "Search engines are told not to follow this page's links (nofollow).");
+
+  if (!seo.canonical.href) {
+    add("canonical-missing", "notice", "No <link rel=\"canonical\">.");
+  } else {
+    if (seo.canonical.count > 1) add("canonical-multiple", "error", `The page declares ${seo.canonical.count} canonical URLs; search engines may ignore all of them.`);
+    if (!sameUrl(seo.canonical.href, seo.finalUrl)) {
+      add("canonical-elsewhere", "warning", "The canonical URL points to a different page, so this URL will not be indexed itself.", { canonical: seo.canonical.href, finalUrl: seo.finalUrl });
+    }
+  }
+  if (!sameUrl(seo.finalUrl, seo.url)) add("redirected", "notice", "The requested URL redirects.", { finalUrl: seo.finalUrl });
+
+  if (seo.hreflang.length && !seo.hreflang.some((h) => sameUrl(h.href, seo.canonical.href || seo.finalUrl))) {
+    add("hreflang-no-self", "warning", "hreflang alternates do not include this page itself.");
+  }
+  if (!seo.lang) add("lang-missing", "notice", "The <html> element has no lang attribute.");
+  if (!seo.viewport) add("viewport-missing", "warning", "No <meta name=\"viewport\">; the page is not mobile-friendly.");
+  if (!seo.openGraph["og:title"] && !seo.openGraph["og:image"]) add("open-graph-missing", "notice", "No Open Graph tags; shared links will have no preview card.");
+  if (seo.structuredData.jsonLdErrors.length) add("json-ld-invalid", "warning", `${seo.structuredData.jsonLdErrors.length} JSON-LD block(s) could not be parsed.`);
+  if (seo.content.wordCount < L.minWords) add("thin-content", "notice", `Only ${seo.content.wordCount} words of visible text.`);
+  if (seo.content.imagesWithoutAlt) add("image-alt-missing", "notice", `${seo.content.imagesWithoutAlt} image(s) have no alt attribute.`);
+
+  return issues;
+}
+
+// Runs inside the page: must stay self-contained (no closures over module scope).
+function extractInPage({ maxHeadings, maxItems, maxText }) {
+  const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+  const short = (s) => clean(s).slice(0, maxText);
+  const abs = (href) => {
+    try { return new URL(href, document.baseURI).href; } catch { return href || null; }
+  };
+  const metaContent = (selector) => {
+    const el = document.head?.querySelector(selector) || document.querySelector(selector);
+    return el ? clean(el.getAttribute("content")) : null;
+  };
+
+  // Repeated keys (og:image, article:tag) become arrays
+  function metaGroup(attr, prefix) {
+    const out = {};
+    for (const m of document.querySelectorAll(`meta[${attr}^="${prefix}"]`)) {
+      const k = m.getAttribute(attr).toLowerCase();
+      const v = clean(m.getAttribute("content"));
+      if (!(k in out)) out[k] = v;
+      else out[k] = [].concat(out[k], v);
+    }
+    return out;
+  }
+
+  // <title> inside inline SVG is an image label, not a document title
+  const titles = Array.from(document.querySelectorAll("title")).filter((t) => !t.closest("svg"));
+  const title = clean(document.title);
+  const description = metaContent('meta[name="description" i]') || "";
+  const canonicals = Array.from(document.querySelectorAll('link[rel~="canonical" i]'));
+  const robotsMeta = Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+    .map((m) => `${m.getAttribute("name").toLowerCase() === "robots" ? "" : "googlebot: "}${clean(m.getAttribute("content"))}`)
+    .join(", ") || null;
+
+  const hreflang = Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang]'))
+    .map((l) => ({ hreflang: l.getAttribute("hreflang"), href: abs(l.getAttribute("href")) }));
+
+  // JSON-LD: keep parsed objects; @graph members are listed as their own types
+  const jsonLd = [];
+  const jsonLdErrors = [];
+  const types = new Set();
+  const collectTypes = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) { node.forEach(collectTypes); return; }
+    for (const t of [].concat(node["@type"] || [])) types.add(String(t));
+    if (node["@graph"]) collectTypes(node["@graph"]);
+  };
+  for (const s of document.querySelectorAll('script[type="application/ld+json" i]')) {
+    try {
+      const parsed = JSON.parse(s.textContent);
+      if (jsonLd.length < maxItems) jsonLd.push(parsed);
+      collectTypes(parsed);
+    } catch (e) {
+      jsonLdErrors.push({ message: String(e.message || e).slice(0, 200), snippet: short(s.textContent).slice(0, 120) });
+    }
+  }
+
+  // Microdata: top-level itemscopes with their direct properties (nested items by type only)
+  function microItem(scope, depth) {
+    const props = {};
+    const owned = Array.from(scope.querySelectorAll("[itemprop]")).filter((el) => el.parentElement.closest("[itemscope]") === scope);
+    for (const el of owned) {
+      let value;
+      if (el.hasAttribute("itemscope")) value = depth < 2 ? microItem(el, depth + 1) : { type: el.getAttribute("itemtype") };
+      else if (el.hasAttribute("content")) value = el.getAttribute("content");
+      else if (["A", "LINK", "AREA"].includes(el.tagName)) value = abs(el.getAttribute("href"));
+      else if (["IMG", "AUDIO", "VIDEO", "SOURCE", "EMBED", "IFRAME"].includes(el.tagName)) value = abs(el.getAttribute("src"));
+      else if (el.tagName === "META") value = el.getAttribute("content");
+      else if (el.tagName === "TIME") value = el.getAttribute("datetime") || short(el.textContent);
+      else value = short(el.textContent);
+      for (const name of el.getAttribute("itemprop").split(/\s+/).filter(Boolean)) {
+        props[name] = name in props ? [].concat(props[name], value) : value;
+      }
+    }
+    return { type: scope.getAttribute("itemtype") || null, properties: props };
+  }
+  const microdata = Array.from(document.querySelectorAll("[itemscope]:not([itemprop])")).slice(0, maxItems).map((s) => microItem(s, 0));
+  for (const m of microdata) if (m.type) types.add(m.type.replace(/^https?:\/\/schema\.org\//, ""));
+
+  // Heading outline in document order
+  const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  const outline = [];
+  for (const h of document.querySelectorAll("h1, h2, h3, h4, h5, h6")) {
+    counts[h.tagName.toLowerCase()]++;
+    if (outline.length < maxHeadings) outline.push({ level: Number(h.tagName[1]), text: short(h.innerText || h.textContent) });
+  }
+
+  // Links relative to the page's own host; "www." is treated as the same site
+  const host = location.hostname.replace(/^www\./, "");
+  const links = { total: 0, internal: 0, external: 0, nofollow: 0, other: 0 };
+  const externalDomains = {};
+  for (const a of document.querySelectorAll("a[href]")) {
+    links.total++;
+    const rel = (a.getAttribute("rel") || "").toLowerCase();
+    if (/\b(nofollow|ugc|sponsored)\b/.test(rel)) links.nofollow++;
+    let u;
+    try { u = new URL(a.getAttribute("href"), document.baseURI); } catch { links.other++; continue; }
+    if (!/^https?:$/.test(u.protocol)) { links.other++; continue; }
+    const h = u.hostname.replace(/^www\./, "");
+    if (h === host) links.internal++;
+    else {
+      links.external++;
+      externalDomains[h] = (externalDomains[h] || 0) + 1;
+    }
+  }
+  links.topExternalDomains = Object.entries(externalDomains)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([domain, count]) => ({ domain, count }));
+
+  const text = clean(document.body ? document.body.innerText : "");
+  const images = document.querySelectorAll("img");
+
+  return {
+    title: { text: title, length: title.length, count: titles.length },
+    description: { text: description, length: description.length },
+    canonical: { href: canonicals[0] ? abs(canonicals[0].getAttribute("href")) : null, count: canonicals.length },
+    robotsMeta,
+    hreflang,
+    lang: document.documentElement.getAttribute("lang") || null,
+    charset: document.characterSet || null,
+    viewport: metaContent('meta[name="viewport" i]'),
+    openGraph: metaGroup("property", "og:"),
+    twitter: { ...metaGroup("property", "twitter:"), ...metaGroup("name", "twitter:") },
+    structuredData: { types: Array.from(types), jsonLd, jsonLdErrors, microdata },
+    headings: { counts, outline },
+    content: {
+      wordCount: text ? text.split(" ").filter((w) => /[\p{L}\p{N}]/u.test(w)).length : 0,
+      images: images.length,
+      imagesWithoutAlt: Array.from(images).filter((i) => !i.hasAttribute("alt")).length,
+    },
+    links,
+  };
+}
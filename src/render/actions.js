@@ -0,0 +1,153 @@
+// src/render/actions.js
+// Scripted page interactions (`actions` param) run after load and before capture.
+
+import { logInfo, now } from "../utils/logging.js";
+import { DEFAULT_ACTION_TIMEOUT_MS, MAX_ACTION_TIMEOUT_MS, MAX_ACTIONS } from "../config/constants.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export const ACTION_TYPES = [
+  "click", "type", "hover", "press", "select", "scroll-to", "wait-for-selector", "wait-ms", "evaluate",
+];
+
+const NEEDS_SELECTOR = ["click", "type", "hover", "select", "scroll-to", "wait-for-selector"];
+
+export class ActionError extends Error {
+  constructor(message, log) {
+    super(message);
+    this.name = "ActionError";
+    this.status = 422;
+    this.details = { actions: log };
+  }
+}
+
+/**
+ * GET passes `actions` as a JSON string, POST as an array. Returns [] when absent.
+ * Throws on malformed input; validateActions() turns that into a message.
+ */
+export function parseActions(raw) {
+  if (raw == null || raw === "") return [];
+  const list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(list)) throw new Error("'actions' must be an array");
+  return list;
+}
+
+/**
+ * Returns an error message for an unusable `actions` param, or null.
+ */
+export function validateActions(raw) {
+  let list;
+  try { list = parseActions(raw); } catch (e) { return `Invalid 'actions': ${e.message}`; }
+  if (list.length > MAX_ACTIONS) return `Too many actions (${list.length}); max is ${MAX_ACTIONS}`;
+  for (const [i, a] of list.entries()) {
+    const where = `actions[${i}]`;
+    if (!a || typeof a !== "object") return `${where} must be an object`;
+    if (!ACTION_TYPES.includes(a.type)) return `${where}.type must be one of: ${ACTION_TYPES.join(" | ")}`;
+    if (NEEDS_SELECTOR.includes(a.type) && !a.selector) return `${where} (${a.type}) needs a 'selector'`;
+    if (a.type === "type" && typeof a.text !== "string") return `${where} (type) needs a 'text' string`;
+    if (a.type === "press" && !a.key) return `${where} (press) needs a 'key'`;
+    if (a.type === "select" && a.value == null && a.values == null) return `${where} (select) needs 'value' or 'values'`;
+    if (a.type === "wait-ms" && !(Number(a.ms) >= 0)) return `${where} (wait-ms) needs a non-negative 'ms'`;
+    if (a.type === "evaluate" && typeof a.script !== "string") return `${where} (evaluate) needs a 'script' string`;
+    if (a.timeoutMs != null && !(Number(a.timeoutMs) > 0)) return `${where}.timeoutMs must be a positive number`;
+  }
+  return null;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Results of `evaluate` go back to the caller; keep the log small
+function summarizeValue(v) {
+  if (v === undefined) return undefined;
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  return s && s.length > 500 ? `${s.slice(0, 500)}…` : v;
+}
+
+async function runAction(page, a, timeout) {
+  switch (a.type) {
+    case "click":
+      await page.waitForSelector(a.selector, { visible: true, timeout });
+      await page.click(a.selector, { clickCount: a.clickCount || 1 });
+      return;
+    case "type":
+      await page.waitForSelector(a.selector, { visible: true, timeout });
+      if (a.clear) await page.$eval(a.selector, (el) => { el.value = ""; });
+      await page.type(a.selector, a.text, { delay: a.delayMs || 0 });
+      return;
+    case "hover":
+      await page.waitForSelector(a.selector, { visible: true, timeout });
+      await page.hover(a.selector);
+      return;
+    case "press":
+      if (a.selector) await page.focus(a.selector);
+      await page.keyboard.press(a.key);
+      return;
+    case "select": {
+      await page.waitForSelector(a.selector, { timeout });
+      const values = Array.isArray(a.values) ? a.values : [a.value ?? a.values];
+      return { selected: await page.select(a.selector, ...values.map(String)) };
+    }
+    case "scroll-to":
+      await page.waitForSelector(a.selector, { timeout });
+      await page.$eval(a.selector, (el) => el.scrollIntoView({ block: "center", behavior: "instant" }));
+      return;
+    case "wait-for-selector":
+      await page.waitForSelector(a.selector, { visible: !!a.visible, hidden: !!a.hidden, timeout });
+      return;
+    case "wait-ms":
+      await sleep(Math.min(Number(a.ms), MAX_ACTION_TIMEOUT_MS));
+      return;
+    case "evaluate":
+      return { result: summarizeValue(await page.evaluate(a.script)) };
+  }
+}
+
+/**
+ * Run actions in order, each bounded by its own timeout (`timeoutMs`, capped).
+ * Returns the per-step log: { index, type, selector?, ok, ms, error?, result? }.
+ * A failing step stops the sequence and throws ActionError (422) carrying the log,
+ * unless it is marked `optional: true`.
+ */
+export async function runActions(page, actions, tag = "actions") {
+  const log = [];
+  for (const [index, a] of actions.entries()) {
+    const timeout = Math.min(Number(a.timeoutMs) || DEFAULT_ACTION_TIMEOUT_MS, MAX_ACTION_TIMEOUT_MS);
+    // wait-ms is its own timeout
+    const limit = a.type === "wait-ms" ? Math.min(Number(a.ms), MAX_ACTION_TIMEOUT_MS) + 1000 : timeout;
+    const entry = { index, type: a.type };
+    if (a.selector) entry.selector = a.selector;
+    const t0 = now();
+    try {
+      const out = await withTimeout(runAction(page, a, timeout), limit, `${a.type} step`);
+      Object.assign(entry, { ok: true, ms: now() - t0 }, out || {});
+      logInfo(tag, `action #${index} ${a.type} ok (${entry.ms}ms)`);
+    } catch (e) {
+      Object.assign(entry, { ok: false, ms: now() - t0, error: e?.message || String(e) });
+      log.push(entry);
+      logInfo(tag, `action #${index} ${a.type} FAILED: ${entry.error}`);
+      if (a.optional) continue;
+      throw new ActionError(`Action #${index} (${a.type}) failed: ${entry.error}`, log);
+    }
+    log.push(entry);
+  }
+  return log;
+}
+
+/**
+ * The log as a header value for non-JSON outputs (html, screenshot).
+ * Header values must be ASCII, so anything else is \u-escaped (still valid JSON).
+ */
+export function actionsHeader(log) {
+  if (!log?.length) return {};
+  let body = JSON.stringify(log);
+  // Keep well under header size limits; evaluate results are the only unbounded part
+  if (body.length > 8000) body = JSON.stringify(log.map(({ result, ...rest }) => rest));
+  const value = body.replace(/[^\x20-\x7e]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+  return { "X-Actions": value };
+}
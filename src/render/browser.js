@@ -1,74 +1,205 @@
 // src/render/browser.js
-import puppeteer from "@cloudflare/puppeteer";
 import { logStart, logDone, logInfo, now } from "../utils/logging.js";
+import { extractDomStructure } from "../parsers/domExtractor.js";
+import { openPage, releasePage } from "./session.js";
+import { installRequestFilters, targetHeadersFilter } from "./interception.js";
+import { runActions } from "./actions.js";
+import { createBlockingFilter, isBlockingEnabled } from "./blocking.js";
+import { startNetworkRecorder, toHar } from "./network.js";
+import { startDiagnostics } from "./diagnostics.js";
+import { installPerformanceObservers, collectPerformance } from "./performance.js";
+import { NETWORK_THROTTLING_PROFILES } from "../config/constants.js";
+import { targetPolicyFromEnv, checkTarget, checkSubresource, assertResolvesPublic } from "../utils/targetPolicy.js";
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-export async function renderPageGetHtml(env, targetUrl) {
-  const tag = "HTML";
-  const tAll = logStart(tag, targetUrl);
-
-  new URL(targetUrl); // validate
-  const browser = await puppeteer.launch(env.MYBROWSER);
-  let html = "";
-  try {
-    const page = await browser.newPage();
-    logInfo(tag, "Setting viewport 1280x800");
-    await page.setViewport({ width: 1280, height: 800 });
-
-    logInfo(tag, "Navigating (networkidle0)…");
-    const tNav = now();
-    await page.goto(targetUrl, { waitUntil: "networkidle0", timeout: 60000 }).catch(async () => {
-      logInfo(tag, "networkidle0 failed → retry domcontentloaded");
-      await page.goto(targetUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
-    });
-    logDone(tag, tNav, "navigation complete");
-
-    logInfo(tag, "Auto-scrolling for lazy content");
-    const tScroll = now();
-    await autoScroll(page);
-    logDone(tag, tScroll, "auto-scroll done");
+// Caller-supplied identity for the page (see requestOptionsFromParams); must run before goto.
+// Custom `headers` are not set here: they go to the target origin only, via targetHeadersFilter.
+async function applyRequestOptions(page, targetUrl, { cookies, basicAuth, userAgent, acceptLanguage } = {}, tag) {
+  if (acceptLanguage) await page.setExtraHTTPHeaders({ "Accept-Language": acceptLanguage });
+  if (userAgent) await page.setUserAgent(userAgent);
+  if (basicAuth) await page.authenticate(basicAuth);
+  if (cookies?.length) {
+    logInfo(tag, `Setting ${cookies.length} cookie(s)`);
+    // Cookies without domain/url are scoped to the target
+    await page.setCookie(...cookies.map((c) => (c.domain || c.url ? c : { ...c, url: targetUrl })));
+  }
+}
 
-    logInfo(tag, "Scroll to top + short settle");
-    await page.evaluate(() => window.scrollTo({ top: 0, behavior: "instant" }));
-    await sleep(500);
+// Media features, timezone, geolocation and throttling (see emulationFromParams); must run before goto
+async function applyEmulation(page, targetUrl, { colorScheme, reducedMotion, timezone, geolocation, cpuThrottling, networkThrottling } = {}, tag) {
+  const features = [];
+  if (colorScheme) features.push({ name: "prefers-color-scheme", value: colorScheme });
+  if (reducedMotion) features.push({ name: "prefers-reduced-motion", value: reducedMotion });
+  if (features.length) {
+    logInfo(tag, `Emulating ${features.map((f) => `${f.name}=${f.value}`).join(", ")}`);
+    await page.emulateMediaFeatures(features);
+  }
+  if (timezone) await page.emulateTimezone(timezone);
+  if (geolocation) {
+    await page.browserContext().overridePermissions(new URL(targetUrl).origin, ["geolocation"]);
+    await page.setGeolocation(geolocation);
+  }
+  if (cpuThrottling && cpuThrottling > 1) {
+    logInfo(tag, `CPU throttling ${cpuThrottling}x`);
+    await page.emulateCPUThrottling(cpuThrottling);
+  }
+  if (networkThrottling) {
+    logInfo(tag, `Network throttling ${networkThrottling}`);
+    await page.emulateNetworkConditions(NETWORK_THROTTLING_PROFILES[networkThrottling]);
+  }
+}
 
-    html = await page.content();
-    await page.close();
-  } finally {
-    try { await browser.close(); } catch {}
+/**
+ * One image per crop: selectors use the first match's box (shadow-piercing `>>>` works),
+ * clips are page coordinates. A crop that cannot be taken carries `error` instead of `data`.
+ */
+async function captureCrops(page, crops, options, tag) {
+  const out = [];
+  for (const crop of crops) {
+    const entry = crop.selector ? { selector: crop.selector } : {};
+    try {
+      let box = crop.clip;
+      if (crop.selector) {
+        const el = await page.$(crop.selector);
+        if (!el) throw new Error("No element matches the selector");
+        box = await el.evaluate((node) => {
+          const r = node.getBoundingClientRect();
+          return { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height };
+        });
+        await el.dispose();
+        if (!box.width || !box.height) throw new Error("Element has no visible box");
+      }
+      const clip = {
+        x: Math.max(0, Math.floor(box.x)),
+        y: Math.max(0, Math.floor(box.y)),
+        width: Math.ceil(box.width),
+        height: Math.ceil(box.height),
+      };
+      entry.box = clip;
+      entry.data = await page.screenshot({ ...options, fullPage: false, clip, captureBeyondViewport: true });
+    } catch (e) {
+      entry.error = e?.message || String(e);
+      logInfo(tag, `crop ${crop.selector || JSON.stringify(crop.clip)} failed: ${entry.error}`);
+    }
+    out.push(entry);
   }
-  logDone(tag, tAll, `render html complete (length=${html.length})`);
-  return { html };
+  return out;
 }
 
-export async function renderAndScreenshot({
+/**
+ * Load the target once and capture any combination of artifacts from the same page state:
+ * - html: serialized DOM after lazy content has loaded
+ * - structure: live DOM section/element tree (see parsers/domExtractor.js)
+ * - pdf: pdfOptionsFromParams() output or null
+ * - screenshot: { imageType, imageQuality, fullPage, crops? } or null; with crops only the
+ *   crops are captured ({ mime, crops: [{ selector?, box, data | error }] })
+ * Metadata (final URL, status, document response headers, title, timings, session) is always returned.
+ * `emulation` picks a device preset (viewport, DPR, touch, UA) and media/timezone/geolocation overrides.
+ * `blocking` (see render/blocking.js) aborts matching subresources; the tally is metadata.blocked.
+ * `network` ("entries" | "har") records all traffic into metadata.network (see render/network.js).
+ * `diagnostics` collects console output, page errors, failed requests and dialogs into metadata.diagnostics.
+ * `perf` collects Web Vitals and runtime metrics into metadata.performance, measured
+ * right after load (before auto-scroll and actions disturb layout and LCP).
+ * `request` sets headers, cookies, basic auth, user agent and Accept-Language before navigation.
+ * `actions` (see render/actions.js) run after the page settles; their log is metadata.actions.
+ * `beforeCapture(page)` runs after the actions and before anything is captured.
+ * `afterCapture(page, captured)` runs once everything is captured, before the session is released,
+ * so follow-up browser work (e.g. a visual diff) reuses this session.
+ */
+export async function renderPage({
   env,
   targetUrl,
-  viewport,
-  extraWaitMs,
-  selectorToWaitFor,
-  imageType = "jpeg",
-  imageQuality = 60,
-  fullPage = true,
+  viewport = {},
+  extraWaitMs = 0,
+  selectorToWaitFor = null,
+  actions = [],
+  request = {},
+  emulation = {},
+  blocking = null,
+  network = null,
+  diagnostics = false,
+  perf = false,
+  html: wantHtml = false,
+  structure: wantStructure = false,
+  screenshot = null,
+  pdf = null,
+  beforeCapture = null,
+  afterCapture = null,
+  tag = "render",
 }) {
-  const tag = "render";
   const tAll = logStart(tag, targetUrl);
+  const policy = targetPolicyFromEnv(env);
+  checkTarget(targetUrl, policy);
 
-  const browser = await puppeteer.launch(env.MYBROWSER);
-  const page = await browser.newPage();
+  const handle = await openPage(env, tag);
+  const { page } = handle;
+  const result = { html: null, structure: null, screenshot: null, pdf: null, metadata: null };
+  const timings = {};
+  const policyBlocks = [];
+  const dnsCache = new Map();
+  const blocker = isBlockingEnabled(blocking) ? createBlockingFilter(page, blocking) : null;
+  let diagnosticsCollector = null;
+  // Set once finish() ran: it detaches the listeners and must not run again from the catch below
+  let diagnosticsCapture = null;
   try {
-    const width = Math.max(360, viewport.width || 1024);
-    const height = Math.max(600, viewport.height || 768);
-    logInfo(tag, `Setting viewport w=${width} h=${height} dpr=1`);
-    await page.setViewport({ width, height, deviceScaleFactor: 1 });
+    // Every navigation (incl. redirects) must pass the target policy; subresources
+    // must not reach private/internal hosts. Navigations in any frame are also resolved over DoH,
+    // so a redirect to a public name pointing at private space is caught like the target is
+    await installRequestFilters(page, [
+      async (req) => {
+        const isNav = req.isNavigationRequest();
+        const isMainNav = isNav && req.frame() === page.mainFrame();
+        let violation = null;
+        if (isMainNav) {
+          try { checkTarget(req.url(), policy); } catch (e) { violation = e; }
+        } else {
+          violation = checkSubresource(req.url(), policy);
+        }
+        if (!violation && isNav) {
+          try { await assertResolvesPublic(req.url(), policy, dnsCache); } catch (e) { violation = e; }
+        }
+        if (!violation) return null;
+        policyBlocks.push({ url: req.url(), rule: violation.rule, mainFrame: isMainNav, error: violation });
+        logInfo(tag, `blocked by target policy (${violation.rule}): ${req.url()}`);
+        return { abort: true, errorCode: "accessdenied" };
+      },
+      ...(blocker ? [blocker.filter] : []),
+      ...(request.headers && Object.keys(request.headers).length ? [targetHeadersFilter(targetUrl, request.headers)] : []),
+    ]);
+    if (request.headers) logInfo(tag, `Extra headers (target origin only): ${Object.keys(request.headers).join(", ")}`);
+
+    // Presets are real device sizes; only free-form desktop viewports get the minimum clamp
+    const device = emulation.device || null;
+    const width = Math.max(device ? 240 : 360, viewport.width || device?.width || 1280);
+    const height = Math.max(device ? 320 : 600, viewport.height || device?.height || 800);
+    const deviceScaleFactor = emulation.deviceScaleFactor || device?.deviceScaleFactor || 1;
+    const isMobile = !!device?.isMobile;
+    const hasTouch = !!device?.hasTouch;
+    logInfo(tag, `Setting viewport w=${width} h=${height} dpr=${deviceScaleFactor}${device ? ` device=${device.id}` : ""}`);
+    await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+    await applyRequestOptions(page, targetUrl, { ...request, userAgent: request.userAgent || device?.userAgent }, tag);
+    await applyEmulation(page, targetUrl, emulation, tag);
+    const recorder = network ? await startNetworkRecorder(page) : null;
+    if (diagnostics) diagnosticsCollector = startDiagnostics(page);
+    if (perf) await installPerformanceObservers(page);
 
     logInfo(tag, "Navigating (networkidle0)…");
     const tNav = now();
-    await page.goto(targetUrl, { waitUntil: "networkidle0", timeout: 60000 }).catch(async () => {
-      logInfo(tag, "networkidle0 failed → retry domcontentloaded");
-      await page.goto(targetUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
-    });
+    const blockedNavigation = () => policyBlocks.find((b) => b.mainFrame)?.error;
+    let response;
+    try {
+      response = await page.goto(targetUrl, { waitUntil: "networkidle0", timeout: 60000 }).catch(async (e) => {
+        if (blockedNavigation()) throw e;
+        logInfo(tag, "networkidle0 failed → retry domcontentloaded");
+        return await page.goto(targetUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
+      });
+    } catch (e) {
+      throw blockedNavigation() || e;
+    }
+    // A redirect to a blocked URL can surface as an error page rather than a goto failure
+    if (blockedNavigation()) throw blockedNavigation();
+    timings.navigationMs = now() - tNav;
     logDone(tag, tNav, "navigation complete");
 
     if (selectorToWaitFor) {
@@ -82,48 +213,194 @@ export async function renderAndScreenshot({
       logDone(tag, tSel, "selector wait done");
     }
 
-    await page.evaluate(() => {
-      try {
-        const root = document.scrollingElement || document.documentElement;
-        root.style.scrollBehavior = "auto";
-        document.body.style.scrollBehavior = "auto";
-        for (const el of [document.documentElement, document.body]) {
-          el.style.overflowX = "visible";
-          el.style.overflowY = "visible";
-        }
-      } catch {}
-    });
+    let performanceCapture = null;
+    if (perf) {
+      const tPerf = now();
+      performanceCapture = await collectPerformance(page);
+      logDone(tag, tPerf, `performance collected lcp=${performanceCapture.vitals.lcp} cls=${performanceCapture.vitals.cls}`);
+    }
+
+    if (screenshot) {
+      // Let full-page captures see content behind overflow containers
+      await page.evaluate(() => {
+        try {
+          const root = document.scrollingElement || document.documentElement;
+          root.style.scrollBehavior = "auto";
+          document.body.style.scrollBehavior = "auto";
+          for (const el of [document.documentElement, document.body]) {
+            el.style.overflowX = "visible";
+            el.style.overflowY = "visible";
+          }
+        } catch {}
+      });
+    }
 
-    logInfo(tag, "Auto-scrolling…");
+    logInfo(tag, "Auto-scrolling for lazy content");
     const tScroll = now();
     await autoScroll(page);
+    timings.scrollMs = now() - tScroll;
     logDone(tag, tScroll, "auto-scroll done");
 
     logInfo(tag, "Scroll back to top");
     await page.evaluate(() => window.scrollTo({ top: 0, left: 0, behavior: "instant" }));
+
+    let actionLog = [];
+    if (actions.length) {
+      logInfo(tag, `Running ${actions.length} action(s)`);
+      const tAct = now();
+      actionLog = await runActions(page, actions, tag);
+      timings.actionsMs = now() - tAct;
+      logDone(tag, tAct, "actions done");
+    }
+
     if (extraWaitMs > 0) {
       logInfo(tag, `Extra wait ${extraWaitMs}ms…`);
-      await new Promise(r => setTimeout(r, extraWaitMs));
+      await sleep(extraWaitMs);
+    }
+
+    if (beforeCapture) await beforeCapture(page);
+
+    if (wantHtml) {
+      result.html = await page.content();
+      logInfo(tag, `html captured (length=${result.html.length})`);
+    }
+
+    if (wantStructure) {
+      const tDom = now();
+      result.structure = await extractDomStructure(page, targetUrl);
+      timings.structureMs = now() - tDom;
+      logDone(tag, tDom, `DOM structure extracted (nodes=${result.structure.nodeCount})`);
+    }
+
+    if (screenshot) {
+      const type = screenshot.imageType === "png" ? "png" : "jpeg";
+      const options = { type, fullPage: !!screenshot.fullPage };
+      if (type === "jpeg") options.quality = Math.max(1, Math.min(100, screenshot.imageQuality ?? 60));
+
+      const mime = type === "png" ? "image/png" : "image/jpeg";
+      const tShot = now();
+      if (screenshot.crops?.length) {
+        logInfo(tag, `Capturing ${screenshot.crops.length} crop(s) type=${type}`);
+        const crops = await captureCrops(page, screenshot.crops, options, tag);
+        result.screenshot = { mime, crops };
+        logDone(tag, tShot, `crops captured ok=${crops.filter((c) => c.data).length}/${crops.length}`);
+      } else {
+        logInfo(tag, `Taking screenshot type=${type} quality=${options.quality ?? "-"} fullPage=${options.fullPage}`);
+        const data = await page.screenshot(options);
+        result.screenshot = { data, mime };
+        logDone(tag, tShot, `screenshot size=${data?.length || 0}B`);
+      }
+      timings.screenshotMs = now() - tShot;
+    }
+
+    if (pdf) {
+      const { mediaType, ...pdfOptions } = pdf;
+      logInfo(tag, `Printing PDF format=${pdfOptions.format} landscape=${pdfOptions.landscape} media=${mediaType}`);
+      const tPdf = now();
+      await page.emulateMediaType(mediaType);
+      result.pdf = await page.pdf({ ...pdfOptions, timeout: 60000 });
+      timings.pdfMs = now() - tPdf;
+      logDone(tag, tPdf, `pdf size=${result.pdf?.length || 0}B`);
+    }
+
+    if (afterCapture) await afterCapture(page, result);
+
+    let networkCapture = null;
+    if (recorder) {
+      const capture = await recorder.finish();
+      logInfo(tag, `network: ${capture.summary.requests} request(s), ${capture.summary.failed} failed, ${capture.summary.bytes}B`);
+      networkCapture = network === "har" ? toHar(capture) : capture;
     }
 
-    const type = imageType === "png" ? "png" : "jpeg";
-    const options = { type, fullPage: !!fullPage };
-    if (type === "jpeg") options.quality = Math.max(1, Math.min(100, imageQuality));
+    if (diagnosticsCollector) {
+      diagnosticsCapture = diagnosticsCollector.finish();
+      const s = diagnosticsCapture.summary;
+      logInfo(tag, `diagnostics: jsErrors=${s.jsErrors} consoleErrors=${s.consoleErrors} failedRequests=${s.failedRequests}`);
+    }
 
-    logInfo(tag, `Taking screenshot type=${type} quality=${options.quality ?? "-"} fullPage=${options.fullPage}`);
-    const tShot = now();
-    const data = await page.screenshot(options);
-    const mime = type === "png" ? "image/png" : "image/jpeg";
-    logDone(tag, tShot, `screenshot size=${data?.length || 0}B`);
+    if (blocker) logInfo(tag, `blocked ${blocker.stats.total} request(s), est. ~${blocker.stats.estimatedBytesSaved}B saved`);
+    timings.totalMs = now() - tAll;
+    result.metadata = {
+      requestedUrl: targetUrl,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      headers: response ? documentHeaders(response) : {},
+      title: await page.title().catch(() => ""),
+      viewport: { width, height, deviceScaleFactor, isMobile, hasTouch, device: device?.id || null },
+      session: { id: handle.sessionId, reused: handle.reused },
+      policyBlocked: policyBlocks.map(({ url, rule }) => ({ url, rule })),
+      actions: actionLog,
+      blocked: blocker ? { ...blocker.stats } : null,
+      network: networkCapture,
+      diagnostics: diagnosticsCapture,
+      performance: performanceCapture,
+      timings,
+    };
 
     logDone(tag, tAll, "render complete");
-    return { data, mime };
+    return result;
+  } catch (err) {
+    // What the page logged before failing is often the explanation; attach it to the error response
+    if (diagnosticsCollector && err && typeof err === "object") {
+      diagnosticsCapture ??= diagnosticsCollector.finish();
+      err.details = { ...(err.details || {}), _diagnostics: diagnosticsCapture };
+    }
+    throw err;
   } finally {
-    try { await page.close(); } catch {}
-    try { await browser.close(); } catch {}
+    await releasePage(handle, tag);
   }
 }
 
+// Main-document response headers (e.g. X-Robots-Tag for output=seo), without cookies
+function documentHeaders(response) {
+  const { "set-cookie": _cookies, ...headers } = response.headers();
+  return headers;
+}
+
+export async function renderPageGetHtml(env, targetUrl, { extractStructure = false, ...options } = {}) {
+  const { html, structure, metadata } = await renderPage({
+    env,
+    targetUrl,
+    viewport: options.emulation?.device ? {} : { width: 1280, height: 800 },
+    extraWaitMs: 500,
+    tag: "HTML",
+    ...options,
+    html: true,
+    structure: extractStructure,
+  });
+  return { html, structure, metadata };
+}
+
+export async function renderAndScreenshot({
+  imageType = "jpeg",
+  imageQuality = 60,
+  fullPage = true,
+  crops = [],
+  ...options
+}) {
+  const { screenshot, metadata } = await renderPage({
+    ...options,
+    screenshot: { imageType, imageQuality, fullPage, crops },
+  });
+  return { ...screenshot, metadata };
+}
+
+/**
+ * The one image an AI call gets: the only crop when crops were requested, else the screenshot.
+ * Returns { data, mime, region } where region is { selector?, box } for crops.
+ */
+export function imageForAI(screenshot) {
+  if (!screenshot.crops) return { data: screenshot.data, mime: screenshot.mime, region: null };
+  const [crop] = screenshot.crops;
+  if (!crop?.data) {
+    const err = new Error(`Crop failed: ${crop?.error || "nothing captured"}`);
+    err.status = 422;
+    err.details = { selector: crop?.selector };
+    throw err;
+  }
+  return { data: crop.data, mime: screenshot.mime, region: { selector: crop.selector, box: crop.box } };
+}
+
 export async function autoScroll(page) {
   await page.evaluate(async () => {
     await new Promise((resolve) => {
@@ -140,4 +417,4 @@ export async function autoScroll(page) {
       }, 120);
     });
   });
-}
\ No newline at end of file
+}
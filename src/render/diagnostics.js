@@ -0,0 +1,120 @@
+// src/render/diagnostics.js
+// Console output, uncaught exceptions, failed requests and dialogs seen during a render
+// (includeDiagnostics / output=console). Explains blank or broken captures.
+
+import { MAX_DIAGNOSTIC_ENTRIES } from "../config/constants.js";
+
+const MAX_TEXT = 2000;
+const clip = (s) => {
+  const str = String(s ?? "");
+  return str.length > MAX_TEXT ? `${str.slice(0, MAX_TEXT)}…` : str;
+};
+
+// Puppeteer reports "warn" (newer) or "warning" (older)
+const normalizeLevel = (type) => (type === "warn" ? "warning" : type);
+
+/**
+ * Attach to `page` before navigation. finish() returns
+ * { summary, console, errors, failedRequests, httpErrors, dialogs, truncated }.
+ * Dialogs are recorded and dismissed so they cannot stall the render.
+ */
+export function startDiagnostics(page) {
+  const out = { console: [], errors: [], failedRequests: [], httpErrors: [], dialogs: [] };
+  let dropped = 0;
+  const push = (list, item) => {
+    if (list.length >= MAX_DIAGNOSTIC_ENTRIES) { dropped++; return; }
+    list.push({ ...item, timestamp: new Date().toISOString() });
+  };
+
+  const onConsole = (msg) => {
+    const loc = msg.location?.() || {};
+    push(out.console, {
+      level: normalizeLevel(msg.type()),
+      text: clip(msg.text()),
+      location: loc.url ? { url: loc.url, line: loc.lineNumber ?? null, column: loc.columnNumber ?? null } : null,
+    });
+  };
+  const onPageError = (err) => {
+    push(out.errors, {
+      level: "error",
+      name: err?.name || "Error",
+      text: clip(err?.message || err),
+      stack: err?.stack ? clip(err.stack) : null,
+    });
+  };
+  const onRequestFailed = (req) => {
+    push(out.failedRequests, {
+      level: "error",
+      url: req.url(),
+      method: req.method(),
+      resourceType: req.resourceType(),
+      text: req.failure()?.errorText || "failed",
+    });
+  };
+  const onResponse = (res) => {
+    if (res.status() < 400) return;
+    const req = res.request();
+    push(out.httpErrors, {
+      level: res.status() >= 500 ? "error" : "warning",
+      url: res.url(),
+      status: res.status(),
+      resourceType: req.resourceType(),
+      text: `${res.status()} ${res.statusText()}`.trim(),
+    });
+  };
+  const onDialog = (dialog) => {
+    push(out.dialogs, {
+      level: "info",
+      type: dialog.type(),
+      text: clip(dialog.message()),
+      defaultValue: dialog.defaultValue?.() || null,
+      action: "dismissed",
+    });
+    dialog.dismiss().catch(() => {});
+  };
+
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+  page.on("requestfailed", onRequestFailed);
+  page.on("response", onResponse);
+  page.on("dialog", onDialog);
+
+  return {
+    finish() {
+      page.off("console", onConsole);
+      page.off("pageerror", onPageError);
+      page.off("requestfailed", onRequestFailed);
+      page.off("response", onResponse);
+      page.off("dialog", onDialog);
+      return {
+        summary: summarize(out),
+        ...out,
+        truncated: dropped > 0 ? { dropped, maxPerList: MAX_DIAGNOSTIC_ENTRIES } : null,
+      };
+    },
+  };
+}
+
+function summarize(d) {
+  const levels = {};
+  for (const m of d.console) levels[m.level] = (levels[m.level] || 0) + 1;
+  return {
+    jsErrors: d.errors.length,
+    consoleErrors: levels.error || 0,
+    consoleWarnings: levels.warning || 0,
+    failedRequests: d.failedRequests.length,
+    httpErrors: d.httpErrors.length,
+    dialogs: d.dialogs.length,
+    consoleByLevel: levels,
+  };
+}
+
+// One-line summary for html/image/pdf responses, where the full block cannot be attached
+export function diagnosticsHeader(diagnostics) {
+  if (!diagnostics) return {};
+  const s = diagnostics.summary;
+  return {
+    "X-Diagnostics": `js-errors=${s.jsErrors}; console-errors=${s.consoleErrors}; console-warnings=${s.consoleWarnings}; ` +
+      `failed-requests=${s.failedRequests}; http-errors=${s.httpErrors}; dialogs=${s.dialogs}`,
+  };
+}
@@ -0,0 +1,43 @@
+// src/render/interception.js
+
+/**
+ * Turn on request interception and run every request through `filters` in order.
+ * A filter returns { abort: true, errorCode? } to block the request, { headers } to add headers
+ * to it; anything else lets it through unchanged.
+ * A filter may return a promise (e.g. a DNS lookup); the request is held until every filter has
+ * answered. A filter that throws is skipped.
+ */
+export async function installRequestFilters(page, filters) {
+  if (!filters.length) return;
+  await page.setRequestInterception(true);
+  page.on("request", async (req) => {
+    if (req.isInterceptResolutionHandled()) return;
+    let headers = null;
+    for (const filter of filters) {
+      let verdict;
+      try { verdict = await filter(req); } catch (e) { console.warn("[interception] filter error", e?.message); }
+      if (req.isInterceptResolutionHandled()) return;
+      if (verdict?.abort) {
+        req.abort(verdict.errorCode || "blockedbyclient").catch(() => {});
+        return;
+      }
+      if (verdict?.headers) headers = { ...(headers || {}), ...verdict.headers };
+    }
+    // req.headers() names are lower-case; match them so a caller header replaces rather than duplicates
+    const overrides = headers && Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+    req.continue(overrides ? { headers: { ...req.headers(), ...overrides } } : undefined).catch(() => {});
+  });
+}
+
+/**
+ * Filter that adds `headers` to requests for the target's origin only. Caller headers often carry
+ * credentials (Authorization, API keys) that must not reach third-party scripts, ads or analytics.
+ */
+export function targetHeadersFilter(targetUrl, headers) {
+  const origin = new URL(targetUrl).origin;
+  return (req) => {
+    let reqOrigin = null;
+    try { reqOrigin = new URL(req.url()).origin; } catch {}
+    return reqOrigin === origin ? { headers } : null;
+  };
+}
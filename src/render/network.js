@@ -0,0 +1,248 @@
+// src/render/network.js
+// Records every request/response the page makes during a render (output=network, includeNetwork)
+// and exports it as a flat entry list or HAR 1.2.
+
+import { now } from "../utils/logging.js";
+import { MAX_NETWORK_ENTRIES } from "../config/constants.js";
+
+// Caller credentials (see requestOptionsFromParams) must not come back in the capture
+const REDACTED_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"];
+
+function redactHeaders(headers = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) out[k] = REDACTED_HEADERS.includes(k.toLowerCase()) ? "***" : v;
+  return out;
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+function httpVersionName(protocol) {
+  const p = String(protocol || "").toLowerCase();
+  if (p === "h2") return "HTTP/2";
+  if (p === "h3" || p.startsWith("h3-")) return "HTTP/3";
+  return p ? p.toUpperCase() : "";
+}
+
+// CDP ResourceTiming (ms offsets from requestTime) → HAR-style phases; -1 when a phase did not happen
+function phasesFromTiming(t, totalMs) {
+  if (!t) return null;
+  const span = (a, b) => (a >= 0 && b >= 0 ? round(b - a) : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+  const wait = span(t.sendEnd, t.receiveHeadersEnd);
+  return {
+    blocked: round(Math.max(0, firstStart)),
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+    send: span(t.sendStart, t.sendEnd),
+    wait,
+    receive: t.receiveHeadersEnd >= 0 ? round(Math.max(0, totalMs - t.receiveHeadersEnd)) : -1,
+  };
+}
+
+/**
+ * Attach to `page` before navigation. finish() returns
+ * { entries, summary, page: { startedDateTime, title, url, onContentLoad, onLoad }, truncated }.
+ * Transfer sizes and HTTP versions come from a CDP session; without it they are null/empty.
+ */
+export async function startNetworkRecorder(page) {
+  const entries = [];
+  const byRequest = new Map();
+  const transferById = new Map();
+  const protocolById = new Map();
+  let dropped = 0;
+  const startedDateTime = new Date().toISOString();
+
+  let cdp = null;
+  try {
+    cdp = await page.createCDPSession();
+    await cdp.send("Network.enable");
+    cdp.on("Network.loadingFinished", (e) => transferById.set(e.requestId, e.encodedDataLength));
+    cdp.on("Network.responseReceived", (e) => protocolById.set(e.requestId, e.response?.protocol));
+  } catch {
+    cdp = null;
+  }
+
+  const onRequest = (req) => {
+    if (entries.length >= MAX_NETWORK_ENTRIES) { dropped++; return; }
+    const entry = {
+      url: req.url(),
+      method: req.method(),
+      resourceType: req.resourceType(),
+      startedDateTime: new Date().toISOString(),
+      t0: now(),
+      status: null,
+      statusText: "",
+      mimeType: "",
+      httpVersion: "",
+      fromCache: false,
+      remoteAddress: null,
+      durationMs: null,
+      transferSize: null,
+      contentLength: null,
+      timing: null,
+      redirectChain: req.redirectChain().map((r) => r.url()),
+      redirectURL: "",
+      failure: null,
+      requestHeaders: redactHeaders(req.headers()),
+      responseHeaders: {},
+      id: req.id,
+    };
+    entries.push(entry);
+    byRequest.set(req, entry);
+  };
+
+  const onResponse = (res) => {
+    const entry = byRequest.get(res.request());
+    if (!entry) return;
+    const headers = res.headers();
+    entry.status = res.status();
+    entry.statusText = res.statusText();
+    entry.mimeType = (headers["content-type"] || "").split(";")[0].trim();
+    entry.fromCache = res.fromCache() || res.fromServiceWorker();
+    const addr = res.remoteAddress();
+    entry.remoteAddress = addr?.ip ? `${addr.ip}:${addr.port}` : null;
+    entry.contentLength = headers["content-length"] != null ? Number(headers["content-length"]) : null;
+    entry.redirectURL = headers.location || "";
+    entry.responseHeaders = redactHeaders(headers);
+    entry.timing = res.timing();
+  };
+
+  const close = (req, failure) => {
+    const entry = byRequest.get(req);
+    if (!entry || entry.durationMs != null) return;
+    entry.durationMs = round(now() - entry.t0);
+    if (failure) entry.failure = failure;
+  };
+  const onFinished = (req) => close(req, null);
+  const onFailed = (req) => close(req, req.failure()?.errorText || "failed");
+
+  page.on("request", onRequest);
+  page.on("response", onResponse);
+  page.on("requestfinished", onFinished);
+  page.on("requestfailed", onFailed);
+
+  return {
+    async finish() {
+      page.off("request", onRequest);
+      page.off("response", onResponse);
+      page.off("requestfinished", onFinished);
+      page.off("requestfailed", onFailed);
+
+      const nav = await page.evaluate(() => {
+        const n = performance.getEntriesByType("navigation")[0];
+        return n ? { onContentLoad: n.domContentLoadedEventEnd, onLoad: n.loadEventEnd } : null;
+      }).catch(() => null);
+      const title = await page.title().catch(() => "");
+      if (cdp) await cdp.detach().catch(() => {});
+
+      const out = entries.map(({ t0, id, timing, ...e }) => {
+        // Redirect hops share the request id; the transfer size belongs to the last one
+        const transfer = transferById.get(id);
+        return {
+          ...e,
+          transferSize: transfer != null && !e.redirectURL ? transfer : e.transferSize,
+          httpVersion: httpVersionName(protocolById.get(id)),
+          timing: phasesFromTiming(timing, e.durationMs ?? 0),
+        };
+      });
+      return {
+        page: { startedDateTime, title, url: page.url(), onContentLoad: nav?.onContentLoad ?? -1, onLoad: nav?.onLoad ?? -1 },
+        summary: summarize(out),
+        entries: out,
+        truncated: dropped > 0 ? { dropped, max: MAX_NETWORK_ENTRIES } : null,
+      };
+    },
+  };
+}
+
+function summarize(entries) {
+  const byType = {};
+  let bytes = 0;
+  for (const e of entries) {
+    const size = e.transferSize ?? e.contentLength ?? 0;
+    const t = (byType[e.resourceType] ||= { requests: 0, bytes: 0 });
+    t.requests++;
+    t.bytes += size;
+    bytes += size;
+  }
+  return {
+    requests: entries.length,
+    failed: entries.filter((e) => e.failure).length,
+    errors: entries.filter((e) => e.status >= 400).length,
+    redirects: entries.filter((e) => e.status >= 300 && e.status < 400).length,
+    fromCache: entries.filter((e) => e.fromCache).length,
+    bytes,
+    byType,
+  };
+}
+
+const headerList = (h) => Object.entries(h).map(([name, value]) => ({ name, value: String(value) }));
+
+function queryString(url) {
+  try { return [...new URL(url).searchParams].map(([name, value]) => ({ name, value })); } catch { return []; }
+}
+
+/**
+ * HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/) from finish() output.
+ * Non-standard fields use the spec's underscore prefix.
+ */
+export function toHar(capture) {
+  const pageId = "page_1";
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "rendertron-lite", version: "1.0" },
+      pages: [{
+        startedDateTime: capture.page.startedDateTime,
+        id: pageId,
+        title: capture.page.title || capture.page.url,
+        pageTimings: { onContentLoad: round(capture.page.onContentLoad), onLoad: round(capture.page.onLoad) },
+      }],
+      entries: capture.entries.map((e) => {
+        const timings = e.timing || { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: e.durationMs ?? 0, receive: 0 };
+        return {
+          pageref: pageId,
+          startedDateTime: e.startedDateTime,
+          time: e.durationMs ?? 0,
+          request: {
+            method: e.method,
+            url: e.url,
+            httpVersion: e.httpVersion || "HTTP/1.1",
+            cookies: [],
+            headers: headerList(e.requestHeaders),
+            queryString: queryString(e.url),
+            headersSize: -1,
+            bodySize: -1,
+          },
+          response: {
+            status: e.status ?? 0,
+            statusText: e.statusText || "",
+            httpVersion: e.httpVersion || "HTTP/1.1",
+            cookies: [],
+            headers: headerList(e.responseHeaders),
+            content: { size: e.contentLength ?? -1, mimeType: e.mimeType || "x-unknown" },
+            redirectURL: e.redirectURL,
+            headersSize: -1,
+            bodySize: e.transferSize ?? -1,
+            _transferSize: e.transferSize ?? -1,
+            ...(e.failure ? { _error: e.failure } : {}),
+          },
+          cache: {},
+          timings: {
+            blocked: timings.blocked,
+            dns: timings.dns,
+            connect: timings.connect,
+            send: Math.max(0, timings.send),
+            wait: Math.max(0, timings.wait),
+            receive: Math.max(0, timings.receive),
+            ssl: timings.ssl,
+          },
+          ...(e.remoteAddress ? { serverIPAddress: e.remoteAddress.replace(/:\d+$/, "").replace(/^\[|\]$/g, "") } : {}),
+          _resourceType: e.resourceType,
+          _fromCache: e.fromCache,
+        };
+      }),
+    },
+  };
+}
@@ -0,0 +1,379 @@
+// src/render/options.js
+// Shared parsing of /analyze params into renderPage() options.
+import { parseActions } from "./actions.js";
+import { blockingFromParams } from "./blocking.js";
+import {
+  DEVICE_PRESETS,
+  DEVICE_ALIASES,
+  MAX_CROPS,
+  PDF_PAPER_FORMATS,
+  NETWORK_THROTTLING_PROFILES,
+  MAX_CPU_THROTTLING,
+  BASELINE_NAME_PATTERN,
+} from "../config/constants.js";
+
+// Set by the browser itself or by the other params; overriding them breaks requests
+const RESERVED_HEADERS = ["host", "content-length", "connection", "transfer-encoding", "cookie", "user-agent"];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// GET carries structured params as JSON strings
+function parseStructured(value, name) {
+  if (value == null || value === "") return null;
+  if (typeof value !== "string") return value;
+  try { return JSON.parse(value); } catch { throw new Error(`Invalid '${name}': expected JSON`); }
+}
+
+function parseHeaders(value) {
+  const headers = parseStructured(value, "headers");
+  if (!headers) return {};
+  if (typeof headers !== "object" || Array.isArray(headers)) throw new Error("'headers' must be an object of name → value");
+  const out = {};
+  for (const [name, v] of Object.entries(headers)) {
+    if (!HEADER_NAME.test(name)) throw new Error(`Invalid header name '${name}'`);
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      throw new Error(`Header '${name}' cannot be set; use the cookies/userAgent params where applicable`);
+    }
+    const s = String(v);
+    if (/[\r\n]/.test(s)) throw new Error(`Header '${name}' contains a line break`);
+    out[name] = s;
+  }
+  return out;
+}
+
+// Accepts [{ name, value, domain?, path?, … }], { name: value } or "a=1; b=2"
+function parseCookies(value) {
+  if (value == null || value === "") return [];
+  let cookies = value;
+  if (typeof value === "string") {
+    cookies = value.trim().startsWith("[") || value.trim().startsWith("{")
+      ? parseStructured(value, "cookies")
+      : value.split(";").map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+        const i = pair.indexOf("=");
+        return i > 0 ? { name: pair.slice(0, i).trim(), value: pair.slice(i + 1).trim() } : null;
+      });
+  }
+  if (cookies && !Array.isArray(cookies) && typeof cookies === "object") {
+    cookies = Object.entries(cookies).map(([name, v]) => ({ name, value: String(v) }));
+  }
+  if (!Array.isArray(cookies)) throw new Error("'cookies' must be an array, an object or a cookie string");
+  return cookies.map((c, i) => {
+    if (!c || !c.name || c.value == null) throw new Error(`cookies[${i}] needs 'name' and 'value'`);
+    return { ...c, name: String(c.name), value: String(c.value) };
+  });
+}
+
+// Accepts "user:pass" or { username, password }
+function parseBasicAuth(value) {
+  if (value == null || value === "") return null;
+  let auth = value;
+  if (typeof value === "string") {
+    if (value.trim().startsWith("{")) {
+      auth = parseStructured(value, "basicAuth");
+    } else {
+      const i = value.indexOf(":");
+      if (i < 0) throw new Error("'basicAuth' must be 'user:password' or { username, password }");
+      auth = { username: value.slice(0, i), password: value.slice(i + 1) };
+    }
+  }
+  if (!auth || typeof auth.username !== "string" || typeof auth.password !== "string") {
+    throw new Error("'basicAuth' must be 'user:password' or { username, password }");
+  }
+  return { username: auth.username, password: auth.password };
+}
+
+/**
+ * headers / cookies / basicAuth / userAgent / acceptLanguage → renderPage({ request }).
+ * Throws with a user-facing message on malformed input (validateParams relies on that).
+ */
+export function requestOptionsFromParams(params) {
+  const userAgent = params.userAgent ? String(params.userAgent) : null;
+  const acceptLanguage = params.acceptLanguage ? String(params.acceptLanguage) : null;
+  if (/[\r\n]/.test(userAgent || "") || /[\r\n]/.test(acceptLanguage || "")) {
+    throw new Error("'userAgent' and 'acceptLanguage' cannot contain line breaks");
+  }
+  return {
+    headers: parseHeaders(params.headers),
+    cookies: parseCookies(params.cookies),
+    basicAuth: parseBasicAuth(params.basicAuth),
+    userAgent,
+    acceptLanguage,
+  };
+}
+
+export function resolveDevice(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  const id = DEVICE_ALIASES[key] || key;
+  const preset = DEVICE_PRESETS[id];
+  if (!preset) {
+    throw new Error(`Unknown device '${name}'. Use one of: ${[...Object.keys(DEVICE_PRESETS), ...Object.keys(DEVICE_ALIASES)].join(" | ")}`);
+  }
+  return { id, ...preset };
+}
+
+// Accepts "lat,lon[,accuracy]" or { latitude, longitude, accuracy? }
+function parseGeolocation(value) {
+  if (value == null || value === "") return null;
+  let geo = value;
+  if (typeof value === "string") {
+    geo = value.trim().startsWith("{")
+      ? parseStructured(value, "geolocation")
+      : (([latitude, longitude, accuracy]) => ({ latitude, longitude, accuracy }))(value.split(",").map(Number));
+  }
+  const latitude = Number(geo?.latitude);
+  const longitude = Number(geo?.longitude);
+  const accuracy = geo?.accuracy == null || Number.isNaN(Number(geo.accuracy)) ? undefined : Number(geo.accuracy);
+  if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+    throw new Error("'geolocation' must be 'lat,lon[,accuracy]' or { latitude, longitude, accuracy? } within range");
+  }
+  return accuracy == null ? { latitude, longitude } : { latitude, longitude, accuracy };
+}
+
+function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch { return false; }
+}
+
+/**
+ * device / deviceScaleFactor / colorScheme / reducedMotion / timezone / geolocation /
+ * cpuThrottling / networkThrottling → renderPage({ emulation }).
+ * Throws with a user-facing message on malformed input.
+ */
+export function emulationFromParams(params) {
+  const device = resolveDevice(params.device);
+
+  let deviceScaleFactor = null;
+  if (params.deviceScaleFactor != null && params.deviceScaleFactor !== "") {
+    deviceScaleFactor = Number(params.deviceScaleFactor);
+    if (!(deviceScaleFactor >= 0.5 && deviceScaleFactor <= 4)) throw new Error("'deviceScaleFactor' must be between 0.5 and 4");
+  }
+
+  const colorScheme = params.colorScheme ? String(params.colorScheme).toLowerCase() : null;
+  if (colorScheme && !["light", "dark", "no-preference"].includes(colorScheme)) {
+    throw new Error("'colorScheme' must be light | dark | no-preference");
+  }
+
+  let reducedMotion = null;
+  if (params.reducedMotion != null && params.reducedMotion !== "") {
+    const v = String(params.reducedMotion).toLowerCase();
+    if (["true", "reduce"].includes(v)) reducedMotion = "reduce";
+    else if (["false", "no-preference"].includes(v)) reducedMotion = "no-preference";
+    else throw new Error("'reducedMotion' must be true | false | reduce | no-preference");
+  }
+
+  const timezone = params.timezone ? String(params.timezone) : null;
+  if (timezone && !isValidTimezone(timezone)) throw new Error(`Unknown timezone '${timezone}' (use an IANA name like Europe/Paris)`);
+
+  let cpuThrottling = null;
+  if (params.cpuThrottling != null && params.cpuThrottling !== "") {
+    cpuThrottling = Number(params.cpuThrottling);
+    if (!(cpuThrottling >= 1 && cpuThrottling <= MAX_CPU_THROTTLING)) {
+      throw new Error(`'cpuThrottling' must be a slowdown factor between 1 and ${MAX_CPU_THROTTLING}`);
+    }
+  }
+
+  const networkThrottling = params.networkThrottling ? String(params.networkThrottling).toLowerCase() : null;
+  if (networkThrottling && !NETWORK_THROTTLING_PROFILES[networkThrottling]) {
+    throw new Error(`Invalid 'networkThrottling'. Use one of: ${Object.keys(NETWORK_THROTTLING_PROFILES).join(" | ")}`);
+  }
+
+  return {
+    device,
+    deviceScaleFactor,
+    colorScheme,
+    reducedMotion,
+    timezone,
+    geolocation: parseGeolocation(params.geolocation),
+    cpuThrottling,
+    networkThrottling,
+  };
+}
+
+// includeNetwork=true|har on JSON outputs; output=network picks the format with networkFormat
+export function networkModeFromParams(params) {
+  if (params.output === "network") {
+    const format = String(params.networkFormat || "entries").toLowerCase();
+    if (!["entries", "har"].includes(format)) throw new Error("'networkFormat' must be entries | har");
+    return format;
+  }
+  const v = params.includeNetwork == null ? "" : String(params.includeNetwork).toLowerCase();
+  if (v === "" || v === "false") return null;
+  if (v === "true") return "entries";
+  if (v === "har") return "har";
+  throw new Error("'includeNetwork' must be true | false | har");
+}
+
+/**
+ * Page setup shared by every rendering mode, independent of viewport/timing defaults.
+ */
+export function pageSetupFromParams(params) {
+  return {
+    actions: parseActions(params.actions),
+    request: requestOptionsFromParams(params),
+    emulation: emulationFromParams(params),
+    blocking: blockingFromParams(params),
+    network: networkModeFromParams(params),
+    diagnostics: params.output === "console" || String(params.includeDiagnostics) === "true",
+    perf: params.output === "performance" || String(params.includePerformance) === "true",
+  };
+}
+
+export function renderOptionsFromParams(params, { viewportWidth = "1280", viewportHeight = "1000" } = {}) {
+  // A device preset brings its own viewport; explicit viewportWidth/Height still win
+  const defaults = params.device ? {} : { width: viewportWidth, height: viewportHeight };
+  return {
+    viewport: {
+      width: parseInt(params.viewportWidth || defaults.width, 10) || undefined,
+      height: parseInt(params.viewportHeight || defaults.height, 10) || undefined,
+    },
+    extraWaitMs: parseInt(params.waitMs || "700", 10),
+    selectorToWaitFor: params.selectorToWaitFor || null,
+    ...pageSetupFromParams(params),
+  };
+}
+
+function parseClip(value, where) {
+  let c = value;
+  if (typeof value === "string") {
+    const [x, y, width, height] = value.split(",").map(Number);
+    c = { x, y, width, height };
+  }
+  const out = {};
+  for (const k of ["x", "y", "width", "height"]) {
+    out[k] = Number(c?.[k]);
+    if (!Number.isFinite(out[k]) || out[k] < 0) throw new Error(`${where} must be 'x,y,width,height' or { x, y, width, height } (non-negative)`);
+  }
+  if (!out.width || !out.height) throw new Error(`${where} needs a non-zero width and height`);
+  return out;
+}
+
+/**
+ * clipSelector (a selector, or a JSON array of selectors) and clip (one rectangle or an array,
+ * in page coordinates) → [{ selector } | { clip }]. `multi` is true when the caller asked for
+ * a list, so even a single result comes back as a JSON array.
+ */
+export function cropsFromParams(params) {
+  const crops = [];
+  let multi = false;
+
+  let selectors = params.clipSelector;
+  if (typeof selectors === "string" && selectors.trim().startsWith("[")) selectors = parseStructured(selectors, "clipSelector");
+  if (Array.isArray(selectors)) multi = true;
+  for (const s of selectors == null || selectors === "" ? [] : [].concat(selectors)) {
+    if (typeof s !== "string" || !s.trim()) throw new Error("'clipSelector' entries must be non-empty selector strings");
+    crops.push({ selector: s.trim() });
+  }
+
+  let clips = params.clip;
+  if (typeof clips === "string" && /^\s*[[{]/.test(clips)) clips = parseStructured(clips, "clip");
+  if (Array.isArray(clips)) multi = true;
+  for (const [i, c] of (clips == null || clips === "" ? [] : [].concat(clips)).entries()) {
+    crops.push({ clip: parseClip(c, Array.isArray(clips) ? `clip[${i}]` : "'clip'") });
+  }
+
+  if (crops.length > MAX_CROPS) throw new Error(`Too many crops (${crops.length}); max is ${MAX_CROPS}`);
+  return { crops, multi: multi || crops.length > 1 };
+}
+
+const CSS_LENGTH = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+// Accepts "1cm" (all sides), "top,right,bottom,left" or { top, right, bottom, left }
+function parseMargin(value) {
+  if (value == null || value === "") return { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" };
+  let m = value;
+  if (typeof value === "string") {
+    if (value.trim().startsWith("{")) {
+      m = parseStructured(value, "margin");
+    } else {
+      const parts = value.split(",").map((s) => s.trim());
+      const [top, right = top, bottom = top, left = right] = parts;
+      m = { top, right, bottom, left };
+    }
+  }
+  const out = {};
+  for (const side of ["top", "right", "bottom", "left"]) {
+    const v = m?.[side] == null ? "0" : String(m[side]).trim();
+    if (!CSS_LENGTH.test(v)) throw new Error(`Invalid margin '${side}': use a length like 10mm, 1cm, 0.5in or 20px`);
+    out[side] = v;
+  }
+  return out;
+}
+
+/**
+ * paperFormat / landscape / printBackground / margin / headerTemplate / footerTemplate /
+ * mediaType / scale / pageRanges → renderPage({ pdf }). Throws on malformed input.
+ */
+export function pdfOptionsFromParams(params) {
+  const format = String(params.paperFormat || "a4").toLowerCase();
+  if (!PDF_PAPER_FORMATS.includes(format)) throw new Error(`Invalid 'paperFormat'. Use one of: ${PDF_PAPER_FORMATS.join(" | ")}`);
+
+  const mediaType = String(params.mediaType || "print").toLowerCase();
+  if (!["screen", "print"].includes(mediaType)) throw new Error("'mediaType' must be screen | print");
+
+  const scale = params.scale == null || params.scale === "" ? 1 : Number(params.scale);
+  if (!(scale >= 0.1 && scale <= 2)) throw new Error("'scale' must be between 0.1 and 2");
+
+  const headerTemplate = params.headerTemplate ? String(params.headerTemplate) : "";
+  const footerTemplate = params.footerTemplate ? String(params.footerTemplate) : "";
+  const pageRanges = params.pageRanges ? String(params.pageRanges) : "";
+  if (pageRanges && !/^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/.test(pageRanges)) {
+    throw new Error("'pageRanges' must look like '1-3, 5'");
+  }
+
+  return {
+    format,
+    landscape: String(params.landscape) === "true",
+    printBackground: String(params.printBackground ?? "true") !== "false",
+    margin: parseMargin(params.margin),
+    // Chrome prints its own date/title header unless given templates; only show ours when asked
+    displayHeaderFooter: !!(headerTemplate || footerTemplate),
+    headerTemplate: headerTemplate || "<span></span>",
+    footerTemplate: footerTemplate || "<span></span>",
+    mediaType,
+    scale,
+    pageRanges,
+  };
+}
+
+/**
+ * output=markdown / text → extractReadable() options. `contentScope`: main (detected article
+ * body, default) | full; `removeBoilerplate` (default true) drops nav/header/footer/aside.
+ */
+export function readableOptionsFromParams(params) {
+  const scope = String(params.contentScope || "main").toLowerCase();
+  if (!["main", "full"].includes(scope)) throw new Error("'contentScope' must be main | full");
+  const removeBoilerplate = String(params.removeBoilerplate ?? "true").toLowerCase();
+  if (!["true", "false"].includes(removeBoilerplate)) throw new Error("'removeBoilerplate' must be true | false");
+  return { format: params.output === "text" ? "text" : "markdown", scope, removeBoilerplate: removeBoilerplate === "true" };
+}
+
+/**
+ * output=visual-diff: what `target` is compared with — `compareTarget` (a second render with the
+ * same settings) or the stored `baseline` — plus `threshold` (0..1) and `includeAA`.
+ * `saveBaseline=true` stores the target's capture under `baseline`, after diffing against the old one if any.
+ */
+export function visualDiffOptionsFromParams(params) {
+  const compareTarget = params.compareTarget ? String(params.compareTarget) : null;
+  const baseline = params.baseline ? String(params.baseline) : null;
+  const save = String(params.saveBaseline) === "true";
+  if (baseline && !BASELINE_NAME_PATTERN.test(baseline)) {
+    throw new Error("'baseline' must be 1-100 characters of letters, digits, '_', '-' or '.'");
+  }
+  if (compareTarget && baseline) throw new Error("Pass either 'compareTarget' or 'baseline', not both");
+  if (save && !baseline) throw new Error("'saveBaseline' needs a 'baseline' name");
+  if (!compareTarget && !baseline) throw new Error("'visual-diff' needs 'compareTarget' or 'baseline'");
+
+  const threshold = params.threshold == null || params.threshold === "" ? 0.1 : Number(params.threshold);
+  if (!(threshold >= 0 && threshold <= 1)) throw new Error("'threshold' must be between 0 and 1");
+  if (cropsFromParams(params).crops.length > 1) throw new Error("'visual-diff' compares one image; pass a single clipSelector or clip");
+
+  return { compareTarget, baseline, saveBaseline: save, threshold, includeAA: String(params.includeAA) === "true" };
+}
+
+export function screenshotOptionsFromParams(params) {
+  return {
+    imageType: (params.imageType || "jpeg").toLowerCase(),
+    imageQuality: parseInt(params.imageQuality || "60", 10),
+    fullPage: (params.fullPage || "false") === "true",
+    crops: cropsFromParams(params).crops,
+  };
+}
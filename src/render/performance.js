@@ -0,0 +1,150 @@
+// src/render/performance.js
+// Lab-style performance snapshot (output=performance / includePerformance): Core Web Vitals
+// from PerformanceObserver in the page, plus navigation/resource timing and page.metrics().
+
+import { WEB_VITALS_THRESHOLDS } from "../config/constants.js";
+
+/**
+ * Runs in every new document before its scripts: buffers paint, LCP, layout-shift and
+ * long-task entries on window.__rtlPerf.
+ */
+function observeVitals() {
+  const perf = { fcp: null, lcp: null, lcpElement: null, cls: 0, longTasks: [] };
+  Object.defineProperty(window, "__rtlPerf", { value: perf, enumerable: false });
+  const observe = (type, onEntries) => {
+    try {
+      new PerformanceObserver((list) => onEntries(list.getEntries())).observe({ type, buffered: true });
+    } catch {}
+  };
+
+  observe("paint", (entries) => {
+    for (const e of entries) if (e.name === "first-contentful-paint") perf.fcp = e.startTime;
+  });
+
+  observe("largest-contentful-paint", (entries) => {
+    const last = entries[entries.length - 1];
+    if (!last) return;
+    perf.lcp = last.startTime;
+    const el = last.element;
+    perf.lcpElement = el
+      ? {
+        tag: el.tagName.toLowerCase(),
+        id: el.id || null,
+        className: typeof el.className === "string" ? el.className.slice(0, 200) || null : null,
+        url: last.url || null,
+        size: last.size,
+      }
+      : { url: last.url || null, size: last.size };
+  });
+
+  // CLS = largest session window (shifts < 1s apart, window ≤ 5s), ignoring input-driven shifts
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = 0;
+  observe("layout-shift", (entries) => {
+    for (const e of entries) {
+      if (e.hadRecentInput) continue;
+      if (windowValue && (e.startTime - lastShift > 1000 || e.startTime - windowStart > 5000)) {
+        windowValue = 0;
+      }
+      if (!windowValue) windowStart = e.startTime;
+      windowValue += e.value;
+      lastShift = e.startTime;
+      perf.cls = Math.max(perf.cls, windowValue);
+    }
+  });
+
+  observe("longtask", (entries) => {
+    for (const e of entries) perf.longTasks.push({ start: e.startTime, duration: e.duration });
+  });
+}
+
+/**
+ * Register the observers; must run before navigation.
+ */
+export async function installPerformanceObservers(page) {
+  await page.evaluateOnNewDocument(observeVitals);
+}
+
+function rate(metric, value) {
+  const t = WEB_VITALS_THRESHOLDS[metric];
+  if (!t || value == null) return null;
+  if (value <= t.good) return "good";
+  return value <= t.poor ? "needs-improvement" : "poor";
+}
+
+const round = (n, digits = 1) => (n == null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+/**
+ * Read the buffered observers, navigation/resource timing and page.metrics().
+ * TBT is the lab approximation: long-task time over 50ms between FCP and collection.
+ */
+export async function collectPerformance(page) {
+  const inPage = await page.evaluate(() => {
+    const perf = window.__rtlPerf || null;
+    const nav = performance.getEntriesByType("navigation")[0];
+    const resources = performance.getEntriesByType("resource");
+    const byType = {};
+    let transferBytes = 0;
+    let decodedBytes = 0;
+    for (const r of resources) {
+      const t = (byType[r.initiatorType] ||= { count: 0, transferBytes: 0 });
+      t.count++;
+      t.transferBytes += r.transferSize || 0;
+      transferBytes += r.transferSize || 0;
+      decodedBytes += r.decodedBodySize || 0;
+    }
+    return {
+      perf,
+      nav: nav
+        ? {
+          ttfb: nav.responseStart - nav.startTime,
+          domContentLoaded: nav.domContentLoadedEventEnd,
+          load: nav.loadEventEnd,
+          documentTransferBytes: nav.transferSize || 0,
+        }
+        : null,
+      resources: { count: resources.length, transferBytes, decodedBytes, byType },
+    };
+  });
+
+  const metrics = await page.metrics().catch(() => ({}));
+  const perf = inPage.perf || {};
+  const fcp = perf.fcp ?? null;
+  const tbt = fcp == null
+    ? null
+    : (perf.longTasks || []).reduce((sum, t) => (t.start + t.duration > fcp ? sum + Math.max(0, t.duration - 50) : sum), 0);
+
+  const vitals = {
+    lcp: round(perf.lcp),
+    cls: round(perf.cls, 4),
+    fcp: round(fcp),
+    ttfb: round(inPage.nav?.ttfb),
+    tbt: round(tbt),
+  };
+  return {
+    vitals,
+    ratings: Object.fromEntries(Object.entries(vitals).map(([k, v]) => [k, rate(k, v)])),
+    lcpElement: perf.lcpElement || null,
+    timings: {
+      domContentLoaded: round(inPage.nav?.domContentLoaded),
+      load: round(inPage.nav?.load),
+    },
+    longTasks: (perf.longTasks || []).length,
+    resources: {
+      ...inPage.resources,
+      // The document itself is not a resource entry
+      count: inPage.resources.count + (inPage.nav ? 1 : 0),
+      transferBytes: inPage.resources.transferBytes + (inPage.nav?.documentTransferBytes || 0),
+    },
+    jsHeap: { usedBytes: metrics.JSHeapUsedSize ?? null, totalBytes: metrics.JSHeapTotalSize ?? null },
+    runtime: {
+      nodes: metrics.Nodes ?? null,
+      layoutCount: metrics.LayoutCount ?? null,
+      recalcStyleCount: metrics.RecalcStyleCount ?? null,
+      scriptDurationMs: round(metrics.ScriptDuration != null ? metrics.ScriptDuration * 1000 : null),
+      layoutDurationMs: round(metrics.LayoutDuration != null ? metrics.LayoutDuration * 1000 : null),
+      taskDurationMs: round(metrics.TaskDuration != null ? metrics.TaskDuration * 1000 : null),
+    },
+  };
+}
@@ -12,4 +12,48 @@ export async function proxyRendertron(targetUrl, endpoint = "https://render-tron
     throw new Error(`Rendertron error ${res.status}`);
   }
   return await res.text();
-}
\ No newline at end of file
+}
+
+/**
+ * Screenshot counterpart of proxyRendertron: `endpoint` is the upstream base (…/screenshot).
+ */
+export async function proxyRendertronScreenshot(targetUrl, endpoint = "https://render-tron.appspot.com/screenshot", { width, height } = {}) {
+  const qs = new URLSearchParams();
+  if (width) qs.set("width", String(width));
+  if (height) qs.set("height", String(height));
+  const url = `${endpoint}/${encodeURIComponent(targetUrl)}${qs.toString() ? `?${qs}` : ""}`;
+  logInfo("RENDERTRON", `Fetching ${url}`);
+  const res = await fetch(url, { method: "GET" });
+  if (!res.ok) {
+    throw new Error(`Rendertron error ${res.status}`);
+  }
+  return { data: new Uint8Array(await res.arrayBuffer()), mime: res.headers.get("content-type") || "image/jpeg" };
+}
+
+export function isBotUserAgent(userAgent, bots) {
+  const ua = String(userAgent || "").toLowerCase();
+  return !!ua && bots.some((b) => ua.includes(b));
+}
+
+/**
+ * Runs in the rendered page before serialization, like Rendertron does:
+ * drop executable scripts (JSON-LD stays), add <base href> so relative URLs
+ * keep working from the cached copy, and report <meta name="render:status_code">.
+ */
+export function prepareForCrawlers() {
+  for (const s of document.querySelectorAll("script")) {
+    const type = (s.getAttribute("type") || "").toLowerCase();
+    if (type !== "application/ld+json") s.remove();
+  }
+  for (const l of document.querySelectorAll('link[rel="import"]')) l.remove();
+
+  if (!document.querySelector("base[href]") && document.head) {
+    const base = document.createElement("base");
+    base.setAttribute("href", location.origin + location.pathname.replace(/[^/]*$/, ""));
+    document.head.insertBefore(base, document.head.firstChild);
+  }
+
+  const meta = document.querySelector('meta[name="render:status_code"]');
+  const code = meta ? parseInt(meta.getAttribute("content") || "", 10) : NaN;
+  return Number.isInteger(code) && code >= 100 && code <= 599 ? code : null;
+}
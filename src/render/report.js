@@ -0,0 +1,26 @@
+// src/render/report.js
+// What a render did besides loading the page (actions run, requests blocked), surfaced to callers:
+// as underscore fields on JSON bodies, as headers on html/image/pdf bodies.
+import { actionsHeader } from "./actions.js";
+import { blockedHeader } from "./blocking.js";
+import { diagnosticsHeader } from "./diagnostics.js";
+
+export const REPORT_HEADER_NAMES = ["X-Actions", "X-Blocked-Requests", "X-Diagnostics"];
+
+export function renderReport(metadata) {
+  const out = {};
+  if (metadata?.actions?.length) out._actions = metadata.actions;
+  if (metadata?.blocked) out._blocked = metadata.blocked;
+  if (metadata?.network) out._network = metadata.network;
+  if (metadata?.diagnostics) out._diagnostics = metadata.diagnostics;
+  if (metadata?.performance) out._performance = metadata.performance;
+  return out;
+}
+
+export function renderReportHeaders(metadata) {
+  return {
+    ...actionsHeader(metadata?.actions),
+    ...blockedHeader(metadata?.blocked),
+    ...diagnosticsHeader(metadata?.diagnostics),
+  };
+}
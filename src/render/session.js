@@ -0,0 +1,77 @@
+// src/render/session.js
+import puppeteer from "@cloudflare/puppeteer";
+import { logInfo } from "../utils/logging.js";
+import { DEFAULT_BROWSER_KEEP_ALIVE_MS, MAX_BROWSER_KEEP_ALIVE_MS } from "../config/constants.js";
+
+function keepAliveMs(env) {
+  const v = parseInt(env.BROWSER_KEEP_ALIVE_MS || String(DEFAULT_BROWSER_KEEP_ALIVE_MS), 10);
+  return Math.max(0, Math.min(MAX_BROWSER_KEEP_ALIVE_MS, Number.isFinite(v) ? v : DEFAULT_BROWSER_KEEP_ALIVE_MS));
+}
+
+function shuffle(list) {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/**
+ * Reuse an idle Browser Rendering session (one without a worker connection) when possible,
+ * otherwise launch a new one with keep_alive so the next request finds it warm.
+ */
+export async function acquireBrowser(env, tag = "session") {
+  let sessions = [];
+  try {
+    sessions = await puppeteer.sessions(env.MYBROWSER);
+  } catch (e) {
+    logInfo(tag, `sessions() failed (${e?.message}) → launch`);
+  }
+
+  const idle = sessions.filter((s) => !s.connectionId);
+  // Random order so concurrent requests don't all race for the same session
+  for (const s of shuffle(idle)) {
+    try {
+      const browser = await puppeteer.connect(env.MYBROWSER, s.sessionId);
+      logInfo(tag, `session REUSED id=${s.sessionId} (idle=${idle.length} active=${sessions.length})`);
+      return { browser, sessionId: s.sessionId, reused: true };
+    } catch (e) {
+      logInfo(tag, `session ${s.sessionId} connect failed (${e?.message}), trying next`);
+    }
+  }
+
+  const keepAlive = keepAliveMs(env);
+  const browser = await puppeteer.launch(env.MYBROWSER, { keep_alive: keepAlive });
+  const sessionId = browser.sessionId();
+  logInfo(tag, `session LAUNCHED id=${sessionId} keep_alive=${keepAlive}ms (idle=${idle.length} active=${sessions.length})`);
+  return { browser, sessionId, reused: false };
+}
+
+/**
+ * Open a page in a fresh incognito context on a pooled browser, so cookies,
+ * storage and cache never leak between requests that share a session.
+ */
+export async function openPage(env, tag = "session") {
+  const { browser, sessionId, reused } = await acquireBrowser(env, tag);
+  try {
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    return { browser, context, page, sessionId, reused };
+  } catch (e) {
+    try { await browser.disconnect(); } catch {}
+    throw e;
+  }
+}
+
+/**
+ * Close the context and disconnect (not close) so the session stays alive for reuse.
+ */
+export async function releasePage(handle, tag = "session") {
+  if (!handle) return;
+  const { browser, context, page, sessionId } = handle;
+  try { await page?.close(); } catch {}
+  try { await context?.close(); } catch {}
+  try { await browser?.disconnect(); } catch {}
+  logInfo(tag, `session released id=${sessionId}`);
+}
@@ -0,0 +1,282 @@
+// src/render/visualDiff.js
+// Pixel diff of two screenshots (output=visual-diff), computed with canvas in a blank browser
+// page next to the render's: Workers have no image codecs, Chrome does. Baselines are stored PNGs in KV_STATE,
+// namespaced by the owning API key id so one tenant can never read or replace another's.
+
+import { toBase64, fromBase64 } from "../utils/http.js";
+import { stateGetJSON, statePutJSON, stateDelete, stateListKeys } from "../utils/store.js";
+import { logStart, logDone } from "../utils/logging.js";
+import { DIFF_REGION_CELL_PX, MAX_DIFF_REGIONS, MAX_BASELINE_BYTES } from "../config/constants.js";
+
+const baselinePrefix = (owner) => `baseline:${encodeURIComponent(owner || "anonymous")}:`;
+const baselineKey = (owner, name) => `${baselinePrefix(owner)}${name}`;
+
+/**
+ * Compare two PNGs (Uint8Array). `threshold` (0..1) is the per-pixel colour tolerance in YIQ
+ * space; anti-aliased pixels are ignored unless `includeAA`.
+ * Returns { width, height, sizes, mismatchPixels, mismatchPercentage, antialiasedPixels, regions, diff }
+ * where diff is a PNG (Uint8Array): changes in red, anti-aliasing in yellow, unchanged pixels faded.
+ * Runs in a blank page opened in `page`'s browser context (the target page's CSP could block
+ * data: images), so it costs no browser session of its own.
+ */
+export async function diffImages(page, before, after, { threshold = 0.1, includeAA = false } = {}, tag = "diff") {
+  const tDiff = logStart(tag, `visual diff ${before.length}B vs ${after.length}B threshold=${threshold}`);
+  const blank = await page.browserContext().newPage();
+  try {
+    const result = await blank.evaluate(diffInPage, {
+      a: toBase64(before),
+      b: toBase64(after),
+      threshold,
+      includeAA,
+      cell: DIFF_REGION_CELL_PX,
+      maxRegions: MAX_DIFF_REGIONS,
+    });
+    logDone(tag, tDiff, `visual diff mismatch=${result.mismatchPixels}px (${result.mismatchPercentage}%) regions=${result.regions.length}`);
+    const { diffBase64, ...rest } = result;
+    return { ...rest, diff: fromBase64(diffBase64) };
+  } finally {
+    await blank.close().catch(() => {});
+  }
+}
+
+// Runs inside the page: must stay self-contained (no closures over module scope).
+// Colour delta and anti-aliasing detection follow pixelmatch (Vyacheslav Kurenkov, ISC).
+async function diffInPage({ a, b, threshold, includeAA, cell, maxRegions }) {
+  const load = (b64) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not decode screenshot"));
+    img.src = `data:image/png;base64,${b64}`;
+  });
+  const [imgA, imgB] = await Promise.all([load(a), load(b)]);
+  const width = Math.max(imgA.naturalWidth, imgB.naturalWidth);
+  const height = Math.max(imgA.naturalHeight, imgB.naturalHeight);
+
+  // Both images on a common canvas size; area outside the smaller one is transparent
+  const pixels = (img) => {
+    const c = document.createElement("canvas");
+    c.width = width;
+    c.height = height;
+    const ctx = c.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const p1 = pixels(imgA);
+  const p2 = pixels(imgB);
+
+  const rgb2y = (r, g, bl) => r * 0.29889531 + g * 0.58662247 + bl * 0.11448223;
+  const rgb2i = (r, g, bl) => r * 0.59597799 - g * 0.2741761 - bl * 0.32180189;
+  const rgb2q = (r, g, bl) => r * 0.21147017 - g * 0.52261711 + bl * 0.31114694;
+  const blend = (c, alpha) => 255 + (c - 255) * alpha;
+
+  function colorDelta(img1, img2, k, m, yOnly) {
+    let r1 = img1[k], g1 = img1[k + 1], b1 = img1[k + 2];
+    let r2 = img2[m], g2 = img2[m + 1], b2 = img2[m + 2];
+    const a1 = img1[k + 3], a2 = img2[m + 3];
+    if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+    if (a1 < 255) {
+      const f = a1 / 255;
+      r1 = blend(r1, f); g1 = blend(g1, f); b1 = blend(b1, f);
+    }
+    if (a2 < 255) {
+      const f = a2 / 255;
+      r2 = blend(r2, f); g2 = blend(g2, f); b2 = blend(b2, f);
+    }
+    const y1 = rgb2y(r1, g1, b1);
+    const y2 = rgb2y(r2, g2, b2);
+    const y = y1 - y2;
+    if (yOnly) return y;
+    const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+    const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+    const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+    return y1 > y2 ? -delta : delta;
+  }
+
+  function hasManySiblings(img, x1, y1) {
+    const x0 = Math.max(x1 - 1, 0), y0 = Math.max(y1 - 1, 0);
+    const x2 = Math.min(x1 + 1, width - 1), y2 = Math.min(y1 + 1, height - 1);
+    const pos = (y1 * width + x1) * 4;
+    let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+    for (let x = x0; x <= x2; x++) {
+      for (let y = y0; y <= y2; y++) {
+        if (x === x1 && y === y1) continue;
+        const pos2 = (y * width + x) * 4;
+        if (img[pos] === img[pos2] && img[pos + 1] === img[pos2 + 1] && img[pos + 2] === img[pos2 + 2] && img[pos + 3] === img[pos2 + 3]) zeroes++;
+        if (zeroes > 2) return true;
+      }
+    }
+    return false;
+  }
+
+  // A pixel is anti-aliasing when its neighbourhood has both darker and brighter neighbours
+  // that sit in flat areas of both images
+  function antialiased(img, x1, y1, other) {
+    const x0 = Math.max(x1 - 1, 0), y0 = Math.max(y1 - 1, 0);
+    const x2 = Math.min(x1 + 1, width - 1), y2 = Math.min(y1 + 1, height - 1);
+    const pos = (y1 * width + x1) * 4;
+    let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+    let min = 0, max = 0, minX = 0, minY = 0, maxX = 0, maxY = 0;
+    for (let x = x0; x <= x2; x++) {
+      for (let y = y0; y <= y2; y++) {
+        if (x === x1 && y === y1) continue;
+        const delta = colorDelta(img, img, pos, (y * width + x) * 4, true);
+        if (delta === 0) {
+          zeroes++;
+          if (zeroes > 2) return false;
+        } else if (delta < min) {
+          min = delta; minX = x; minY = y;
+        } else if (delta > max) {
+          max = delta; maxX = x; maxY = y;
+        }
+      }
+    }
+    if (min === 0 || max === 0) return false;
+    return (hasManySiblings(img, minX, minY) && hasManySiblings(other, minX, minY)) ||
+      (hasManySiblings(img, maxX, maxY) && hasManySiblings(other, maxX, maxY));
+  }
+
+  const maxDelta = 35215 * threshold * threshold;
+  const out = new ImageData(width, height);
+  const o = out.data;
+  const cols = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  const cellHits = new Uint32Array(cols * rows);
+  let mismatch = 0;
+  let aa = 0;
+
+  // Pixels that exist in only one image always count as changed
+  const commonW = Math.min(imgA.naturalWidth, imgB.naturalWidth);
+  const commonH = Math.min(imgA.naturalHeight, imgB.naturalHeight);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pos = (y * width + x) * 4;
+      const outside = x >= commonW || y >= commonH;
+      if (outside || Math.abs(colorDelta(p1, p2, pos, pos, false)) > maxDelta) {
+        if (!outside && !includeAA && (antialiased(p1, x, y, p2) || antialiased(p2, x, y, p1))) {
+          aa++;
+          o[pos] = 255; o[pos + 1] = 255; o[pos + 2] = 0; o[pos + 3] = 255;
+        } else {
+          mismatch++;
+          cellHits[Math.floor(y / cell) * cols + Math.floor(x / cell)]++;
+          o[pos] = 255; o[pos + 1] = 0; o[pos + 2] = 0; o[pos + 3] = 255;
+        }
+      } else {
+        // Unchanged: greyscale of the first image at 10% contrast so the changes stand out
+        const alpha = p1[pos + 3] / 255;
+        const v = blend(rgb2y(p1[pos], p1[pos + 1], p1[pos + 2]), 0.1 * alpha);
+        o[pos] = v; o[pos + 1] = v; o[pos + 2] = v; o[pos + 3] = 255;
+      }
+    }
+  }
+
+  // Changed regions: 8-connected clusters of grid cells that contain mismatched pixels
+  const seen = new Uint8Array(cols * rows);
+  const regions = [];
+  for (let start = 0; start < cellHits.length; start++) {
+    if (!cellHits[start] || seen[start]) continue;
+    let minC = cols, minR = rows, maxC = 0, maxR = 0, count = 0;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const idx = stack.pop();
+      const c = idx % cols;
+      const r = (idx - c) / cols;
+      count += cellHits[idx];
+      minC = Math.min(minC, c); maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r); maxR = Math.max(maxR, r);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nc = c + dc, nr = r + dr;
+          if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+          const n = nr * cols + nc;
+          if (cellHits[n] && !seen[n]) { seen[n] = 1; stack.push(n); }
+        }
+      }
+    }
+    const x = minC * cell;
+    const y = minR * cell;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxC + 1) * cell, width) - x,
+      height: Math.min((maxR + 1) * cell, height) - y,
+      pixels: count,
+    });
+  }
+  regions.sort((r1, r2) => r2.pixels - r1.pixels);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").putImageData(out, 0, 0);
+  const diffBase64 = canvas.toDataURL("image/png").split(",")[1];
+
+  const total = width * height || 1;
+  return {
+    width,
+    height,
+    sizes: {
+      before: { width: imgA.naturalWidth, height: imgA.naturalHeight },
+      after: { width: imgB.naturalWidth, height: imgB.naturalHeight },
+    },
+    mismatchPixels: mismatch,
+    mismatchPercentage: Math.round((mismatch / total) * 1e6) / 1e4,
+    antialiasedPixels: aa,
+    regions: regions.slice(0, maxRegions),
+    regionsTruncated: regions.length > maxRegions,
+    diffBase64,
+  };
+}
+
+/**
+ * Stored baseline { name, target, png (Uint8Array), mime, viewport, fullPage, crop, createdAt, updatedAt } or null.
+ */
+export async function loadBaseline(env, owner, name) {
+  const record = await stateGetJSON(env, baselineKey(owner, name));
+  if (!record) return null;
+  const { base64, ...meta } = record;
+  return { ...meta, png: fromBase64(base64) };
+}
+
+/**
+ * Baseline metadata without the image (plus its size in `bytes`), or null.
+ */
+export async function getBaselineInfo(env, owner, name) {
+  const record = await stateGetJSON(env, baselineKey(owner, name));
+  if (!record) return null;
+  const { base64, ...meta } = record;
+  return { ...meta, bytes: fromBase64(base64).length };
+}
+
+/**
+ * Names of `owner`'s baselines, sorted. Listings are eventually consistent (see stateListKeys).
+ */
+export async function listBaselines(env, owner) {
+  const prefix = baselinePrefix(owner);
+  return (await stateListKeys(env, prefix)).map((k) => k.slice(prefix.length)).sort();
+}
+
+/**
+ * Create or replace a baseline; keeps the original createdAt. Throws (413/503) when it cannot be stored.
+ */
+export async function saveBaseline(env, owner, name, { png, ...meta }) {
+  if (png.length > MAX_BASELINE_BYTES) {
+    const err = new Error(`Screenshot is ${png.length} bytes; baselines are limited to ${MAX_BASELINE_BYTES}. Use fullPage=false or a clip.`);
+    err.status = 413;
+    throw err;
+  }
+  const previous = await stateGetJSON(env, baselineKey(owner, name));
+  const at = new Date().toISOString();
+  const record = { name, ...meta, mime: "image/png", createdAt: previous?.createdAt || at, updatedAt: at, base64: toBase64(png) };
+  if (!(await statePutJSON(env, baselineKey(owner, name), record))) {
+    const err = new Error("Baseline could not be stored (KV_STATE / KV_CACHE unavailable)");
+    err.status = 503;
+    throw err;
+  }
+  const { base64, ...saved } = record;
+  return { ...saved, created: !previous };
+}
+
+export async function deleteBaseline(env, owner, name) {
+  await stateDelete(env, baselineKey(owner, name));
+}
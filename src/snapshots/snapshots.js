@@ -0,0 +1,50 @@
+// src/snapshots/snapshots.js
+// Timestamped AI structure results per API key and target (screenshotandai-describe,
+// merged-structure), kept in KV_STATE so structure-diff can compare them over time.
+// Keys carry the owner's key id: one tenant never reads another's history.
+
+import { stateGetJSON, statePutJSON, stateDelete } from "../utils/store.js";
+import { sha256Hex } from "../utils/crypto.js";
+import { SNAPSHOT_TTL_SECONDS, MAX_SNAPSHOTS_PER_TARGET } from "../config/constants.js";
+
+const ownerPart = (owner) => encodeURIComponent(owner || "anonymous");
+const snapshotKey = (owner, id) => `snapshot:${ownerPart(owner)}:${id}`;
+const indexKey = async (owner, target) => `snapshots:${ownerPart(owner)}:${(await sha256Hex(target)).slice(0, 32)}`;
+
+/**
+ * Store `analysis` ({ page_intent, sections }) for `target` under `owner` (API key id). Report fields (`_actions`,
+ * `_screenshot`, …) are not kept. Returns { id, createdAt }, or null when no state store is bound.
+ * The per-target index keeps the newest MAX_SNAPSHOTS_PER_TARGET; older snapshots are deleted.
+ */
+export async function saveSnapshot(env, { owner, target, output, analysis, finalUrl = null }) {
+  const snapshot = {
+    id: crypto.randomUUID(),
+    target,
+    finalUrl,
+    output,
+    createdAt: new Date().toISOString(),
+    analysis: Object.fromEntries(Object.entries(analysis).filter(([k]) => !k.startsWith("_"))),
+  };
+  if (!(await statePutJSON(env, snapshotKey(owner, snapshot.id), snapshot, SNAPSHOT_TTL_SECONDS))) return null;
+
+  const key = await indexKey(owner, target);
+  const index = (await stateGetJSON(env, key)) || { target, items: [] };
+  index.items.push({ id: snapshot.id, output, createdAt: snapshot.createdAt, sections: snapshot.analysis.sections?.length ?? 0 });
+  for (const old of index.items.splice(0, Math.max(0, index.items.length - MAX_SNAPSHOTS_PER_TARGET))) {
+    await stateDelete(env, snapshotKey(owner, old.id));
+  }
+  await statePutJSON(env, key, index, SNAPSHOT_TTL_SECONDS);
+  return { id: snapshot.id, createdAt: snapshot.createdAt };
+}
+
+export async function getSnapshot(env, owner, id) {
+  return await stateGetJSON(env, snapshotKey(owner, id));
+}
+
+/**
+ * Snapshots of `target` stored by `owner`, oldest first: [{ id, output, createdAt, sections }].
+ */
+export async function listSnapshots(env, owner, target) {
+  const index = await stateGetJSON(env, await indexKey(owner, target));
+  return index?.items || [];
+}
@@ -0,0 +1,202 @@
+// src/snapshots/structureDiff.js
+// Compares two ANALYSIS_SCHEMA structures ({ page_intent, sections[].elements[] }) the way a
+// marketer reads a page: which sections came, went or moved, and what the headings, CTAs,
+// images and copy now say. Section ids are model-generated, so matching is by content.
+
+const STOPWORDS = new Set(("a an and are as at be by for from has have in is it its of on or our that the their this to " +
+  "was we with you your will can page section user users visitors").split(" "));
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const norm = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+const words = (s) => norm(s).split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 1 && !STOPWORDS.has(w));
+
+function jaccard(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  if (!A.size && !B.size) return 1;
+  let inter = 0;
+  for (const w of A) if (B.has(w)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+
+const CTA_TYPES = new Set(["BUTTON", "LINK"]);
+
+function sectionHeading(section) {
+  return (section.elements || []).find((e) => e.type === "HEADING" && norm(e.text))?.text || "";
+}
+
+function sectionWords(section) {
+  return words([section.section_intent, ...(section.elements || []).map((e) => `${e.text} ${e.alt}`)].join(" "));
+}
+
+function describe(section, index) {
+  return { index, id: section.id, type: section.type, heading: sectionHeading(section) || null };
+}
+
+/**
+ * Pair sections of `before` and `after`: same heading first, then the most similar content of the
+ * same type (≥ 0.3 word overlap). Returns [[i, j], ...] indices into the two lists.
+ */
+function matchSections(before, after) {
+  const pairs = [];
+  const usedA = new Set();
+  const usedB = new Set();
+  before.forEach((s, i) => {
+    const h = norm(sectionHeading(s));
+    if (!h) return;
+    const j = after.findIndex((t, k) => !usedB.has(k) && t.type === s.type && norm(sectionHeading(t)) === h);
+    if (j >= 0) { pairs.push([i, j]); usedA.add(i); usedB.add(j); }
+  });
+
+  const candidates = [];
+  before.forEach((s, i) => {
+    if (usedA.has(i)) return;
+    const ws = sectionWords(s);
+    after.forEach((t, j) => {
+      if (usedB.has(j)) return;
+      const score = jaccard(ws, sectionWords(t)) + (s.type === t.type ? 0.1 : 0);
+      if (score >= 0.3) candidates.push({ i, j, score });
+    });
+  });
+  for (const { i, j } of candidates.sort((x, y) => y.score - x.score)) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    pairs.push([i, j]);
+    usedA.add(i);
+    usedB.add(j);
+  }
+  return pairs.sort((x, y) => x[0] - y[0]);
+}
+
+// Matched sections not on the longest increasing run of new positions are the ones that moved
+function movedPairs(pairs) {
+  const seq = pairs.map(([, j]) => j);
+  const tails = [];
+  const prev = new Array(seq.length).fill(-1);
+  const tailIdx = [];
+  seq.forEach((v, k) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < v) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = v;
+    tailIdx[lo] = k;
+    prev[k] = lo > 0 ? tailIdx[lo - 1] : -1;
+  });
+  const keep = new Set();
+  for (let k = tailIdx[tails.length - 1] ?? -1; k >= 0; k = prev[k]) keep.add(k);
+  return pairs.filter((_, k) => !keep.has(k));
+}
+
+/**
+ * Element-level changes for one element kind: identical texts pair up first, the rest pair by
+ * order as "changed"; leftovers are added/removed.
+ */
+function diffElements(before, after, key) {
+  const a = before.map((e) => ({ e, k: norm(key(e)) })).filter((x) => x.k);
+  const b = after.map((e) => ({ e, k: norm(key(e)) })).filter((x) => x.k);
+  const restA = [];
+  const remaining = [...b];
+  for (const x of a) {
+    const j = remaining.findIndex((y) => y.k === x.k);
+    if (j >= 0) remaining.splice(j, 1);
+    else restA.push(x);
+  }
+  const changed = [];
+  const n = Math.min(restA.length, remaining.length);
+  for (let i = 0; i < n; i++) changed.push({ type: restA[i].e.type, before: key(restA[i].e), after: key(remaining[i].e) });
+  return {
+    changed,
+    removed: restA.slice(n).map((x) => ({ type: x.e.type, text: key(x.e) })),
+    added: remaining.slice(n).map((x) => ({ type: x.e.type, text: key(x.e) })),
+  };
+}
+
+function diffSection(s, t) {
+  const pick = (sec, test) => (sec.elements || []).filter(test);
+  const headings = diffElements(pick(s, (e) => e.type === "HEADING"), pick(t, (e) => e.type === "HEADING"), (e) => e.text);
+  const ctas = diffElements(pick(s, (e) => CTA_TYPES.has(e.type)), pick(t, (e) => CTA_TYPES.has(e.type)), (e) => e.text);
+  // Images have no text; their alt description is what identifies them
+  const images = diffElements(pick(s, (e) => e.type === "IMAGE" || e.type === "LOGO"), pick(t, (e) => e.type === "IMAGE" || e.type === "LOGO"), (e) => e.alt || e.text);
+  const text = diffElements(pick(s, (e) => e.type === "TEXT"), pick(t, (e) => e.type === "TEXT"), (e) => e.text);
+
+  const out = {};
+  if (s.type !== t.type) out.type = { before: s.type, after: t.type };
+  if (norm(s.section_intent) !== norm(t.section_intent)) {
+    out.intent = { before: s.section_intent, after: t.section_intent, similarity: round(jaccard(words(s.section_intent), words(t.section_intent))) };
+  }
+  const nonEmpty = (d) => d.changed.length || d.added.length || d.removed.length;
+  if (nonEmpty(headings)) out.headings = headings;
+  if (nonEmpty(ctas)) out.ctas = ctas;
+  // A re-described image is a different image: report it as removed + added
+  if (nonEmpty(images)) {
+    out.images = {
+      added: [...images.added, ...images.changed.map((c) => ({ type: c.type, text: c.after }))],
+      removed: [...images.removed, ...images.changed.map((c) => ({ type: c.type, text: c.before }))],
+    };
+  }
+  if (nonEmpty(text)) out.text = { changed: text.changed.length, added: text.added.length, removed: text.removed.length, examples: text.changed.slice(0, 5) };
+  return Object.keys(out).length ? out : null;
+}
+
+function intentDrift(before, after) {
+  const wa = words(before);
+  const wb = words(after);
+  const similarity = round(jaccard(wa, wb));
+  const A = new Set(wa);
+  const B = new Set(wb);
+  const drift = norm(before) === norm(after) ? "none" : similarity >= 0.6 ? "minor" : similarity >= 0.3 ? "moderate" : "major";
+  const addedTerms = [...B].filter((w) => !A.has(w)).slice(0, 20);
+  const removedTerms = [...A].filter((w) => !B.has(w)).slice(0, 20);
+  let summary = "Page intent is unchanged.";
+  if (drift !== "none") {
+    summary = `Page intent drift is ${drift} (word overlap ${Math.round(similarity * 100)}%).` +
+      (addedTerms.length ? ` New emphasis: ${addedTerms.slice(0, 8).join(", ")}.` : "") +
+      (removedTerms.length ? ` No longer mentioned: ${removedTerms.slice(0, 8).join(", ")}.` : "");
+  }
+  return { before, after, similarity, drift, addedTerms, removedTerms, summary };
+}
+
+/**
+ * Returns { changed, summary, pageIntent, sections: { added, removed, moved, changed } }.
+ */
+export function diffStructures(before, after) {
+  const a = Array.isArray(before?.sections) ? before.sections : [];
+  const b = Array.isArray(after?.sections) ? after.sections : [];
+  const pairs = matchSections(a, b);
+  const matchedA = new Set(pairs.map(([i]) => i));
+  const matchedB = new Set(pairs.map(([, j]) => j));
+
+  const added = b.map(describe).filter((_, j) => !matchedB.has(j));
+  const removed = a.map(describe).filter((_, i) => !matchedA.has(i));
+  const moved = movedPairs(pairs).map(([i, j]) => ({ ...describe(b[j], j), from: i, to: j }));
+  const changed = [];
+  for (const [i, j] of pairs) {
+    const d = diffSection(a[i], b[j]);
+    if (d) changed.push({ ...describe(b[j], j), from: i, changes: d });
+  }
+
+  const count = (key, field) => changed.reduce((n, c) => n + (c.changes[key]?.[field]?.length || 0), 0);
+  const pageIntent = intentDrift(before?.page_intent || "", after?.page_intent || "");
+  const summary = {
+    sectionsBefore: a.length,
+    sectionsAfter: b.length,
+    sectionsAdded: added.length,
+    sectionsRemoved: removed.length,
+    sectionsMoved: moved.length,
+    sectionsChanged: changed.length,
+    headingsChanged: count("headings", "changed") + count("headings", "added") + count("headings", "removed"),
+    ctasChanged: count("ctas", "changed") + count("ctas", "added") + count("ctas", "removed"),
+    imagesAdded: count("images", "added"),
+    imagesRemoved: count("images", "removed"),
+    intentDrift: pageIntent.drift,
+  };
+  return {
+    changed: !!(added.length || removed.length || moved.length || changed.length || pageIntent.drift !== "none"),
+    summary,
+    pageIntent,
+    sections: { added, removed, moved, changed },
+  };
+}
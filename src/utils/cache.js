@@ -1,5 +1,6 @@
 // src/utils/cache.js
 import { json } from "./http.js";
+import { sha256Hex } from "./crypto.js";
 
 // Simple stable hash (djb2) for small keys
 function hashString(str) {
@@ -12,25 +13,53 @@ function hashString(str) {
   return (h >>> 0).toString(36);
 }
 
-// Build a deterministic cache key based on output + target + key params
-export function buildCacheKey(output, params) {
+// Params that carry credentials: never part of the key in clear, and never folded into the weak hash
+const SECRET_PARAMS = ["headers", "cookies", "basicAuth"];
+
+// Network, diagnostics and performance captures record one particular load; served from the cache
+// they would pass an old load off as the current one, so requests that ask for them are never cached
+const captureRequested = (params) =>
+  !["", "false"].includes(String(params.includeNetwork ?? "").toLowerCase()) ||
+  String(params.includeDiagnostics) === "true" ||
+  String(params.includePerformance) === "true";
+
+// Build a deterministic cache key based on output + target + key params.
+// Null for requests that must not be cached; cacheGet/cachePut skip a null key.
+export async function buildCacheKey(output, params) {
+  if (captureRequested(params)) return null;
   const allowlist = [
     "target", "viewportWidth", "viewportHeight", "fullPage",
     "imageType", "imageQuality", "waitMs", "selectorToWaitFor",
-    "model", "format", "prompt", "includeScreenshot"
+    "model", "provider", "format", "prompt", "includeScreenshot", "actions",
+    "userAgent", "acceptLanguage", "device", "deviceScaleFactor", "colorScheme", "reducedMotion",
+    "timezone", "geolocation", "clipSelector", "clip",
+    "paperFormat", "landscape", "printBackground", "margin", "headerTemplate", "footerTemplate",
+    "mediaType", "scale", "pageRanges",
+    "blockResourceTypes", "blockDomains", "blockUrlPatterns", "blockAds",
+    "cpuThrottling", "networkThrottling",
+    "aiReview", "includeTree", "contentScope", "removeBoilerplate"
   ];
   const base = {};
   for (const k of allowlist) {
-    if (params[k] != null) base[k] = String(params[k]);
+    if (params[k] == null) continue;
+    base[k] = typeof params[k] === "object" ? JSON.stringify(params[k]) : String(params[k]);
   }
   const raw = JSON.stringify({ output, ...base });
   const h = hashString(raw);
+  // Renders with credentials get their own namespace under a SHA-256 of those credentials,
+  // so a 32-bit collision can never serve one caller's logged-in page to another
+  const secrets = SECRET_PARAMS.filter((k) => params[k] != null && params[k] !== "")
+    .map((k) => [k, typeof params[k] === "object" ? JSON.stringify(params[k]) : String(params[k])]);
+  const scope = secrets.length ? `:cred-${(await sha256Hex(JSON.stringify(secrets))).slice(0, 32)}` : "";
   // prefix by output for easier namespace browsing
-  return `${output}:${h}`;
+  return `${output}:${h}${scope}`;
 }
 
+// Marks responses served from KV so callers (e.g. /batch) can tell hits from fresh renders
+export const CACHE_HIT_HEADERS = { "X-Cache": "HIT" };
+
 export async function cacheGet(env, key) {
-  if (!env.KV_CACHE) return null;
+  if (!env.KV_CACHE || !key) return null;
   try {
     return await env.KV_CACHE.get(key);
   } catch (e) {
@@ -40,7 +69,7 @@ export async function cacheGet(env, key) {
 }
 
 export async function cachePut(env, key, value, ttlSeconds = 600) { // default 10 minutes
-  if (!env.KV_CACHE) return;
+  if (!env.KV_CACHE || !key) return;
   try {
     await env.KV_CACHE.put(key, value, { expirationTtl: ttlSeconds });
   } catch (e) {
@@ -48,17 +77,35 @@ export async function cachePut(env, key, value, ttlSeconds = 600) { // default 1
   }
 }
 
+// Namespaces cache entries are written under (the `output` passed to buildCacheKey). When KV_STATE
+// is not bound, KV_CACHE also holds API keys, quota counters, jobs, watches, snapshots and
+// baselines; clear-cache must only ever delete keys in these namespaces.
+export const CACHE_NAMESPACES = [
+  "html", "structure", "screenshot", "pdf", "prerender", "seo", "accessibility",
+  "markdown", "text", "screenshotandai-describe",
+];
+
+const isCacheEntry = (name) => CACHE_NAMESPACES.includes(name.slice(0, name.indexOf(":")));
+
+/**
+ * Delete cache entries whose key starts with `prefix` (all cache entries when empty).
+ * Keys outside CACHE_NAMESPACES are skipped, whatever the prefix.
+ */
 export async function cacheDeletePrefix(env, prefix) {
   if (!env.KV_CACHE) return { deleted: 0 };
-  let cursor = undefined;
+  const prefixes = prefix ? [prefix] : CACHE_NAMESPACES.map((ns) => `${ns}:`);
   let count = 0;
-  do {
-    const list = await env.KV_CACHE.list({ prefix, cursor });
-    for (const k of list.keys) {
-      await env.KV_CACHE.delete(k.name);
-      count++;
-    }
-    cursor = list.cursor;
-  } while (cursor);
+  for (const p of prefixes) {
+    let cursor = undefined;
+    do {
+      const list = await env.KV_CACHE.list({ prefix: p, cursor });
+      for (const k of list.keys) {
+        if (!isCacheEntry(k.name)) continue;
+        await env.KV_CACHE.delete(k.name);
+        count++;
+      }
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+  }
   return { deleted: count };
-}
\ No newline at end of file
+}
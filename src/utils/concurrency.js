@@ -0,0 +1,19 @@
+// src/utils/concurrency.js
+
+/**
+ * Map over items with at most `limit` calls of fn in flight.
+ * Results keep input order; fn should handle its own errors.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
@@ -2,22 +2,46 @@
 export function corsHeaders() {
   return {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+    "Access-Control-Allow-Methods": "GET,POST,PATCH,PUT,DELETE,OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Expose-Headers": "X-Cache,X-Actions,X-Blocked-Requests,X-Diagnostics",
   };
 }
 
-export function json(obj, status = 200) {
+export function json(obj, status = 200, extraHeaders = {}) {
   return new Response(JSON.stringify(obj, null, 2), {
     status,
-    headers: { ...corsHeaders(), "Content-Type": "application/json; charset=utf-8" },
+    headers: { ...corsHeaders(), "Content-Type": "application/json; charset=utf-8", ...extraHeaders },
   });
 }
 
+// Header names stay visible for debugging, values never do
+function redactHeaders(headers) {
+  const obj = typeof headers === "string" ? tryParseJSON(headers) : headers;
+  if (!obj || typeof obj !== "object") return "***";
+  return Object.fromEntries(Object.keys(obj).map((k) => [k, "***"]));
+}
+
+function redactCookies(cookies) {
+  const list = typeof cookies === "string" ? tryParseJSON(cookies) : cookies;
+  if (Array.isArray(list)) return list.map((c) => `${c?.name}=***`);
+  if (list && typeof list === "object") return Object.keys(list).map((name) => `${name}=***`);
+  return String(cookies).split(";").map((pair) => `${pair.split("=")[0].trim()}=***`);
+}
+
 export function safeParams(p) {
   const copy = { ...p };
   if (copy.prompt && copy.prompt.length > 120) copy.prompt = copy.prompt.slice(0, 120) + "…";
   if (copy.imageBase64) copy.imageBase64 = `[base64:${copy.imageBase64.length}]`;
+  if (copy.headers) copy.headers = redactHeaders(copy.headers);
+  if (copy.cookies) copy.cookies = redactCookies(copy.cookies);
+  if (copy.basicAuth) copy.basicAuth = "***";
+  // Typed text can be credentials
+  if (Array.isArray(copy.actions)) {
+    copy.actions = copy.actions.map((a) => (a && a.text != null ? { ...a, text: "***" } : a));
+  } else if (typeof copy.actions === "string") {
+    copy.actions = copy.actions.replace(/("text"\s*:\s*)"(?:[^"\\]|\\.)*"/g, '$1"***"');
+  }
   return copy;
 }
 
@@ -72,6 +96,22 @@ export function sanitizeSchema(obj) {
   return obj;
 }
 
+// Turn a handler Response into a JSON-serializable { status, contentType, body } record.
+// JSON bodies are parsed, text is kept as-is and binary bodies are base64-encoded.
+export async function readResponseBody(res) {
+  const contentType = res.headers.get("content-type") || "";
+  if (contentType.includes("application/json")) {
+    const text = await res.text();
+    const parsed = tryParseJSON(text);
+    return { status: res.status, contentType, body: parsed ?? text };
+  }
+  if (contentType.startsWith("text/")) {
+    return { status: res.status, contentType, body: await res.text() };
+  }
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  return { status: res.status, contentType, encoding: "base64", body: toBase64(bytes) };
+}
+
 export function toBase64(uint8) {
   if (!uint8 || typeof uint8.length !== "number") {
     throw new Error("toBase64: invalid input buffer");
@@ -0,0 +1,9 @@
+// src/utils/progress.js
+
+/**
+ * Handlers report coarse phases ("rendering", "ai", "merging") through a progress
+ * object so async jobs can expose status. Synchronous requests use the no-op one.
+ */
+export const noopProgress = {
+  step() {},
+};
@@ -6,9 +6,9 @@ import { json } from "./http.js";
  * instead of hanging the request.
  */
 export function safeHandler(fn) {
-  return async (env, params, tag, rid) => {
+  return async (env, params, tag, rid, progress, owner) => {
     try {
-      const res = await fn(env, params, tag, rid);
+      const res = await fn(env, params, tag, rid, progress, owner);
       // If a handler accidentally returns null/undefined, guard it.
       if (!res) {
         return json({ error: "Handler returned no response" }, 500);
@@ -16,7 +16,8 @@ export function safeHandler(fn) {
       return res;
     } catch (err) {
       console.error(`[${tag}] Handler error:`, err?.stack || err?.message || String(err));
-      return json({ error: err?.message || "Handler failed" }, 500);
+      // Errors may carry an HTTP status and extra fields (e.g. TargetPolicyError → 400 + rule)
+      return json({ error: err?.message || "Handler failed", ...(err?.details || {}) }, err?.status || 500);
     }
   };
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+// src/utils/store.js
+// Durable-ish JSON state (jobs, ...) kept in KV. Uses KV_STATE when bound,
+// otherwise shares KV_CACHE under distinct key prefixes.
+
+function stateKV(env) {
+  return env.KV_STATE || env.KV_CACHE || null;
+}
+
+export function hasStateStore(env) {
+  return !!stateKV(env);
+}
+
+export async function stateGetJSON(env, key) {
+  const kv = stateKV(env);
+  if (!kv) return null;
+  try {
+    return await kv.get(key, "json");
+  } catch (e) {
+    console.warn("[store] get error", e?.message);
+    return null;
+  }
+}
+
+// Returns true on success so callers that must persist can retry
+export async function statePutJSON(env, key, value, ttlSeconds) {
+  const kv = stateKV(env);
+  if (!kv) return false;
+  try {
+    const opts = ttlSeconds ? { expirationTtl: ttlSeconds } : undefined;
+    await kv.put(key, JSON.stringify(value), opts);
+    return true;
+  } catch (e) {
+    console.warn("[store] put error", e?.message);
+    return false;
+  }
+}
+
+export async function stateDelete(env, key) {
+  const kv = stateKV(env);
+  if (!kv) return;
+  try {
+    await kv.delete(key);
+  } catch (e) {
+    console.warn("[store] delete error", e?.message);
+  }
+}
+
+/**
+ * All key names under `prefix`. KV listings are eventually consistent: a key written in the
+ * last minute may be missing.
+ */
+export async function stateListKeys(env, prefix) {
+  const kv = stateKV(env);
+  if (!kv) return [];
+  const names = [];
+  let cursor;
+  try {
+    do {
+      const list = await kv.list({ prefix, cursor });
+      names.push(...list.keys.map((k) => k.name));
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+  } catch (e) {
+    console.warn("[store] list error", e?.message);
+  }
+  return names;
+}
@@ -0,0 +1,232 @@
+// src/utils/targetPolicy.js
+// Decides which URLs the browser may load. Checked up front for `target`
+// and again for every request the page makes (navigations, redirects, subresources).
+
+export class TargetPolicyError extends Error {
+  constructor(message, rule, target) {
+    super(message);
+    this.name = "TargetPolicyError";
+    this.rule = rule;
+    this.target = target;
+    this.status = 400;
+    this.details = { rule, target };
+  }
+}
+
+const ALLOWED_SCHEMES = ["http:", "https:"];
+// Schemes a page may use for subresources without touching the network
+const LOCAL_SUBRESOURCE_SCHEMES = ["data:", "blob:", "about:"];
+const METADATA_HOSTS = ["169.254.169.254", "metadata.google.internal", "metadata", "100.100.100.200", "fd00:ec2::254"];
+const INTERNAL_SUFFIXES = [".local", ".internal", ".lan", ".home.arpa", ".corp", ".intranet", ".localdomain"];
+
+function splitList(v) {
+  return String(v || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * TARGET_ALLOW_DOMAINS / TARGET_DENY_DOMAINS: comma-separated, "example.com" also matches subdomains.
+ * ALLOW_PRIVATE_TARGETS="true" disables the localhost/private-IP rules (local development).
+ * TARGET_DNS_CHECK="false" skips resolving hostnames over DoH before rendering.
+ */
+export function targetPolicyFromEnv(env) {
+  return {
+    allowDomains: splitList(env.TARGET_ALLOW_DOMAINS),
+    denyDomains: splitList(env.TARGET_DENY_DOMAINS),
+    allowPrivate: env.ALLOW_PRIVATE_TARGETS === "true",
+    dnsCheck: env.TARGET_DNS_CHECK !== "false",
+  };
+}
+
+function domainMatches(host, domain) {
+  const d = domain.replace(/^\*\./, "");
+  return host === d || host.endsWith(`.${d}`);
+}
+
+function parseIPv4(host) {
+  const m = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m) return null;
+  const parts = m.slice(1).map(Number);
+  return parts.every((n) => n <= 255) ? parts : null;
+}
+
+function isPrivateIPv4([a, b]) {
+  return (
+    a === 0 ||                            // "this" network
+    a === 10 ||
+    a === 127 ||                          // loopback
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||           // link-local (incl. cloud metadata)
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0) ||
+    (a === 198 && (b === 18 || b === 19)) || // benchmarking
+    a >= 224                              // multicast + reserved
+  );
+}
+
+// Eight 16-bit groups of an IPv6 literal ("::" compression and a dotted IPv4 tail allowed), or null
+function parseIPv6(host) {
+  let h = host.replace(/^\[|\]$/g, "").toLowerCase().replace(/%.*$/, "");
+  if (!h.includes(":")) return null;
+  const tail = h.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = parseIPv4(tail[2]);
+    if (!v4) return null;
+    h = `${tail[1]}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+  const halves = h.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const rest = halves[1] ? halves[1].split(":") : [];
+  const fill = 8 - head.length - rest.length;
+  if (halves.length === 2 ? fill < 1 : fill !== 0) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? fill : 0).fill("0"), ...rest];
+  return groups.every((g) => /^[0-9a-f]{1,4}$/.test(g)) ? groups.map((g) => parseInt(g, 16)) : null;
+}
+
+/**
+ * The IPv4 address carried by an IPv6 address, or null: IPv4-mapped (::ffff:0:0/96),
+ * IPv4-compatible (::/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16). These reach the
+ * embedded IPv4 host, so they are judged by it.
+ */
+function embeddedIPv4(g) {
+  const v4 = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255];
+  const zeros = (from, to) => g.slice(from, to).every((n) => n === 0);
+  if (zeros(0, 5) && (g[5] === 0xffff || g[5] === 0)) return v4(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6)) return v4(g[6], g[7]);
+  if (g[0] === 0x2002) return v4(g[1], g[2]);
+  return null;
+}
+
+function isPrivateIPv6(g) {
+  return (
+    g.every((n) => n === 0) ||                                 // unspecified
+    (g.slice(0, 7).every((n) => n === 0) && g[7] === 1) ||     // loopback
+    (g[0] === 0x64 && g[1] === 0xff9b && g[2] === 1) ||        // local-use NAT64 (64:ff9b:1::/48)
+    (g[0] & 0xfe00) === 0xfc00 ||                              // unique local
+    (g[0] & 0xffc0) === 0xfe80 ||                              // link-local
+    (g[0] & 0xff00) === 0xff00                                 // multicast
+  );
+}
+
+/**
+ * Network-level rules that apply to every request the browser makes.
+ * Returns { rule, message } when the host is off-limits, otherwise null.
+ */
+function checkHost(host, policy) {
+  const h = host.toLowerCase().replace(/\.$/, "");
+  const bare = h.replace(/^\[|\]$/g, "");
+  const v6 = parseIPv6(bare);
+  const v4 = parseIPv4(h) || (v6 && embeddedIPv4(v6));
+  if (METADATA_HOSTS.includes(bare) || (v4 && METADATA_HOSTS.includes(v4.join(".")))) {
+    return { rule: "metadata-endpoint", message: `Cloud metadata endpoint '${host}' is not allowed` };
+  }
+  if (policy.allowPrivate) return null;
+  if (h === "localhost" || h.endsWith(".localhost")) {
+    return { rule: "localhost", message: `Host '${host}' resolves to this machine` };
+  }
+  if ((v4 && isPrivateIPv4(v4)) || (v6 && isPrivateIPv6(v6))) {
+    return { rule: "private-ip", message: `Private, loopback or link-local address '${host}' is not allowed` };
+  }
+  if (!v4 && !h.includes(":") && (!h.includes(".") || INTERNAL_SUFFIXES.some((s) => h.endsWith(s)))) {
+    return { rule: "internal-hostname", message: `Internal hostname '${host}' is not allowed` };
+  }
+  return null;
+}
+
+/**
+ * Full check for a URL the caller asked us to load (target, main-frame navigations, redirects).
+ * Throws TargetPolicyError naming the rule that blocked it; returns the parsed URL otherwise.
+ */
+export function checkTarget(rawUrl, policy, { domainLists = true } = {}) {
+  let u;
+  try { u = new URL(rawUrl); } catch {
+    throw new TargetPolicyError(`Invalid URL '${rawUrl}'`, "invalid-url", rawUrl);
+  }
+  if (!ALLOWED_SCHEMES.includes(u.protocol)) {
+    throw new TargetPolicyError(`Scheme '${u.protocol}' is not allowed; use http or https`, "scheme", rawUrl);
+  }
+  if (u.username || u.password) {
+    throw new TargetPolicyError("Credentials in the URL are not allowed; use the basicAuth param", "credentials", rawUrl);
+  }
+  const hostIssue = checkHost(u.hostname, policy);
+  if (hostIssue) throw new TargetPolicyError(hostIssue.message, hostIssue.rule, rawUrl);
+
+  if (domainLists) {
+    const host = u.hostname.toLowerCase();
+    const denied = policy.denyDomains.find((d) => domainMatches(host, d));
+    if (denied) throw new TargetPolicyError(`Domain '${host}' is on the deny list (${denied})`, "domain-denylist", rawUrl);
+    if (policy.allowDomains.length && !policy.allowDomains.some((d) => domainMatches(host, d))) {
+      throw new TargetPolicyError(`Domain '${host}' is not on the allow list`, "domain-allowlist", rawUrl);
+    }
+  }
+  return u;
+}
+
+/**
+ * Check for subresources the page loads on its own: local schemes pass,
+ * network requests must not reach private/internal hosts. Domain lists do not apply.
+ * Returns a TargetPolicyError or null (never throws, it runs inside request handlers).
+ */
+export function checkSubresource(rawUrl, policy) {
+  let u;
+  try { u = new URL(rawUrl); } catch { return new TargetPolicyError(`Invalid URL '${rawUrl}'`, "invalid-url", rawUrl); }
+  if (LOCAL_SUBRESOURCE_SCHEMES.includes(u.protocol)) return null;
+  if (!ALLOWED_SCHEMES.includes(u.protocol)) {
+    return new TargetPolicyError(`Scheme '${u.protocol}' is not allowed`, "scheme", rawUrl);
+  }
+  const hostIssue = checkHost(u.hostname, policy);
+  return hostIssue ? new TargetPolicyError(hostIssue.message, hostIssue.rule, rawUrl) : null;
+}
+
+// Resolve A/AAAA over DNS-over-HTTPS so public names pointing at private space are caught too.
+// Fails closed: a lookup that errors or is not answered rejects the URL; only an empty Answer
+// (e.g. NXDOMAIN) yields no addresses.
+async function resolveAddresses(hostname, rawUrl) {
+  const out = [];
+  for (const type of ["A", "AAAA"]) {
+    let data;
+    try {
+      const res = await fetch(`https://cloudflare-dns.com/dns-query?name=${encodeURIComponent(hostname)}&type=${type}`, {
+        headers: { accept: "application/dns-json" },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      data = await res.json();
+    } catch (e) {
+      throw new TargetPolicyError(`Could not resolve '${hostname}' (${type} lookup failed: ${e?.message}); try again later`, "dns-unresolved", rawUrl);
+    }
+    for (const a of data.Answer || []) if (a.type === 1 || a.type === 28) out.push(a.data);
+  }
+  return out;
+}
+
+/**
+ * DNS half of the policy: rejects a URL whose hostname resolves to a private, loopback or
+ * metadata address, or cannot be resolved over DoH ("dns-unresolved"). Used on its own for navigations the page makes after the up-front check
+ * (redirects, links, frames); `cache` (a Map) shares lookups across one render.
+ */
+export async function assertResolvesPublic(rawUrl, policy, cache = new Map()) {
+  const u = new URL(rawUrl);
+  const host = u.hostname;
+  if (!ALLOWED_SCHEMES.includes(u.protocol)) return;
+  if (!policy.dnsCheck || policy.allowPrivate || parseIPv4(host) || host.includes(":")) return;
+  // A failed lookup stays cached as a rejection: every later request to the host is blocked too
+  if (!cache.has(host)) cache.set(host, resolveAddresses(host, rawUrl));
+  for (const addr of await cache.get(host)) {
+    const issue = checkHost(addr, policy);
+    if (issue) {
+      throw new TargetPolicyError(`Host '${host}' resolves to ${addr}: ${issue.message}`, `dns-${issue.rule}`, rawUrl);
+    }
+  }
+}
+
+/**
+ * Up-front check for `target`: static rules, then (unless disabled) the resolved addresses.
+ * domainLists=false keeps only the network (SSRF) rules, for URLs that are not render targets
+ * such as webhook receivers.
+ */
+export async function assertTargetAllowed(rawUrl, policy, { domainLists = true } = {}) {
+  const u = checkTarget(rawUrl, policy, { domainLists });
+  await assertResolvesPublic(rawUrl, policy);
+  return u;
+}
@@ -0,0 +1,360 @@
+// src/watchlist/watchlist.js
+// Watched URLs re-analysed on Cron Triggers (scheduled() in src/index.js). Each run is compared
+// with the previous one — content hash, screenshot diff or AI structure diff depending on the
+// output — and an alert is recorded (and POSTed to alertUrl) when the change passes the threshold.
+
+import { stateGetJSON, statePutJSON, stateDelete, stateListKeys } from "../utils/store.js";
+import { readResponseBody, safeParams } from "../utils/http.js";
+import { sha256Hex } from "../utils/crypto.js";
+import { logStart, logDone, logInfo, newReqId } from "../utils/logging.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { noopProgress } from "../utils/progress.js";
+import { targetPolicyFromEnv, assertTargetAllowed } from "../utils/targetPolicy.js";
+import { dispatchOutput, validateParams, admitRequest } from "../handlers/dispatch.js";
+import { keyFromHash } from "../auth/apiKeys.js";
+import { listSnapshots, getSnapshot } from "../snapshots/snapshots.js";
+import { diffStructures } from "../snapshots/structureDiff.js";
+import { deleteBaseline } from "../render/visualDiff.js";
+import { deliverCallback } from "../jobs/callbacks.js";
+import {
+  WATCH_SCHEDULES,
+  MAX_WATCHES_PER_KEY,
+  MAX_WATCH_HISTORY,
+  MAX_WATCH_RUNS_PER_TICK,
+  WATCH_RUN_CONCURRENCY,
+  DEFAULT_WATCH_THRESHOLDS,
+} from "../config/constants.js";
+
+// One KV entry per watch, listed by prefix: no shared index to race on
+const ownerPrefix = (owner) => `watch:${encodeURIComponent(owner)}:`;
+const watchKey = (owner, id) => `${ownerPrefix(owner)}${id}`;
+const historyKey = (id) => `watch-history:${id}`;
+const baselineName = (id) => `watch-${id}`;
+
+// Outputs that make no sense on a schedule: no target, or a comparison the watch does itself
+const UNWATCHABLE_OUTPUTS = ["clear-cache", "ai-describe", "visual-diff", "structure-diff"];
+// Outputs that differ on every run (timings, request ids, PDF creation dates): a content hash would always alert
+const VOLATILE_OUTPUTS = ["performance", "network", "console", "pdf"];
+const STRUCTURE_OUTPUTS = ["screenshotandai-describe", "ai", "merged-structure"];
+
+export class WatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WatchError";
+    this.status = status;
+  }
+}
+
+/**
+ * How a watch detects change: "screenshot" (pixel diff against the previous capture),
+ * "structure" (AI snapshot diff) or "content" (hash of the result body).
+ */
+export function checkKindFor(output) {
+  if (output === "screenshot") return "screenshot";
+  if (STRUCTURE_OUTPUTS.includes(output)) return "structure";
+  return "content";
+}
+
+// The output a run of a watch on `output` dispatches, and is scoped and charged as
+export function runOutputFor(output) {
+  return checkKindFor(output) === "screenshot" ? "visual-diff" : output;
+}
+
+// Params a run dispatches. Screenshot watches diff against the previous capture, kept as a
+// visual-diff baseline that every run replaces.
+function runParams(watch) {
+  const base = { ...watch.params, output: runOutputFor(watch.output), target: watch.target };
+  if (checkKindFor(watch.output) !== "screenshot") return base;
+  return { ...base, baseline: baselineName(watch.id), saveBaseline: "true" };
+}
+
+/**
+ * Validate create/update input { name?, target, output, params?, schedule, thresholds?, alertUrl?, enabled? }
+ * against `existing` (PATCH; POST and PUT pass none and start from the defaults). Throws WatchError (400) with a user-facing message.
+ * `params` are stored as given (credentials included) because every run needs them; API responses redact them.
+ */
+export async function watchFromInput(env, input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+  const { target, output } = merged;
+  if (!target) throw new WatchError("Missing 'target'");
+  if (!output || UNWATCHABLE_OUTPUTS.includes(output)) throw new WatchError(`Invalid 'output' for a watch (not: ${UNWATCHABLE_OUTPUTS.join(" | ")})`);
+  if (VOLATILE_OUTPUTS.includes(output)) {
+    throw new WatchError(`output=${output} changes on every run and cannot be watched (not: ${VOLATILE_OUTPUTS.join(" | ")})`);
+  }
+  const raw = merged.params && typeof merged.params === "object" && !Array.isArray(merged.params) ? merged.params : {};
+  // Alerts go to alertUrl; a callbackUrl would be ignored by scheduled runs
+  const params = Object.fromEntries(Object.entries(raw).filter(([k]) => !["output", "target", "callbackUrl"].includes(k)));
+  const invalid = validateParams(runParams({ id: existing?.id || "new", output, target, params }));
+  if (invalid) throw new WatchError(invalid);
+
+  const schedule = String(merged.schedule || "1d");
+  if (!WATCH_SCHEDULES[schedule]) throw new WatchError(`Invalid 'schedule'. Use one of: ${Object.keys(WATCH_SCHEDULES).join(" | ")}`);
+
+  const thresholds = { ...DEFAULT_WATCH_THRESHOLDS, ...(merged.thresholds || {}) };
+  if (!(Number(thresholds.screenshotPercent) >= 0 && Number(thresholds.screenshotPercent) <= 100)) {
+    throw new WatchError("'thresholds.screenshotPercent' must be between 0 and 100");
+  }
+  if (!(Number.isInteger(Number(thresholds.structureChanges)) && Number(thresholds.structureChanges) >= 1)) {
+    throw new WatchError("'thresholds.structureChanges' must be a whole number ≥ 1");
+  }
+
+  const policy = targetPolicyFromEnv(env);
+  try {
+    await assertTargetAllowed(target, policy);
+    if (merged.alertUrl) await assertTargetAllowed(merged.alertUrl, policy, { domainLists: false });
+  } catch (e) {
+    throw new WatchError(e.message);
+  }
+
+  return {
+    name: merged.name ? String(merged.name).slice(0, 200) : null,
+    target,
+    output,
+    params,
+    schedule,
+    thresholds: { screenshotPercent: Number(thresholds.screenshotPercent), structureChanges: Number(thresholds.structureChanges) },
+    alertUrl: merged.alertUrl || null,
+    enabled: merged.enabled !== false && String(merged.enabled) !== "false",
+  };
+}
+
+// What API responses show: credentials in params are redacted, the owner's key hash is internal
+export function publicWatch(watch) {
+  const { ownerKeyHash, ...rest } = watch;
+  return { ...rest, check: checkKindFor(watch.output), params: safeParams(watch.params) };
+}
+
+export async function getWatch(env, owner, id) {
+  return await stateGetJSON(env, watchKey(owner, id));
+}
+
+async function putWatch(env, watch) {
+  if (!(await statePutJSON(env, watchKey(watch.owner, watch.id), watch))) throw new WatchError("Failed to persist watch", 503);
+}
+
+/**
+ * New watch owned by `key`. The key's hash is kept so scheduled runs can be charged to it.
+ * The per-key limit is counted from a KV listing, so it is best-effort under concurrent creates.
+ */
+export async function createWatch(env, fields, key) {
+  const count = (await stateListKeys(env, ownerPrefix(key.id))).length;
+  if (count >= MAX_WATCHES_PER_KEY) throw new WatchError(`Watchlist is full (${MAX_WATCHES_PER_KEY} watches per API key)`, 409);
+  const now = new Date().toISOString();
+  const watch = {
+    id: crypto.randomUUID(),
+    owner: key.id,
+    ownerKeyHash: key.hash,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+    // First run on the next cron tick
+    nextRunAt: now,
+    runs: 0,
+    alerts: 0,
+    last: null,
+    pausedReason: null,
+  };
+  await putWatch(env, watch);
+  return watch;
+}
+
+export async function updateWatch(env, watch, fields) {
+  const updated = { ...watch, ...fields, updatedAt: new Date().toISOString() };
+  // Re-enabling a paused watch clears the reason it was paused for
+  if (updated.enabled) updated.pausedReason = null;
+  if (fields.schedule !== watch.schedule) updated.nextRunAt = updated.updatedAt;
+  await putWatch(env, updated);
+  return updated;
+}
+
+export async function deleteWatch(env, watch) {
+  await stateDelete(env, watchKey(watch.owner, watch.id));
+  await stateDelete(env, historyKey(watch.id));
+  await deleteBaseline(env, watch.owner, baselineName(watch.id));
+}
+
+/**
+ * Watches of `owner`, or of every key when owner is null (cron).
+ */
+export async function listWatches(env, owner) {
+  const names = await stateListKeys(env, owner == null ? "watch:" : ownerPrefix(owner));
+  const watches = await Promise.all(names.map((name) => stateGetJSON(env, name)));
+  return watches.filter(Boolean);
+}
+
+/**
+ * Runs of one watch, newest first.
+ */
+export async function getWatchHistory(env, id) {
+  return (await stateGetJSON(env, historyKey(id))) || [];
+}
+
+// Report fields (_actions, _snapshot, …) and timings differ on every run; they are not content
+function contentOf(result) {
+  const { body } = result;
+  if (!body || typeof body !== "object") return String(body ?? "");
+  return JSON.stringify(Object.fromEntries(Object.entries(body).filter(([k]) => !k.startsWith("_"))));
+}
+
+/**
+ * Compare the run's AI analysis with the watch's last snapshot. A fresh run stores its analysis as
+ * a snapshot (`_snapshot`). A result served from KV_CACHE has none (the cache is shared, snapshots
+ * are per key): its body is compared as is and the watch keeps pointing at the last snapshot.
+ */
+async function compareStructure(env, watch, body, fromCache) {
+  const id = body?._snapshot?.id || null;
+  if (!id && !fromCache) return { changed: false, note: "no snapshot stored for this run" };
+  const note = id ? "first snapshot" : "served from cache; no earlier snapshot to compare with";
+  const items = await listSnapshots(env, watch.owner, watch.target);
+  const previousId = watch.last?.snapshotId || (id ? items[items.findIndex((s) => s.id === id) - 1] : items.at(-1))?.id;
+  const previous = previousId ? await getSnapshot(env, watch.owner, previousId) : null;
+  const current = id ? (await getSnapshot(env, watch.owner, id))?.analysis : body;
+  if (!previous || !current) return { ...(id && { snapshotId: id }), changed: false, note };
+  const { summary, pageIntent } = diffStructures(previous.analysis, current);
+  const sections = summary.sectionsAdded + summary.sectionsRemoved + summary.sectionsMoved + summary.sectionsChanged;
+  return {
+    ...(id ? { snapshotId: id } : { note: "served from cache; compared without storing a snapshot" }),
+    previousSnapshotId: previous.id,
+    summary,
+    intentSummary: pageIntent.summary,
+    changed: sections >= watch.thresholds.structureChanges || ["moderate", "major"].includes(pageIntent.drift),
+  };
+}
+
+/**
+ * Run one watch now, append the run to its history and update its `last` state.
+ * Returns the run record { runAt, status, durationMs, check, changed, alert, ... }.
+ */
+export async function runWatch(env, watch) {
+  const rid = newReqId();
+  const tag = `WATCH#${watch.id.slice(0, 8)}`;
+  const tRun = logStart(tag, `output=${watch.output} target=${watch.target}`);
+  const check = checkKindFor(watch.output);
+  const started = Date.now();
+  const run = { runAt: new Date(started).toISOString(), check, status: null, durationMs: null, changed: false, alert: false };
+
+  // Runs are charged to the owner's key like any request; a key that can no longer run it pauses the watch
+  const admission = await admitRun(env, watch);
+  if (admission.denied) {
+    Object.assign(run, { status: admission.denied.status, error: admission.denied.body.error, durationMs: 0 });
+    await recordRun(env, watch, run, watch.last || {}, admission.update);
+    logDone(tag, tRun, `watch run skipped status=${run.status} error=${run.error}`);
+    return run;
+  }
+
+  let state = watch.last || {};
+  try {
+    const res = await dispatchOutput(env, runParams(watch), tag, rid, noopProgress, watch.owner);
+    const result = await readResponseBody(res);
+    run.status = res.status;
+    if (!res.ok) {
+      run.error = result.body?.error || `Handler returned HTTP ${res.status}`;
+    } else if (check === "screenshot") {
+      const b = result.body || {};
+      if (b.mismatchPercentage != null) {
+        Object.assign(run, { mismatchPercentage: b.mismatchPercentage, regions: (b.regions || []).slice(0, 10) });
+        run.changed = b.mismatchPercentage > watch.thresholds.screenshotPercent;
+      } else {
+        run.note = "baseline captured";
+      }
+    } else if (check === "structure") {
+      const s = await compareStructure(env, watch, result.body, res.headers.get("X-Cache") === "HIT");
+      const { changed, ...rest } = s;
+      Object.assign(run, rest);
+      run.changed = changed;
+      if (s.snapshotId) state = { ...state, snapshotId: s.snapshotId };
+    } else {
+      run.contentHash = await sha256Hex(contentOf(result));
+      run.changed = !!state.contentHash && state.contentHash !== run.contentHash;
+      state = { ...state, contentHash: run.contentHash };
+    }
+  } catch (err) {
+    console.error(`[${tag}] ERROR`, err?.stack || err?.message || String(err));
+    run.error = err?.message || "Watch run failed";
+  }
+  run.durationMs = Date.now() - started;
+  run.alert = run.changed;
+
+  if (run.alert) run.alertDelivery = await deliverAlert(env, watch, run, tag);
+
+  await recordRun(env, watch, run, state);
+  logDone(tag, tRun, `watch run status=${run.status} changed=${run.changed}${run.error ? ` error=${run.error}` : ""}`);
+  return run;
+}
+
+/**
+ * Check the owner's key for one scheduled run: it must still exist, be enabled, have the scope
+ * and quota for the output the run dispatches (visual-diff for screenshot watches) and the target
+ * must still pass the policy.
+ * Returns {} when admitted, otherwise { denied: { status, body }, update } where `update` pauses
+ * the watch (revoked key, lost scope, blocked target) or delays it until the quota resets (429).
+ */
+async function admitRun(env, watch) {
+  const key = await keyFromHash(env, watch.ownerKeyHash);
+  if (!key || key.id !== watch.owner || key.disabled) {
+    const error = `API key '${watch.owner}' is ${key?.disabled ? "disabled" : "no longer valid"}`;
+    return { denied: { status: 403, body: { error } }, update: { enabled: false, pausedReason: error } };
+  }
+  const denied = await admitRequest(env, key, runParams(watch));
+  if (!denied) return {};
+  if (denied.status === 429) {
+    const retryAfter = parseInt(denied.headers?.["Retry-After"] || "0", 10);
+    return { denied, update: { nextRunAt: new Date(Date.now() + retryAfter * 1000).toISOString() } };
+  }
+  return { denied, update: { enabled: false, pausedReason: denied.body.error } };
+}
+
+// Append `run` to the history and fold it into the watch's counters and `last` state
+async function recordRun(env, watch, run, state, update = {}) {
+  const history = await getWatchHistory(env, watch.id);
+  history.unshift(run);
+  await statePutJSON(env, historyKey(watch.id), history.slice(0, MAX_WATCH_HISTORY));
+
+  // Re-read: the watch may have been edited or deleted while this run was in flight
+  const fresh = await getWatch(env, watch.owner, watch.id);
+  if (!fresh) return;
+  await statePutJSON(env, watchKey(watch.owner, watch.id), {
+    ...fresh,
+    ...update,
+    runs: (fresh.runs || 0) + 1,
+    alerts: (fresh.alerts || 0) + (run.alert ? 1 : 0),
+    last: { ...state, runAt: run.runAt, status: run.status, changed: run.changed, error: run.error || null },
+  });
+}
+
+/**
+ * POST { event: "watch.alert", watch, run } to the watch's alertUrl (or WATCH_ALERT_URL), signed and
+ * retried like job callbacks (see jobs/callbacks.js). Returns the delivery outcome; null when no URL is configured.
+ */
+async function deliverAlert(env, watch, run, tag) {
+  const url = watch.alertUrl || env.WATCH_ALERT_URL;
+  if (!url) return null;
+  try {
+    await assertTargetAllowed(url, targetPolicyFromEnv(env), { domainLists: false });
+  } catch (err) {
+    logInfo(tag, `alert not sent: ${err?.message}`);
+    return { url, delivered: false, error: err?.message };
+  }
+  const payload = { event: "watch.alert", watch: { id: watch.id, name: watch.name, target: watch.target, output: watch.output }, run };
+  return await deliverCallback(env, url, payload, { event: "watch.alert", tag });
+}
+
+/**
+ * Cron entry point: run enabled watches whose nextRunAt has passed, oldest first.
+ * nextRunAt is advanced before running so an overlapping tick does not pick the same watch.
+ */
+export async function runDueWatches(env, scheduledTime = Date.now()) {
+  const tag = "CRON";
+  const due = (await listWatches(env, null))
+    .filter((w) => w.enabled && Date.parse(w.nextRunAt || 0) <= scheduledTime)
+    .sort((a, b) => Date.parse(a.nextRunAt || 0) - Date.parse(b.nextRunAt || 0))
+    .slice(0, MAX_WATCH_RUNS_PER_TICK);
+  logInfo(tag, `watchlist tick: ${due.length} due`);
+  if (!due.length) return [];
+
+  for (const w of due) {
+    w.nextRunAt = new Date(scheduledTime + WATCH_SCHEDULES[w.schedule] * 60 * 1000).toISOString();
+    await statePutJSON(env, watchKey(w.owner, w.id), w);
+  }
+  return await mapWithConcurrency(due, WATCH_RUN_CONCURRENCY, (w) => runWatch(env, w));
+}
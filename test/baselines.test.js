@@ -0,0 +1,46 @@
+// test/baselines.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleBaselines, handleBaseline } from "../src/handlers/baselines.js";
+import { saveBaseline } from "../src/render/visualDiff.js";
+import { memoryKV } from "./helpers/kv.js";
+
+const key = (id, scopes = ["*"]) => ({ id, scopes, quotas: {} });
+const png = new Uint8Array([137, 80, 78, 71, 1, 2, 3]);
+
+async function setup() {
+  const env = { KV_STATE: memoryKV() };
+  await saveBaseline(env, "team-a", "home", { png, target: "https://example.com/" });
+  await saveBaseline(env, "team-a", "about.v2", { png, target: "https://example.com/about" });
+  await saveBaseline(env, "team-b", "home", { png, target: "https://other.org/" });
+  return env;
+}
+
+test("GET /baselines lists only the key's own baseline names", async () => {
+  const env = await setup();
+  const res = await handleBaselines(env, key("team-a"));
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { baselines: ["about.v2", "home"] });
+});
+
+test("GET /baselines/:name returns metadata without the image", async () => {
+  const env = await setup();
+  const body = await (await handleBaseline(env, "GET", "home", key("team-a"))).json();
+  assert.equal(body.target, "https://example.com/");
+  assert.equal(body.bytes, png.length);
+  assert.equal(body.base64, undefined);
+});
+
+test("DELETE /baselines/:name removes it for that key only", async () => {
+  const env = await setup();
+  const res = await handleBaseline(env, "DELETE", "home", key("team-a"));
+  assert.deepEqual(await res.json(), { name: "home", deleted: true });
+  assert.equal((await handleBaseline(env, "GET", "home", key("team-a"))).status, 404);
+  assert.equal((await handleBaseline(env, "GET", "home", key("team-b"))).status, 200);
+});
+
+test("keys without the visual-diff scope get a 403", async () => {
+  const env = await setup();
+  assert.equal((await handleBaselines(env, key("team-a", ["html"]))).status, 403);
+  assert.equal((await handleBaseline(env, "DELETE", "home", key("team-a", ["html"]))).status, 403);
+});
@@ -0,0 +1,75 @@
+// test/blocking.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { blockingFromParams, isBlockingEnabled, createBlockingFilter, blockedHeader } from "../src/render/blocking.js";
+
+const MAIN = {};
+const page = { mainFrame: () => MAIN };
+const request = (url, type = "script", { navigation = false, frame = {} } = {}) => ({
+  url: () => url,
+  resourceType: () => type,
+  isNavigationRequest: () => navigation,
+  frame: () => frame,
+});
+const blocks = (params, url, type) => createBlockingFilter(page, blockingFromParams(params)).filter(request(url, type)) !== null;
+
+test("blockingFromParams accepts comma lists and JSON arrays", () => {
+  const b = blockingFromParams({ blockResourceTypes: "Image, font", blockDomains: '["*.Tracker.com"]', blockAds: "true" });
+  assert.deepEqual(b.resourceTypes, ["image", "font"]);
+  assert.deepEqual(b.domains, ["tracker.com"]);
+  assert.equal(b.blockAds, true);
+  assert.equal(isBlockingEnabled(b), true);
+  assert.equal(isBlockingEnabled(blockingFromParams({})), false);
+});
+
+test("blockingFromParams rejects unknown resource types and malformed lists", () => {
+  assert.throws(() => blockingFromParams({ blockResourceTypes: "video" }), /Invalid resource type 'video'/);
+  assert.throws(() => blockingFromParams({ blockDomains: "[not json" }), /Invalid 'blockDomains'/);
+  assert.throws(() => blockingFromParams({ blockUrlPatterns: ["x".repeat(501)] }), /at most 500 characters/);
+});
+
+test("domains match themselves and their subdomains only", () => {
+  assert.equal(blocks({ blockDomains: "tracker.com" }, "https://cdn.tracker.com/t.js"), true);
+  assert.equal(blocks({ blockDomains: "tracker.com" }, "https://tracker.com/t.js"), true);
+  assert.equal(blocks({ blockDomains: "tracker.com" }, "https://nottracker.com/t.js"), false);
+});
+
+test("url patterns are case-insensitive globs anchored at both ends", () => {
+  assert.equal(blocks({ blockUrlPatterns: "*/ads/*" }, "https://example.com/ads/banner.js"), true);
+  assert.equal(blocks({ blockUrlPatterns: "*.JS" }, "https://example.com/app.js"), true);
+  assert.equal(blocks({ blockUrlPatterns: "https://example.com/*" }, "https://other.com/app.js"), false);
+  assert.equal(blocks({ blockUrlPatterns: "*.js" }, "https://example.com/app.js?v=1"), false);
+  // Regex metacharacters are literal
+  assert.equal(blocks({ blockUrlPatterns: "https://example.com/a.js" }, "https://example.com/abjs"), false);
+  assert.equal(blocks({ blockUrlPatterns: "*(x|y)*" }, "https://example.com/(x|y)"), true);
+});
+
+test("prefix and suffix of a glob may not overlap", () => {
+  assert.equal(blocks({ blockUrlPatterns: "https://a.com/*/a.com/" }, "https://a.com/a.com/"), false);
+  assert.equal(blocks({ blockUrlPatterns: "https://a.com/*a.com/" }, "https://a.com/a.com/"), true);
+});
+
+test("many stars against a long URL stay fast", () => {
+  const started = Date.now();
+  assert.equal(blocks({ blockUrlPatterns: "*a".repeat(200) + "b" }, `https://example.com/${"a".repeat(5000)}`), false);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("the main-frame document is never blocked", () => {
+  const { filter } = createBlockingFilter(page, blockingFromParams({ blockUrlPatterns: "*" }));
+  assert.equal(filter(request("https://example.com/", "document", { navigation: true, frame: MAIN })), null);
+  assert.deepEqual(filter(request("https://example.com/frame", "document", { navigation: true })), { abort: true, errorCode: "blockedbyclient" });
+});
+
+test("the tally counts blocked requests by reason and type", () => {
+  const { filter, stats } = createBlockingFilter(page, blockingFromParams({ blockResourceTypes: "image", blockDomains: "tracker.com" }));
+  filter(request("https://example.com/a.png", "image"));
+  filter(request("https://tracker.com/t.js", "script"));
+  filter(request("https://example.com/app.js", "script"));
+  assert.equal(stats.total, 2);
+  assert.deepEqual(stats.byReason, { resourceType: 1, domain: 1 });
+  assert.deepEqual(stats.byType, { image: 1, script: 1 });
+  assert.ok(stats.estimatedBytesSaved > 0);
+  assert.match(blockedHeader(stats)["X-Blocked-Requests"], /^2; est-bytes-saved=\d+$/);
+  assert.deepEqual(blockedHeader(null), {});
+});
@@ -0,0 +1,26 @@
+// test/cache.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCacheKey, cacheGet, cachePut } from "../src/utils/cache.js";
+import { memoryKV } from "./helpers/kv.js";
+
+const target = "https://example.com/";
+
+test("keys are stable per output and params", async () => {
+  const a = await buildCacheKey("structure", { target, fullPage: "true" });
+  assert.equal(a, await buildCacheKey("structure", { fullPage: "true", target }));
+  assert.match(a, /^structure:/);
+  assert.notEqual(a, await buildCacheKey("seo", { target, fullPage: "true" }));
+});
+
+test("requests with a capture get no key and are neither read nor stored", async () => {
+  const env = { KV_CACHE: memoryKV() };
+  for (const capture of [{ includeNetwork: "true" }, { includeNetwork: "har" }, { includeDiagnostics: "true" }, { includePerformance: "true" }]) {
+    const key = await buildCacheKey("structure", { target, ...capture });
+    assert.equal(key, null);
+    await cachePut(env, key, "{}");
+    assert.equal(await cacheGet(env, key), null);
+  }
+  assert.equal(env.KV_CACHE.data.size, 0);
+  assert.equal(await buildCacheKey("structure", { target, includeNetwork: "false" }), await buildCacheKey("structure", { target }));
+});
@@ -0,0 +1,79 @@
+// test/callbacks.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { signCallback, sendCallback, deliverCallback } from "../src/jobs/callbacks.js";
+import { CALLBACK_MAX_ATTEMPTS } from "../src/config/constants.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+// Replace fetch with one answering `statuses` in turn (an Error is thrown instead); returns the recorded calls
+function mockFetch(statuses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    const next = statuses[Math.min(calls.length, statuses.length) - 1];
+    if (next instanceof Error) throw next;
+    return new Response("ok", { status: next });
+  };
+  return calls;
+}
+
+test("signCallback signs timestamp.body with HMAC-SHA256", async () => {
+  const headers = await signCallback({ CALLBACK_SECRET: "s3cret" }, '{"id":1}', "job.completed", 1700000000);
+  const expected = createHmac("sha256", "s3cret").update('1700000000.{"id":1}').digest("hex");
+  assert.equal(headers["X-Rendertron-Signature"], `sha256=${expected}`);
+  assert.equal(headers["X-Rendertron-Timestamp"], "1700000000");
+  assert.equal(headers["X-Rendertron-Event"], "job.completed");
+  assert.equal(headers["Content-Type"], "application/json");
+});
+
+test("signCallback leaves deliveries unsigned without CALLBACK_SECRET", async () => {
+  const headers = await signCallback({}, "{}", "watch.changed");
+  assert.equal(headers["X-Rendertron-Signature"], undefined);
+});
+
+test("sendCallback POSTs once without following redirects", async () => {
+  const calls = mockFetch([302]);
+  const sent = await sendCallback({ CALLBACK_SECRET: "s" }, "https://hooks.example.com/cb", '{"a":1}', "job.failed");
+  assert.deepEqual(sent, { ok: false, status: 302, error: "HTTP 302" });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].init.method, "POST");
+  assert.equal(calls[0].init.redirect, "manual");
+  assert.equal(calls[0].init.body, '{"a":1}');
+});
+
+test("sendCallback reports network errors instead of throwing", async () => {
+  mockFetch([new Error("connection refused")]);
+  assert.deepEqual(await sendCallback({}, "https://hooks.example.com/cb", "{}", "job.completed"), { ok: false, status: null, error: "connection refused" });
+});
+
+test("deliverCallback retries until a 2xx answer", async () => {
+  const calls = mockFetch([503, 200]);
+  const outcome = await deliverCallback({ CALLBACK_SECRET: "s" }, "https://hooks.example.com/cb", { id: "j1" }, { tag: "test" });
+  assert.equal(outcome.delivered, true);
+  assert.equal(outcome.attempts, 2);
+  assert.equal(outcome.status, 200);
+  assert.equal(outcome.error, null);
+  assert.ok(outcome.deliveredAt);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].init.body, '{"id":"j1"}');
+});
+
+test("deliverCallback gives up after CALLBACK_MAX_ATTEMPTS", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const calls = mockFetch([500]);
+  const pending = deliverCallback({}, "https://hooks.example.com/cb", {}, { tag: "test" });
+  // Each failed attempt waits on the backoff timer; keep advancing until delivery settles
+  let outcome;
+  pending.then((o) => { outcome = o; });
+  while (!outcome) {
+    await new Promise((r) => setImmediate(r));
+    t.mock.timers.tick(60_000);
+  }
+  assert.equal(outcome.delivered, false);
+  assert.equal(outcome.attempts, CALLBACK_MAX_ATTEMPTS);
+  assert.equal(outcome.error, "HTTP 500");
+  assert.equal(calls.length, CALLBACK_MAX_ATTEMPTS);
+});
@@ -0,0 +1,24 @@
+// test/helpers/kv.js
+// In-memory stand-in for a KV namespace binding: get (text / "json"), put, delete and list by prefix.
+
+export function memoryKV() {
+  const data = new Map();
+  return {
+    data,
+    async get(key, type) {
+      if (!data.has(key)) return null;
+      const value = data.get(key).value;
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value, opts = {}) {
+      data.set(key, { value: String(value), opts });
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...data.keys()].filter((k) => k.startsWith(prefix)).sort().map((name) => ({ name }));
+      return { keys, list_complete: true, cursor: undefined };
+    },
+  };
+}
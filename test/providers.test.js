@@ -0,0 +1,127 @@
+// test/providers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AI_PROVIDERS, resolveProviderName, detectProvider, toGeminiSchema, extractOpenAIOutput } from "../src/ai/providers.js";
+import { resolveAIConfig, postToAI } from "../src/ai/client.js";
+import { ANALYSIS_SCHEMA } from "../src/ai/schema.js";
+
+const image = { mime: "image/png", base64: "AAAA" };
+const build = (name, format = "json") => AI_PROVIDERS[name].buildBody({ model: "m", prompt: "describe", image, format });
+
+test("provider names and aliases resolve to registry keys", () => {
+  assert.equal(resolveProviderName("OpenAI"), "openai-responses");
+  assert.equal(resolveProviderName("claude"), "anthropic");
+  assert.equal(resolveProviderName("google"), "gemini");
+  assert.equal(resolveProviderName("lmstudio"), "openai-chat");
+  assert.equal(resolveProviderName(" ollama "), "ollama");
+  assert.throws(() => resolveProviderName("mistral"), /Unknown AI provider 'mistral'/);
+});
+
+test("without a name the provider is detected from the endpoint", () => {
+  assert.equal(resolveProviderName("", "https://api.openai.com/v1/responses"), "openai-responses");
+  assert.equal(detectProvider("https://api.openai.com/v1/chat/completions"), "openai-chat");
+  assert.equal(detectProvider("https://api.anthropic.com/v1/messages"), "anthropic");
+  assert.equal(detectProvider("https://generativelanguage.googleapis.com/v1beta/models/x:generateContent"), "gemini");
+  assert.equal(detectProvider("http://localhost:11434/api/chat"), "ollama");
+  assert.equal(detectProvider("https://ai.example.com/describe"), "generic");
+  assert.equal(detectProvider("not a url"), "generic");
+});
+
+test("openai-responses sends an input_image and a json_schema text format", () => {
+  const body = build("openai-responses");
+  assert.equal(body.input[0].content[0].image_url, "data:image/png;base64,AAAA");
+  assert.equal(body.text.format.type, "json_schema");
+  assert.equal(body.text.format.schema, ANALYSIS_SCHEMA);
+  assert.deepEqual(build("openai-responses", "text").text.format, { type: "text" });
+});
+
+test("openai-chat maps the schema to response_format only for json", () => {
+  const body = build("openai-chat");
+  assert.equal(body.messages[0].content[0].image_url.url, "data:image/png;base64,AAAA");
+  assert.equal(body.response_format.json_schema.schema, ANALYSIS_SCHEMA);
+  assert.equal(build("openai-chat", "text").response_format, undefined);
+});
+
+test("anthropic forces a tool call whose input is the schema", () => {
+  const body = build("anthropic");
+  assert.deepEqual(body.messages[0].content[0].source, { type: "base64", media_type: "image/png", data: "AAAA" });
+  assert.equal(body.tools[0].input_schema, ANALYSIS_SCHEMA);
+  assert.deepEqual(body.tool_choice, { type: "tool", name: body.tools[0].name });
+  assert.deepEqual(AI_PROVIDERS.anthropic.headers("k"), { "anthropic-version": "2023-06-01", "x-api-key": "k" });
+});
+
+test("gemini sends inline data and a converted response schema", () => {
+  const body = build("gemini");
+  assert.deepEqual(body.contents[0].parts[0], { inlineData: { mimeType: "image/png", data: "AAAA" } });
+  assert.equal(body.generationConfig.responseMimeType, "application/json");
+  assert.deepEqual(body.generationConfig.responseSchema, toGeminiSchema(ANALYSIS_SCHEMA));
+});
+
+test("toGeminiSchema uppercases types and drops unsupported keywords", () => {
+  const out = toGeminiSchema({
+    type: "object",
+    additionalProperties: false,
+    required: ["a"],
+    properties: { a: { type: "array", minItems: 1, items: { type: "string", minLength: 1, enum: ["x"] } } },
+  });
+  assert.deepEqual(out, {
+    type: "OBJECT",
+    required: ["a"],
+    properties: { a: { type: "ARRAY", minItems: 1, items: { type: "STRING", enum: ["x"] } } },
+  });
+});
+
+test("ollama sends raw base64 images and the schema as format", () => {
+  const body = build("ollama");
+  assert.deepEqual(body.messages[0].images, ["AAAA"]);
+  assert.equal(body.stream, false);
+  assert.equal(body.format, ANALYSIS_SCHEMA);
+});
+
+test("each adapter extracts the model output from its response shape", () => {
+  assert.deepEqual(extractOpenAIOutput({ output: [{ content: [{ type: "output_text", text: '{"a":1}' }] }] }), { a: 1 });
+  assert.equal(extractOpenAIOutput({ output_text: "plain" }, "text"), "plain");
+  assert.deepEqual(AI_PROVIDERS["openai-chat"].extract({ choices: [{ message: { content: '{"a":1}' } }] }, "json"), { a: 1 });
+  assert.deepEqual(AI_PROVIDERS.anthropic.extract({ content: [{ type: "tool_use", input: { a: 1 } }] }, "json"), { a: 1 });
+  assert.equal(AI_PROVIDERS.anthropic.extract({ content: [{ type: "text", text: "hi" }] }, "text"), "hi");
+  assert.deepEqual(AI_PROVIDERS.gemini.extract({ candidates: [{ content: { parts: [{ text: '{"a":' }, { text: "1}" }] } }] }, "json"), { a: 1 });
+  assert.equal(AI_PROVIDERS.ollama.extract({ message: { content: "not json" } }, "json"), "not json");
+  const raw = { anything: true };
+  assert.equal(AI_PROVIDERS.generic.extract(raw, "json"), raw);
+});
+
+test("resolveAIConfig reads the default provider's env and per-provider overrides", () => {
+  const env = { AI_PROVIDER: "openai", AI_ENDPOINT: "https://proxy.example.com/v1/responses", AI_API_KEY: "sk", AI_MODEL: "gpt-x", AI_API_KEY_ANTHROPIC: "ak" };
+  assert.deepEqual(resolveAIConfig(env), {
+    provider: "openai-responses",
+    endpoint: "https://proxy.example.com/v1/responses",
+    apiKey: "sk",
+    model: "gpt-x",
+    timeoutMs: 60000,
+  });
+  // Another provider does not inherit the default's endpoint, key or model
+  const claude = resolveAIConfig(env, { provider: "claude" });
+  assert.equal(claude.provider, "anthropic");
+  assert.equal(claude.endpoint, AI_PROVIDERS.anthropic.defaultEndpoint);
+  assert.equal(claude.apiKey, "ak");
+  assert.equal(claude.model, AI_PROVIDERS.anthropic.defaultModel);
+  assert.equal(resolveAIConfig(env, { provider: "claude", model: "claude-x" }).model, "claude-x");
+});
+
+test("postToAI posts the adapter body and returns non-2xx answers as { error, status }", async (t) => {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    calls.push({ url, init });
+    return calls.length === 1
+      ? new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: '{"ok":true}' }] } }] }), { status: 200 })
+      : new Response(JSON.stringify({ error: { message: "quota" } }), { status: 429 });
+  });
+  const args = { apiKey: "gk", prompt: "p", screenshotPng: new Uint8Array([1, 2, 3]), timeoutMs: 1000, provider: "gemini", model: "gemini-x" };
+
+  assert.deepEqual(await postToAI(args), { ok: true });
+  assert.equal(calls[0].url, "https://generativelanguage.googleapis.com/v1beta/models/gemini-x:generateContent");
+  assert.equal(calls[0].init.headers["x-goog-api-key"], "gk");
+  assert.equal(JSON.parse(calls[0].init.body).contents[0].parts[0].inlineData.data, "AQID");
+
+  assert.deepEqual(await postToAI(args), { error: { message: "quota" }, status: 429 });
+});
@@ -0,0 +1,77 @@
+// test/quotas.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chargeRequest } from "../src/auth/quotas.js";
+import { memoryKV } from "./helpers/kv.js";
+
+const key = (quotas, scopes = ["*"]) => ({ id: "team-a", scopes, quotas });
+const today = () => new Date().toISOString().slice(0, 10);
+const month = () => new Date().toISOString().slice(0, 7);
+
+test("a key without the output in its scopes gets a 403 and nothing is counted", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const denied = await chargeRequest(env, key({ daily: { renders: 5 } }, ["html"]), "pdf");
+  assert.equal(denied.status, 403);
+  assert.match(denied.body.error, /not allowed to use output 'pdf'/);
+  assert.deepEqual(denied.body.scopes, ["html"]);
+  assert.equal(env.KV_STATE.data.size, 0);
+});
+
+test("requests are counted per period in KV_STATE", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const k = key({ daily: { renders: 10, ai: 10 }, monthly: { renders: 100 } });
+  assert.equal(await chargeRequest(env, k, "screenshotandai-describe"), null);
+  assert.equal(await chargeRequest(env, k, "html"), null);
+  const daily = env.KV_STATE.data.get(`quota:team-a:daily:${today()}`);
+  assert.deepEqual(JSON.parse(daily.value), { renders: 2, ai: 1 });
+  assert.equal(daily.opts.expirationTtl, 2 * 24 * 60 * 60);
+  assert.deepEqual(JSON.parse(env.KV_STATE.data.get(`quota:team-a:monthly:${month()}`).value), { renders: 2, ai: 1 });
+});
+
+test("the request that would exceed a limit gets a 429 with Retry-After", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const k = key({ daily: { renders: 2 } });
+  assert.equal(await chargeRequest(env, k, "html"), null);
+  assert.equal(await chargeRequest(env, k, "html"), null);
+  const denied = await chargeRequest(env, k, "html");
+  assert.equal(denied.status, 429);
+  assert.deepEqual(denied.body.quota, { period: "daily", metric: "renders", limit: 2, used: 2 });
+  const retryAfter = Number(denied.headers["Retry-After"]);
+  assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+});
+
+test("a denied request does not count against any period", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const k = key({ daily: { ai: 1 }, monthly: { renders: 100 } });
+  assert.equal(await chargeRequest(env, k, "ai-describe"), null);
+  assert.equal((await chargeRequest(env, k, "ai")).status, 429);
+  assert.deepEqual(JSON.parse(env.KV_STATE.data.get(`quota:team-a:monthly:${month()}`).value), { renders: 0, ai: 1 });
+});
+
+test("only metrics with a limit are enforced", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const k = key({ daily: { ai: 1 } });
+  for (let i = 0; i < 5; i++) assert.equal(await chargeRequest(env, k, "html"), null);
+});
+
+test("a custom cost overrides MODE_COSTS, and free requests are never counted", async () => {
+  const env = { KV_STATE: memoryKV() };
+  const k = key({ daily: { renders: 5, ai: 1 } });
+  assert.equal((await chargeRequest(env, k, "merged-structure", { renders: 1, ai: 2 })).status, 429);
+  assert.equal(await chargeRequest(env, k, "html", { renders: 0, ai: 0 }), null);
+  assert.equal(await chargeRequest(env, { ...k, scopes: ["admin"] }, "clear-cache"), null);
+  assert.equal(env.KV_STATE.data.size, 0);
+});
+
+test("counters fall back to KV_CACHE when KV_STATE is not bound", async () => {
+  const env = { KV_CACHE: memoryKV() };
+  assert.equal(await chargeRequest(env, key({ daily: { renders: 1 } }), "html"), null);
+  assert.ok(env.KV_CACHE.data.has(`quota:team-a:daily:${today()}`));
+});
+
+test("clear-cache needs the admin scope; a wildcard key does not have it", async () => {
+  const env = { KV_STATE: memoryKV() };
+  assert.equal((await chargeRequest(env, key({}, ["*"]), "clear-cache")).status, 403);
+  assert.equal(await chargeRequest(env, key({}, ["html", "admin"]), "clear-cache"), null);
+  assert.equal((await chargeRequest(env, key({}, ["admin"]), "html")).status, 403);
+});
@@ -0,0 +1,74 @@
+// test/structureDiff.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffStructures } from "../src/snapshots/structureDiff.js";
+
+const heading = (text) => ({ type: "HEADING", text });
+const cta = (text) => ({ type: "BUTTON", text });
+const image = (alt) => ({ type: "IMAGE", alt });
+
+const page = (page_intent, sections) => ({ page_intent, sections });
+const HERO = { id: "hero", type: "HERO", section_intent: "Introduce the analytics product", elements: [heading("Know your visitors"), cta("Start free trial")] };
+const PRICING = { id: "pricing", type: "PRICING", section_intent: "Show plans and prices", elements: [heading("Pricing"), cta("Buy now")] };
+const FAQ = { id: "faq", type: "FAQ", section_intent: "Answer common questions about billing", elements: [heading("Questions")] };
+
+test("identical structures report no change", () => {
+  const s = page("Sell an analytics product", [HERO, PRICING]);
+  const diff = diffStructures(s, structuredClone(s));
+  assert.equal(diff.changed, false);
+  assert.equal(diff.pageIntent.drift, "none");
+  assert.deepEqual(diff.sections, { added: [], removed: [], moved: [], changed: [] });
+});
+
+test("sections are matched by heading, not by model-generated id", () => {
+  const before = page("Sell an analytics product", [HERO, PRICING]);
+  const after = page("Sell an analytics product", [{ ...HERO, id: "section-1" }, { ...PRICING, id: "section-2" }]);
+  assert.equal(diffStructures(before, after).changed, false);
+});
+
+test("added, removed and moved sections", () => {
+  const before = page("Sell an analytics product", [HERO, PRICING, FAQ]);
+  const after = page("Sell an analytics product", [PRICING, HERO, { id: "team", type: "TEAM", section_intent: "Meet the founders", elements: [heading("Our team")] }]);
+  const { sections, summary } = diffStructures(before, after);
+  assert.deepEqual(sections.added.map((s) => s.heading), ["Our team"]);
+  assert.deepEqual(sections.removed.map((s) => s.heading), ["Questions"]);
+  assert.equal(sections.moved.length, 1);
+  assert.equal(summary.sectionsAdded, 1);
+  assert.equal(summary.sectionsRemoved, 1);
+  assert.equal(summary.sectionsMoved, 1);
+});
+
+test("heading and CTA edits are reported per section", () => {
+  const before = page("Sell an analytics product", [HERO]);
+  const after = page("Sell an analytics product", [{ ...HERO, elements: [heading("Know your visitors"), cta("Book a demo")] }]);
+  const { sections, summary } = diffStructures(before, after);
+  assert.equal(sections.changed.length, 1);
+  assert.deepEqual(sections.changed[0].changes.ctas.changed, [{ type: "BUTTON", before: "Start free trial", after: "Book a demo" }]);
+  assert.equal(summary.ctasChanged, 1);
+  assert.equal(summary.headingsChanged, 0);
+});
+
+test("a re-described image counts as removed plus added", () => {
+  const before = page("x", [{ ...HERO, elements: [...HERO.elements, image("Dashboard screenshot")] }]);
+  const after = page("x", [{ ...HERO, elements: [...HERO.elements, image("Smiling customer")] }]);
+  const { summary, sections } = diffStructures(before, after);
+  assert.equal(summary.imagesAdded, 1);
+  assert.equal(summary.imagesRemoved, 1);
+  assert.deepEqual(sections.changed[0].changes.images.added, [{ type: "IMAGE", text: "Smiling customer" }]);
+});
+
+test("page intent drift is graded by word overlap", () => {
+  const minor = diffStructures(page("Sell analytics software to marketing teams", []), page("Sell analytics software to marketing agencies", []));
+  assert.equal(minor.pageIntent.drift, "minor");
+  const major = diffStructures(page("Sell analytics software", []), page("Recruit engineers for open roles", []));
+  assert.equal(major.pageIntent.drift, "major");
+  assert.ok(major.pageIntent.addedTerms.includes("engineers"));
+  assert.ok(major.pageIntent.removedTerms.includes("analytics"));
+  assert.equal(major.changed, true);
+});
+
+test("missing or malformed inputs are treated as empty pages", () => {
+  const diff = diffStructures(null, page("x", [HERO]));
+  assert.equal(diff.summary.sectionsBefore, 0);
+  assert.equal(diff.summary.sectionsAdded, 1);
+});